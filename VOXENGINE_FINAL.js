@@ -1,10 +1,32 @@
 // VoxEngine Scenario for Tavari Voice Agent
 // Final version with Railway URL configured
 
+require(Modules.AMD);
+
 const RAILWAY_URL = "tavari-voice-agent-server-production.up.railway.app";
 const WEBHOOK_URL = `https://${RAILWAY_URL}/webhook`;
 const MEDIA_STREAM_WS = `wss://${RAILWAY_URL}/media-stream-ws`;
 
+// Shared secret for signing webhooks and media socket upgrades - must match WEBHOOK_SECRET on the server
+// Leave empty only if the server runs with WEBHOOK_AUTH_DISABLED=true (local testing)
+const WEBHOOK_SECRET = "";
+
+// Audio format this scenario streams to the server (CallEvents.PCM delivers PCM16 8kHz)
+// The server matches OpenAI to it - G.711 ("ulaw"/"alaw") passes through without transcoding
+const MEDIA_ENCODING = "pcm16";
+const MEDIA_SAMPLE_RATE = 8000;
+// Audio the server sends back is in the same format - used to tell how long it plays
+const MEDIA_BYTES_PER_MS = MEDIA_SAMPLE_RATE / 1000 * (MEDIA_ENCODING === "pcm16" ? 2 : 1);
+
+// Voice used to read the call summary to the human agent on warm transfers
+const TRANSFER_SUMMARY_VOICE = VoiceList.Amazon.en_US_Joanna;
+
+// Voice for prompts the server asks the scenario to say (e.g. "one moment, please" while it reconnects)
+const PROMPT_VOICE = VoiceList.Amazon.en_US_Joanna;
+
+// How long answering machine detection may listen on outbound calls
+const AMD_TIMEOUT_MS = 6000;
+
 VoxEngine.addEventListener(AppEvents.CallAlerting, function(e) {
   var call = e.call;
   var callId = call.callId();
@@ -20,25 +42,106 @@ VoxEngine.addEventListener(AppEvents.CallAlerting, function(e) {
     sessionId: callId,
     callerId: callerId,
     calleeId: calleeId,
+    encoding: MEDIA_ENCODING,
+    sampleRate: MEDIA_SAMPLE_RATE,
     timestamp: new Date().toISOString()
   });
   
   // Answer the call
   call.answer();
   
+  handleConnectedCall(call, callId);
+});
+
+// Outbound calls are started through the Management API (POST /calls/outbound) with custom data
+// { outboundId, to, from, amd } - outboundId is the server's call ID and is used as callId in every webhook
+VoxEngine.addEventListener(AppEvents.Started, function() {
+  var customData = VoxEngine.customData();
+  if (!customData) {
+    return; // Inbound sessions start without custom data
+  }
+  
+  var outbound;
+  try {
+    outbound = JSON.parse(customData);
+  } catch (error) {
+    Logger.write("❌ Invalid custom data: " + customData);
+    return;
+  }
+  
+  if (outbound.outboundId) {
+    placeOutboundCall(outbound);
+  }
+});
+
+function placeOutboundCall(outbound) {
+  var callId = outbound.outboundId;
+  var options = {};
+  var amd = null;
+  
+  if (outbound.amd) {
+    amd = AMD.create({ model: AMD.Model.US, timeout: AMD_TIMEOUT_MS });
+    options.amd = amd;
+  }
+  
+  Logger.write("📲 Outbound call " + callId + " to " + outbound.to);
+  var call = VoxEngine.callPSTN(outbound.to, outbound.from, options);
+  
+  if (amd) {
+    amd.addEventListener(AMD.Events.DetectionComplete, function(e) {
+      Logger.write("🤖 AMD result for " + callId + ": " + e.resultClass);
+      
+      sendWebhook(WEBHOOK_URL, {
+        event: "AmdResult",
+        callId: callId,
+        sessionId: callId,
+        result: String(e.resultClass).toLowerCase(),
+        confidence: e.confidence,
+        timestamp: new Date().toISOString()
+      });
+    });
+  }
+  
+  call.addEventListener(CallEvents.Failed, function(e) {
+    Logger.write("❌ Outbound call failed: " + callId + " (" + e.code + " " + e.reason + ")");
+    
+    sendWebhook(WEBHOOK_URL, {
+      event: "CallFailed",
+      callId: callId,
+      sessionId: callId,
+      code: e.code,
+      reason: e.reason,
+      timestamp: new Date().toISOString()
+    }, function() {
+      VoxEngine.terminate();
+    });
+  });
+  
+  handleConnectedCall(call, callId);
+}
+
+// Connected/Disconnected handling shared by inbound and outbound calls
+function handleConnectedCall(call, callId) {
   // Handle call connected
   call.addEventListener(CallEvents.Connected, function() {
     Logger.write("✅ Call connected: " + callId);
     
+    // The response carries a one-time token that binds our media stream to this call
     sendWebhook(WEBHOOK_URL, {
       event: "CallConnected",
       callId: callId,
       sessionId: callId,
       timestamp: new Date().toISOString()
+    }, function(response) {
+      if (!response || !response.token) {
+        Logger.write("❌ No media stream token for " + callId + " - hanging up");
+        call.hangup();
+        return;
+      }
+      
+      // Set up media streaming
+      setupMediaStreaming(call, callId, response.token);
     });
-    
-    // Set up media streaming
-    setupMediaStreaming(call, callId);
   });
   
   // Handle call disconnect
@@ -52,13 +155,23 @@ VoxEngine.addEventListener(AppEvents.CallAlerting, function(e) {
       timestamp: new Date().toISOString()
     });
   });
-});
+}
 
-function sendWebhook(url, data) {
+function sendWebhook(url, data, onResponse) {
+  var body = JSON.stringify(data);
+  var headers = [["Content-Type", "application/json"]];
+  
+  // Sign the exact body we send, with a timestamp so the server can reject replays
+  if (WEBHOOK_SECRET) {
+    var timestamp = String(Math.floor(Date.now() / 1000));
+    headers.push(["X-Tavari-Timestamp", timestamp]);
+    headers.push(["X-Tavari-Signature", Crypto.hmac_sha256(WEBHOOK_SECRET, timestamp + "." + body)]);
+  }
+  
   var httpRequest = Net.httpRequest(url, {
     method: "POST",
-    headers: [["Content-Type", "application/json"]],
-    postData: JSON.stringify(data)
+    headers: headers,
+    postData: body
   });
   
   httpRequest.addEventListener(NetEvents.HttpResponse, function(e) {
@@ -67,19 +180,60 @@ function sendWebhook(url, data) {
     } else {
       Logger.write("❌ Webhook failed: " + e.code);
     }
+    
+    if (onResponse) {
+      var response = null;
+      if (e.code === 200) {
+        try {
+          response = JSON.parse(e.text);
+        } catch (err) {
+          Logger.write("❌ Webhook response is not JSON: " + data.event);
+        }
+      }
+      onResponse(response);
+    }
   });
   
   httpRequest.addEventListener(NetEvents.HttpError, function(e) {
     Logger.write("❌ Webhook error: " + e.text);
+    if (onResponse) {
+      onResponse(null);
+    }
   });
 }
 
-function setupMediaStreaming(call, callId) {
-  var ws = Net.WebSocket(MEDIA_STREAM_WS + "?call_id=" + callId);
+function setupMediaStreaming(call, callId, token) {
+  var url = MEDIA_STREAM_WS + "?token=" + encodeURIComponent(token);
+  
+  // Signed like webhooks - the server refuses the upgrade without it
+  if (WEBHOOK_SECRET) {
+    var timestamp = String(Math.floor(Date.now() / 1000));
+    url += "&ts=" + timestamp + "&sig=" + Crypto.hmac_sha256(WEBHOOK_SECRET, timestamp + "." + token);
+  }
+  
+  var ws = Net.WebSocket(url);
   
   ws.addEventListener(WebSocketEvents.Connected, function() {
     Logger.write("🔌 WebSocket connected for " + callId);
     
+    // Tell the server which call this is and the audio format we send
+    ws.send(JSON.stringify({
+      event: "start",
+      start: {
+        callId: callId,
+        encoding: MEDIA_ENCODING,
+        sampleRate: MEDIA_SAMPLE_RATE,
+        channels: 1
+      }
+    }));
+    
+    // Tell the server the stream is ending when the caller hangs up
+    call.addEventListener(CallEvents.Disconnected, function() {
+      if (ws.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify({ event: "stop" }));
+      }
+    });
+    
     // Stream audio from call to WebSocket
     // Voximplant sends PCM audio via CallEvents.PCM
     call.addEventListener(CallEvents.PCM, function(e) {
@@ -118,11 +272,59 @@ function setupMediaStreaming(call, callId) {
       }
     });
     
-    // Handle audio from WebSocket (Railway -> Voximplant)
+    // Keypad presses go to the server, which collects them into digits / menu choices
+    call.handleTones(true);
+    call.addEventListener(CallEvents.ToneReceived, function(e) {
+      if (ws.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify({
+          event: "dtmf",
+          dtmf: { digit: String(e.tone) }
+        }));
+      }
+    });
+
+    // Playout clock: when the AI audio handed to the call so far will have finished playing
+    // A mark is echoed once the audio before it has played, not when it arrives (it arrives right behind that audio)
+    // The clock assumes sendMedia plays in real time from the moment it gets the audio - Voximplant's own
+    // playback buffering isn't visible here, so a mark can still come back that much early
+    var playoutEndsAt = 0;
+    var markTimers = [];
+
+    // Handle audio and control messages from WebSocket (Railway -> Voximplant)
     ws.addEventListener(WebSocketEvents.Message, function(e) {
       try {
         var msg = JSON.parse(e.text);
-        if (msg.event === "media" && msg.media && msg.media.payload) {
+        if (msg.event === "clear") {
+          // Caller barged in - drop whatever AI audio is still playing, and the marks behind it (never heard)
+          call.stopPlayback();
+          markTimers.forEach(function(timer) { clearTimeout(timer); });
+          markTimers = [];
+          playoutEndsAt = 0;
+        } else if (msg.event === "mark" && msg.mark) {
+          // Echo it back once everything before it has played
+          var name = msg.mark.name;
+          var timer = setTimeout(function() {
+            markTimers.splice(markTimers.indexOf(timer), 1);
+            if (ws.readyState === WebSocket.OPEN) {
+              ws.send(JSON.stringify({ event: "mark", mark: { name: name } }));
+            }
+          }, Math.max(playoutEndsAt - Date.now(), 0));
+          markTimers.push(timer);
+        } else if (msg.event === "hangup") {
+          // Server is done with the call (answering machine, voicemail left)
+          call.hangup();
+        } else if (msg.event === "say" && msg.text) {
+          // Server prompt while the AI is unavailable - optionally hang up once it has been said
+          if (msg.hangup) {
+            call.addEventListener(CallEvents.PlaybackFinished, function onPromptFinished() {
+              call.removeEventListener(CallEvents.PlaybackFinished, onPromptFinished);
+              call.hangup();
+            });
+          }
+          call.say(msg.text, { language: PROMPT_VOICE });
+        } else if (msg.event === "transfer" && msg.transfer) {
+          transferCall(call, callId, ws, msg.transfer);
+        } else if (msg.event === "media" && msg.media && msg.media.payload) {
           var audioData = atob(msg.media.payload);
           var buffer = new Uint8Array(audioData.length);
           for (var i = 0; i < audioData.length; i++) {
@@ -133,6 +335,7 @@ function setupMediaStreaming(call, callId) {
           // Note: Voximplant API might use call.sendMedia() or call.sendMediaTo()
           // If sendMedia() doesn't work, try: call.sendMediaTo(ws) or other methods
           call.sendMedia(buffer);
+          playoutEndsAt = Math.max(playoutEndsAt, Date.now()) + buffer.length / MEDIA_BYTES_PER_MS;
         }
       } catch (error) {
         Logger.write("❌ WebSocket message error: " + error);
@@ -143,8 +346,13 @@ function setupMediaStreaming(call, callId) {
       Logger.write("❌ WebSocket error: " + e.text);
     });
     
-    ws.addEventListener(WebSocketEvents.Disconnected, function() {
+    ws.addEventListener(WebSocketEvents.Disconnected, function(e) {
       Logger.write("🔌 WebSocket disconnected for " + callId);
+      
+      // 4000 = the server ended the call (agent gone, timeout) - don't leave the caller in silence
+      if (e && e.code === 4000) {
+        call.hangup();
+      }
     });
   });
   
@@ -153,3 +361,79 @@ function setupMediaStreaming(call, callId) {
   });
 }
 
+
+/**
+ * Transfer the caller to a human agent
+ * Cold: bridge as soon as the agent answers
+ * Warm: read the AI's summary to the agent first, then bridge
+ */
+function transferCall(call, callId, ws, transfer) {
+  Logger.write("🔀 Transfer requested for " + callId + " to " + transfer.target + " (" + transfer.mode + ")");
+
+  var agentCall;
+  if (transfer.type === "user") {
+    agentCall = VoxEngine.callUser({
+      username: transfer.target,
+      callerid: call.callerid()
+    });
+  } else {
+    agentCall = VoxEngine.callPSTN(transfer.target, transfer.callerId || call.number());
+  }
+
+  sendWebhook(WEBHOOK_URL, {
+    event: "TransferStarted",
+    callId: callId,
+    sessionId: callId,
+    target: transfer.target,
+    mode: transfer.mode,
+    timestamp: new Date().toISOString()
+  });
+
+  function bridge() {
+    // Stop streaming to the AI and connect caller <-> agent
+    ws.close();
+    VoxEngine.sendMediaBetween(call, agentCall);
+
+    sendWebhook(WEBHOOK_URL, {
+      event: "TransferCompleted",
+      callId: callId,
+      sessionId: callId,
+      target: transfer.target,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  agentCall.addEventListener(CallEvents.Connected, function() {
+    Logger.write("✅ Transfer target answered for " + callId);
+
+    if (transfer.mode === "warm" && transfer.summary) {
+      agentCall.addEventListener(CallEvents.PlaybackFinished, function() {
+        bridge();
+      });
+      agentCall.say(transfer.summary, { language: TRANSFER_SUMMARY_VOICE });
+    } else {
+      bridge();
+    }
+  });
+
+  agentCall.addEventListener(CallEvents.Failed, function(e) {
+    Logger.write("❌ Transfer failed for " + callId + ": " + e.code + " " + e.reason);
+
+    sendWebhook(WEBHOOK_URL, {
+      event: "TransferFailed",
+      callId: callId,
+      sessionId: callId,
+      code: e.code,
+      reason: e.reason,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  // Either side hanging up ends the bridged call
+  agentCall.addEventListener(CallEvents.Disconnected, function() {
+    call.hangup();
+  });
+  call.addEventListener(CallEvents.Disconnected, function() {
+    agentCall.hangup();
+  });
+}
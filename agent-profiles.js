@@ -0,0 +1,576 @@
+// agent-profiles.js
+// Per-number agent profiles for the Tavari Voice Agent
+// Profiles are JSON files in PROFILES_DIR, selected by the number that was dialled (calleeId)
+
+import fs from 'fs';
+import path from 'path';
+import { DTMF_MODES, DTMF_DIGIT_TIMEOUT_MS } from './dtmf.js';
+import { BACKEND_TYPES } from './ai-backend.js';
+import { PIPELINE_STAGES, STAGE_DEFAULTS, adapterExists } from './pipeline-adapters.js';
+import { VAD_DEFAULTS, thresholdToDb } from './vad.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('agent-profiles');
+
+const PROFILES_DIR = process.env.PROFILES_DIR || path.resolve(process.cwd(), 'profiles');
+const DEFAULT_PROFILE_ID = process.env.DEFAULT_PROFILE_ID || 'default';
+
+// How the agent opens the call - see normalizeGreeting
+export const GREETING_MODES = ['scripted', 'generated', 'audio', 'wait'];
+const DEFAULT_GREETING_INSTRUCTIONS = 'Greet the caller briefly and ask how you can help.';
+
+// Who ends caller turns - see normalizeVad
+const VAD_TURN_DETECTION = ['server', 'local'];
+
+// What the caller hears when the OpenAI connection drops mid-call - see normalizeRecovery
+const RECOVERY_FALLBACKS = ['transfer', 'hangup'];
+const DEFAULT_RECOVERY_MESSAGE = 'One moment, please.';
+const DEFAULT_RECOVERY_MESSAGES = {
+  transfer: 'Sorry, I am having technical difficulties. Please hold while I transfer you to a colleague.',
+  hangup: 'Sorry, we are having technical difficulties. Please call back in a few minutes. Goodbye.'
+};
+
+/**
+ * Built-in profile - used when no default profile file exists
+ * Mirrors the settings the server used before profiles existed
+ */
+const BUILTIN_DEFAULT_PROFILE = {
+  id: 'default',
+  numbers: [],
+  model: 'gpt-4o-mini-realtime-preview',
+  backend: { type: 'openai', url: null }, // See normalizeBackend
+  voice: 'alloy',
+  language: null,
+  instructions: 'You are a helpful AI assistant. Be concise and natural in conversation.',
+  greeting: { mode: 'generated', text: null, instructions: DEFAULT_GREETING_INSTRUCTIONS, audioFile: null }, // See normalizeGreeting
+  tools: [],
+  transfer: null,
+  recording: true,
+  audioCodec: null, // 'auto', 'pcm16', 'g711_ulaw' or 'g711_alaw' - null uses AUDIO_CODEC_MODE
+  temperature: 0.8,
+  maxResponseOutputTokens: 4096,
+  // Turn detection and the noise gate - see normalizeVad
+  vad: {
+    threshold: 0.5,
+    prefixPaddingMs: 300,
+    silenceDurationMs: 500,
+    turnDetection: 'server',
+    noiseGate: false,
+    thresholdDb: null,
+    noiseMarginDb: VAD_DEFAULTS.noiseMarginDb,
+    zeroCrossingMinHz: VAD_DEFAULTS.zeroCrossingMinHz,
+    zeroCrossingMaxHz: VAD_DEFAULTS.zeroCrossingMaxHz,
+    minSpeechMs: VAD_DEFAULTS.minSpeechMs
+  },
+  // Keypad input - see normalizeDtmf
+  dtmf: {
+    mode: 'conversation',
+    terminator: '#',
+    maxDigits: null,
+    digitTimeoutMs: DTMF_DIGIT_TIMEOUT_MS,
+    menu: null
+  },
+  // Answering machine detection - see normalizeAnsweringMachine
+  answeringMachine: {
+    detect: 'outbound',
+    action: 'hangup',
+    message: null,
+    beepTimeoutMs: 20000
+  },
+  // OpenAI connection lost mid-call - see normalizeRecovery
+  recovery: {
+    message: DEFAULT_RECOVERY_MESSAGE,
+    fallback: 'hangup',
+    fallbackMessage: DEFAULT_RECOVERY_MESSAGES.hangup
+  }
+};
+
+const AMD_DETECT_MODES = ['outbound', 'always', 'off'];
+const AMD_ACTIONS = ['voicemail', 'hangup', 'continue'];
+
+const DTMF_KEY_PATTERN = /^[0-9*#A-D]$/;
+
+// profileId -> profile
+let profilesById = new Map();
+// normalized phone number -> profileId
+let profileIdsByNumber = new Map();
+
+let watcher = null;
+let reloadTimer = null;
+
+/**
+ * Normalize a phone number for matching (digits only, so "+1 (555) 010-0000" == "15550100000")
+ * @param {string} number - Phone number as sent by Voximplant or written in a profile
+ * @returns {string} - Digits only
+ */
+function normalizeNumber(number) {
+  return String(number || '').replace(/\D/g, '');
+}
+
+/**
+ * Normalize a profile's greeting to { mode, text, instructions, audioFile }
+ * - "text" (string) - scripted: the agent says exactly this
+ * - { mode: 'generated', instructions } - the model writes its own opening from the instructions
+ * - { mode: 'audio', audioFile, text } - a pre-rendered WAV in GREETINGS_DIR, played as soon as the call connects
+ * - { mode: 'wait' } - say nothing until the caller speaks
+ * @param {string|Object|null} greeting - `greeting` from the profile file
+ * @param {string} profileId - Profile ID (for warnings)
+ * @returns {Object} - Greeting settings
+ */
+function normalizeGreeting(greeting, profileId) {
+  if (typeof greeting === 'string') {
+    return { mode: 'scripted', text: greeting, instructions: null, audioFile: null };
+  }
+
+  const raw = greeting && typeof greeting === 'object' ? greeting : {};
+  let mode = raw.mode || (raw.text ? 'scripted' : 'generated');
+
+  if (!GREETING_MODES.includes(mode)) {
+    log.warn(`Unknown greeting mode "${mode}" - using generated`, { event: 'profile.invalid', profileId });
+    mode = 'generated';
+  }
+  if (mode === 'scripted' && !raw.text) {
+    log.warn('Scripted greeting without text - using generated', { event: 'profile.invalid', profileId });
+    mode = 'generated';
+  }
+  if (mode === 'audio' && !raw.audioFile) {
+    log.warn(`Audio greeting without audioFile - using ${raw.text ? 'scripted' : 'generated'}`, { event: 'profile.invalid', profileId });
+    mode = raw.text ? 'scripted' : 'generated';
+  }
+
+  return {
+    mode,
+    text: raw.text || null,
+    instructions: raw.instructions || DEFAULT_GREETING_INSTRUCTIONS,
+    audioFile: raw.audioFile || null
+  };
+}
+
+/**
+ * Normalize a profile's keypad settings
+ * - mode 'conversation': each entry is given to the model as a caller message
+ * - mode 'ivr': single keys pick an option from `menu` - { "1": { label, instructions } | { label, action: 'transfer', target } }
+ * - mode 'off': key presses are ignored
+ * The collect_digits tool works in 'conversation' and 'ivr' modes
+ * @param {Object} raw - `dtmf` from the profile file
+ * @param {string} profileId - Profile ID (for warnings)
+ * @returns {Object} - { mode, terminator, maxDigits, digitTimeoutMs, menu }
+ */
+function normalizeDtmf(raw, profileId) {
+  const dtmf = { ...BUILTIN_DEFAULT_PROFILE.dtmf, ...(raw || {}) };
+
+  if (!DTMF_MODES.includes(dtmf.mode)) {
+    log.warn(`Unknown dtmf mode "${dtmf.mode}" - using conversation`, { event: 'profile.invalid', profileId });
+    dtmf.mode = 'conversation';
+  }
+
+  const menu = {};
+  for (const [key, option] of Object.entries(dtmf.menu || {})) {
+    const digit = key.toUpperCase();
+    if (!DTMF_KEY_PATTERN.test(digit) || !option || typeof option !== 'object') {
+      log.warn(`Invalid dtmf menu key "${key}" - skipping`, { event: 'profile.invalid', profileId });
+      continue;
+    }
+    menu[digit] = { action: 'prompt', label: `Option ${digit}`, instructions: null, target: null, ...option };
+  }
+  dtmf.menu = Object.keys(menu).length > 0 ? menu : null;
+
+  if (dtmf.mode === 'ivr' && !dtmf.menu) {
+    log.warn('dtmf mode "ivr" without a menu - using conversation', { event: 'profile.invalid', profileId });
+    dtmf.mode = 'conversation';
+  }
+
+  return dtmf;
+}
+
+/**
+ * Normalize a profile's answering machine settings
+ * - detect: 'outbound' (default), 'always' (inbound too, e.g. forwarded calls) or 'off'
+ * - action on a machine: 'voicemail' (leave `message` after the beep), 'hangup' or 'continue'
+ *   Defaults to voicemail when a message is set, otherwise hangup
+ * - beepTimeoutMs: leave the message anyway if no beep is heard this long after the decision
+ * Detector timings (greetingMs, afterGreetingSilenceMs, ... - see answering-machine.js) can be overridden too
+ * @param {Object} raw - `answeringMachine` from the profile file
+ * @param {string} profileId - Profile ID (for warnings)
+ * @returns {Object} - Answering machine settings
+ */
+function normalizeAnsweringMachine(raw, profileId) {
+  const settings = { ...BUILTIN_DEFAULT_PROFILE.answeringMachine, ...(raw || {}) };
+  let action = raw?.action || null;
+
+  if (!AMD_DETECT_MODES.includes(settings.detect)) {
+    log.warn(`Unknown answeringMachine.detect "${settings.detect}" - using outbound`, { event: 'profile.invalid', profileId });
+    settings.detect = 'outbound';
+  }
+  if (action && !AMD_ACTIONS.includes(action)) {
+    log.warn(`Unknown answeringMachine.action "${action}" - using the default`, { event: 'profile.invalid', profileId });
+    action = null;
+  }
+  settings.action = action || (settings.message ? 'voicemail' : 'hangup');
+
+  return settings;
+}
+
+/**
+ * Validate a profile's voice activity detection settings
+ * - threshold, prefixPaddingMs, silenceDurationMs: OpenAI server_vad, also used by the local VAD (vad.js)
+ * - turnDetection: 'server' (the model's VAD ends turns) or 'local' (vad.js ends them with a manual commit)
+ * - noiseGate: only send the model caller turns, not the silence and line noise between them
+ * - thresholdDb, noiseMarginDb, zeroCrossingMinHz, zeroCrossingMaxHz, minSpeechMs: local VAD tuning -
+ *   thresholdDb null follows `threshold` (0-1 mapped onto -60..-20dBFS)
+ * @param {Object} raw - `vad` from the profile file
+ * @param {string} profileId - Profile ID (for warnings)
+ * @returns {Object} - VAD settings (also valid VoiceActivityDetector options)
+ */
+function normalizeVad(raw, profileId) {
+  const vad = { ...BUILTIN_DEFAULT_PROFILE.vad, ...(raw || {}) };
+  if (!VAD_TURN_DETECTION.includes(vad.turnDetection)) {
+    log.warn(`Unknown vad.turnDetection "${vad.turnDetection}" - using server`, { event: 'profile.invalid', profileId });
+    vad.turnDetection = 'server';
+  }
+  vad.noiseGate = vad.noiseGate === true;
+  if (typeof vad.thresholdDb !== 'number') {
+    vad.thresholdDb = thresholdToDb(vad.threshold);
+  }
+  return vad;
+}
+
+/**
+ * Validate a profile's model backend (see ai-backend.js)
+ * - type: 'openai' (OpenAI Realtime protocol) or 'pipeline' (speech-to-text -> chat model -> text-to-speech)
+ * - url: Realtime WebSocket URL without the model - null uses OPENAI_REALTIME_URL (e.g. the mock server for local runs)
+ * - stt, llm, tts (pipeline): { adapter, model } per stage, tts also `voice` - see pipeline-adapters.js
+ * @param {Object} raw - `backend` from the profile file
+ * @param {string} profileId - Profile ID (for warnings)
+ * @returns {Object} - Backend settings
+ */
+function normalizeBackend(raw, profileId) {
+  const settings = { ...BUILTIN_DEFAULT_PROFILE.backend, ...(raw || {}) };
+  if (!BACKEND_TYPES.includes(settings.type)) {
+    log.warn(`Unknown backend type "${settings.type}" - using openai`, { event: 'profile.invalid', profileId });
+    settings.type = 'openai';
+  }
+  if (settings.url && !/^wss?:\/\//.test(settings.url)) {
+    log.warn(`backend.url "${settings.url}" is not a ws:// or wss:// URL - using the default`, { event: 'profile.invalid', profileId });
+    settings.url = null;
+  }
+
+  if (settings.type === 'pipeline') {
+    for (const stage of PIPELINE_STAGES) {
+      const stageSettings = { ...STAGE_DEFAULTS[stage], ...(raw[stage] || {}) };
+      if (!adapterExists(stage, stageSettings.adapter)) {
+        log.warn(`Unknown backend.${stage}.adapter "${stageSettings.adapter}" - using ${STAGE_DEFAULTS[stage].adapter}`, { event: 'profile.invalid', profileId });
+        stageSettings.adapter = STAGE_DEFAULTS[stage].adapter;
+      }
+      settings[stage] = stageSettings;
+    }
+  }
+  return settings;
+}
+
+/**
+ * Validate a profile's `recovery` settings (OpenAI connection lost mid-call)
+ * - message: spoken by the scenario while the server reconnects (null for silence)
+ * - fallback: 'transfer' or 'hangup' once reconnecting gives up - defaults to transfer when the profile has a transfer target
+ * - fallbackMessage: spoken before the transfer / hangup (defaults depend on the fallback, null for none)
+ * @param {Object} raw - `recovery` from the profile file
+ * @param {Object} transfer - `transfer` from the profile file
+ * @param {string} profileId - Profile ID (for warnings)
+ * @returns {Object} - Recovery settings
+ */
+function normalizeRecovery(raw, transfer, profileId) {
+  let fallback = raw?.fallback || null;
+  if (fallback && !RECOVERY_FALLBACKS.includes(fallback)) {
+    log.warn(`Unknown recovery.fallback "${fallback}" - using the default`, { event: 'profile.invalid', profileId });
+    fallback = null;
+  }
+  if (fallback === 'transfer' && !transfer?.target) {
+    log.warn('recovery.fallback "transfer" without a transfer target - using hangup', { event: 'profile.invalid', profileId });
+    fallback = 'hangup';
+  }
+  fallback = fallback || (transfer?.target ? 'transfer' : 'hangup');
+
+  return {
+    message: raw?.message !== undefined ? raw.message : DEFAULT_RECOVERY_MESSAGE,
+    fallback,
+    fallbackMessage: raw?.fallbackMessage !== undefined ? raw.fallbackMessage : DEFAULT_RECOVERY_MESSAGES[fallback]
+  };
+}
+
+/**
+ * Merge a profile file over the built-in defaults
+ * @param {Object} raw - Parsed profile JSON
+ * @param {string} fallbackId - ID to use when the file doesn't set one (file name)
+ * @returns {Object} - Complete profile
+ */
+function normalizeProfile(raw, fallbackId) {
+  return {
+    ...BUILTIN_DEFAULT_PROFILE,
+    ...raw,
+    id: raw.id || fallbackId,
+    backend: normalizeBackend(raw.backend, raw.id || fallbackId),
+    greeting: normalizeGreeting(raw.greeting, raw.id || fallbackId),
+    numbers: Array.isArray(raw.numbers) ? raw.numbers : [],
+    tools: Array.isArray(raw.tools) ? raw.tools : [],
+    vad: normalizeVad(raw.vad, raw.id || fallbackId),
+    dtmf: normalizeDtmf(raw.dtmf, raw.id || fallbackId),
+    answeringMachine: normalizeAnsweringMachine(raw.answeringMachine, raw.id || fallbackId),
+    recovery: normalizeRecovery(raw.recovery, raw.transfer, raw.id || fallbackId)
+  };
+}
+
+/**
+ * Load (or reload) all profiles from PROFILES_DIR
+ * A broken file is skipped and logged - the previously loaded set stays in place if nothing loads
+ * @returns {number} - Number of profiles loaded
+ */
+export function loadProfiles() {
+  const nextById = new Map();
+  const nextByNumber = new Map();
+
+  let files = [];
+  try {
+    files = fs.readdirSync(PROFILES_DIR).filter(file => file.endsWith('.json'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      log.error('Could not read profiles directory', { event: 'profile.load_error', dir: PROFILES_DIR, error: error.message });
+    }
+  }
+
+  for (const file of files) {
+    const filePath = path.join(PROFILES_DIR, file);
+    try {
+      const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      const profile = normalizeProfile(raw, path.basename(file, '.json'));
+
+      if (nextById.has(profile.id)) {
+        log.warn('Duplicate profile id - skipping', { event: 'profile.duplicate', profileId: profile.id, file });
+        continue;
+      }
+      nextById.set(profile.id, profile);
+
+      for (const number of profile.numbers) {
+        const normalized = normalizeNumber(number);
+        if (!normalized) {
+          continue;
+        }
+        if (nextByNumber.has(normalized)) {
+          log.warn('Number is assigned to two profiles - keeping the first', { event: 'profile.duplicate_number', number, profileId: profile.id, keptProfileId: nextByNumber.get(normalized) });
+          continue;
+        }
+        nextByNumber.set(normalized, profile.id);
+      }
+    } catch (error) {
+      log.error('Invalid profile file', { event: 'profile.invalid_file', file, error: error.message });
+    }
+  }
+
+  if (files.length > 0 && nextById.size === 0 && profilesById.size > 0) {
+    log.warn('No valid profiles after reload - keeping previous profiles', { event: 'profile.reload_empty' });
+    return profilesById.size;
+  }
+
+  profilesById = nextById;
+  profileIdsByNumber = nextByNumber;
+
+  log.info(`Loaded ${profilesById.size} agent profile(s)`, { event: 'profile.loaded', dir: PROFILES_DIR, count: profilesById.size });
+  return profilesById.size;
+}
+
+/**
+ * Watch PROFILES_DIR and reload profiles when a file changes (no restart needed)
+ * Calls in progress keep the profile they started with
+ */
+export function watchProfiles() {
+  if (watcher) {
+    return;
+  }
+
+  try {
+    watcher = fs.watch(PROFILES_DIR, () => {
+      // Editors fire several events per save - debounce them
+      clearTimeout(reloadTimer);
+      reloadTimer = setTimeout(() => {
+        log.info('Profiles changed, reloading', { event: 'profile.reload' });
+        loadProfiles();
+      }, 250);
+    });
+    watcher.on('error', (error) => {
+      log.error('Profile watcher error', { event: 'profile.watch_error', error: error.message });
+    });
+  } catch (error) {
+    log.warn('Not watching profiles directory for changes', { event: 'profile.watch_error', dir: PROFILES_DIR, error: error.message });
+  }
+}
+
+/**
+ * Get the default profile (DEFAULT_PROFILE_ID, or the built-in one)
+ * @returns {Object} - Agent profile
+ */
+export function getDefaultProfile() {
+  return profilesById.get(DEFAULT_PROFILE_ID) || BUILTIN_DEFAULT_PROFILE;
+}
+
+/**
+ * Get a profile by ID
+ * @param {string} profileId - Profile ID
+ * @returns {Object|null} - Agent profile, or null if unknown
+ */
+export function getProfileById(profileId) {
+  return profilesById.get(profileId) || null;
+}
+
+/**
+ * Select the profile for a dialled number, falling back to the default profile
+ * @param {string} calleeId - Number the caller dialled
+ * @returns {Object} - Agent profile
+ */
+export function getProfileForNumber(calleeId) {
+  const profileId = profileIdsByNumber.get(normalizeNumber(calleeId));
+  return (profileId && profilesById.get(profileId)) || getDefaultProfile();
+}
+
+/**
+ * List loaded profiles (for the debug/admin route)
+ * @returns {Object[]} - Agent profiles
+ */
+export function listProfiles() {
+  return Array.from(profilesById.values());
+}
+
+/**
+ * Where a call on this profile may be transferred: its `transfer` target and the keypad menu's transfer options
+ * @param {Object} profile - Agent profile
+ * @returns {string[]} - Transfer targets
+ */
+export function getTransferTargets(profile) {
+  const targets = [profile.transfer?.target, ...Object.values(profile.dtmf.menu || {}).map(option => option.action === 'transfer' && option.target)];
+  return [...new Set(targets.filter(Boolean))];
+}
+
+/**
+ * Fill {{name}} placeholders from call variables
+ * {{name|fallback}} uses the fallback when the variable is missing; otherwise missing names become empty
+ * @param {string} text - Instructions or greeting
+ * @param {Object} variables - Call variables
+ * @returns {string} - Filled text
+ */
+function fillTemplate(text, variables) {
+  return text.replace(/\{\{\s*([\w.-]+)\s*(?:\|([^}]*))?\}\}/g, (match, name, fallback = '') => {
+    const value = variables[name];
+    return value === undefined || value === null || value === '' ? fallback.trim() : String(value);
+  });
+}
+
+/**
+ * Fill a profile's greeting for one call
+ * @param {Object} profile - Agent profile
+ * @param {Object} [variables] - Call variables for {{name}} placeholders
+ * @returns {Object} - { mode, text, instructions, audioFile } with placeholders filled
+ */
+export function buildGreeting(profile, variables = {}) {
+  const greeting = profile.greeting;
+  return {
+    ...greeting,
+    text: greeting.text ? fillTemplate(greeting.text, variables) : null,
+    instructions: greeting.instructions ? fillTemplate(greeting.instructions, variables) : null
+  };
+}
+
+/**
+ * Fill a profile's voicemail message for one call
+ * @param {Object} profile - Agent profile
+ * @param {Object} [variables] - Call variables for {{name}} placeholders
+ * @returns {string|null} - Message, or null to let the model write one
+ */
+export function buildVoicemailMessage(profile, variables = {}) {
+  const message = profile.answeringMachine.message;
+  return message ? fillTemplate(message, variables) : null;
+}
+
+/**
+ * Fill a profile's recovery prompts for one call
+ * @param {Object} profile - Agent profile
+ * @param {Object} [variables] - Call variables for {{name}} placeholders
+ * @returns {Object} - { message, fallback, fallbackMessage } with placeholders filled
+ */
+export function buildRecoveryMessages(profile, variables = {}) {
+  const recovery = profile.recovery;
+  return {
+    ...recovery,
+    message: recovery.message ? fillTemplate(recovery.message, variables) : null,
+    fallbackMessage: recovery.fallbackMessage ? fillTemplate(recovery.fallbackMessage, variables) : null
+  };
+}
+
+/**
+ * Build the OpenAI Realtime session.update payload for a profile
+ * @param {Object} profile - Agent profile
+ * @param {Object[]} [tools] - Function declarations for the profile's tools
+ * @param {string} [audioFormat] - OpenAI audio format for both directions (pcm16, g711_ulaw, g711_alaw)
+ * @param {Object} [call] - { direction, variables } - variables fill {{name}} placeholders and are listed for the model
+ * @returns {Object} - `session` object for session.update
+ */
+export function buildSessionConfig(profile, tools = [], audioFormat = 'pcm16', call = {}) {
+  const variables = call.variables || {};
+  let instructions = fillTemplate(profile.instructions, variables);
+
+  if (call.direction === 'outbound') {
+    instructions += '\n\nThis is an outbound call: you called this person. Introduce yourself and say why you are calling before anything else.';
+  }
+
+  const variableNames = Object.keys(variables);
+  if (variableNames.length > 0) {
+    instructions += '\n\nWhat we know about this call:\n' + variableNames
+      .map(name => `- ${name}: ${typeof variables[name] === 'object' ? JSON.stringify(variables[name]) : variables[name]}`)
+      .join('\n');
+  }
+
+  if (profile.language) {
+    instructions += `\n\nAlways respond in this language: ${profile.language}.`;
+  }
+
+  if (profile.transfer?.target) {
+    instructions += '\n\nIf the caller asks to speak to a person, or you cannot help them, call the transfer_call tool with a short summary of the call so far.';
+  }
+
+  if (profile.dtmf.mode !== 'off') {
+    instructions += '\n\nCallers can also use their keypad. Key presses reach you as messages starting with [Keypad]. To ask for a number such as an account number or PIN, tell the caller what to enter, then call the collect_digits tool.';
+  }
+
+  if (profile.dtmf.mode === 'ivr') {
+    instructions += '\n\nKeypad menu (mention the options when it helps the caller):\n' + Object.entries(profile.dtmf.menu)
+      .map(([digit, option]) => `- Press ${digit}: ${option.label}`)
+      .join('\n');
+  }
+
+  const inputAudioTranscription = { model: 'whisper-1' };
+  if (profile.language) {
+    inputAudioTranscription.language = profile.language;
+  }
+
+  const config = {
+    modalities: ['text', 'audio'],
+    instructions,
+    voice: profile.voice,
+    input_audio_format: audioFormat,
+    input_audio_transcription: inputAudioTranscription,
+    output_audio_format: audioFormat,
+    // Local turn detection commits the input buffer itself (see vad.js)
+    turn_detection: profile.vad.turnDetection === 'local' ? null : {
+      type: 'server_vad',
+      threshold: profile.vad.threshold,
+      prefix_padding_ms: profile.vad.prefixPaddingMs,
+      silence_duration_ms: profile.vad.silenceDurationMs
+    },
+    temperature: profile.temperature,
+    max_response_output_tokens: profile.maxResponseOutputTokens
+  };
+
+  if (tools.length > 0) {
+    config.tools = tools;
+    config.tool_choice = 'auto';
+  }
+
+  return config;
+}
@@ -0,0 +1,754 @@
+// ai-backend.js
+// Model backends behind one interface, so the call pipeline doesn't depend on one vendor's socket
+// The server talks to a backend with methods (configure, appendAudio, createResponse, ...) and listens to
+// OpenAI Realtime server events ('event': session.updated, response.audio.delta, ...) - every backend emits those
+// Selected per profile (`backend.type`, see normalizeBackend in agent-profiles.js):
+// - openai: the OpenAI Realtime API (speech to speech)
+// - pipeline: local VAD, then speech-to-text -> chat model -> text-to-speech (see pipeline-adapters.js)
+
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+import WebSocket from 'ws';
+import { createLogger } from './logger.js';
+import { openaiMediaFormat } from './audio-path.js';
+import { decodeAudio, encodeAudio, bytesPerMs } from './media-protocol.js';
+import { StreamingResampler } from './resampler.js';
+import { VoiceActivityDetector, thresholdToDb } from './vad.js';
+import { createStageAdapter, PIPELINE_STAGES, TTS_SAMPLE_RATE } from './pipeline-adapters.js';
+
+const log = createLogger('ai-backend');
+
+export const BACKEND_TYPES = ['openai', 'pipeline'];
+
+const DEFAULT_OPENAI_REALTIME_URL = 'wss://api.openai.com/v1/realtime';
+
+const SOCKET_STATES = ['connecting', 'open', 'closing', 'closed'];
+
+/**
+ * OpenAI Realtime API over a WebSocket - also works with anything speaking the same protocol
+ * (e.g. mock-realtime-server.js, or a proxy)
+ *
+ * Events: 'open', 'event' (Realtime server event), 'error' (Error), 'close' (code)
+ */
+export class OpenAIRealtimeBackend extends EventEmitter {
+  /**
+   * @param {Object} options - { url, model, apiKey, callId }
+   */
+  constructor({ url, model, apiKey, callId }) {
+    super();
+    this.url = url;
+    this.model = model;
+    this.apiKey = apiKey;
+    this.callId = callId;
+    this.ws = null;
+  }
+
+  /**
+   * @returns {string} - Backend type
+   */
+  get type() {
+    return 'openai';
+  }
+
+  /**
+   * @returns {string} - 'connecting', 'open', 'closing' or 'closed' ('closed' before connect)
+   */
+  get state() {
+    return this.ws ? SOCKET_STATES[this.ws.readyState] : 'closed';
+  }
+
+  /**
+   * @returns {boolean} - True if commands can be sent
+   */
+  get isOpen() {
+    return Boolean(this.ws) && this.ws.readyState === WebSocket.OPEN;
+  }
+
+  /**
+   * Open the connection - 'open' follows, or 'error' and 'close'
+   */
+  connect() {
+    const separator = this.url.includes('?') ? '&' : '?';
+    const headers = { 'OpenAI-Beta': 'realtime=v1' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    const ws = new WebSocket(`${this.url}${separator}model=${encodeURIComponent(this.model)}`, { headers });
+    this.ws = ws;
+
+    ws.on('open', () => this.emit('open'));
+    ws.on('message', (data) => {
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch (error) {
+        log.error('Unparseable Realtime event', { callId: this.callId, event: 'backend.bad_event', error });
+        return;
+      }
+      this.emit('event', message);
+    });
+    ws.on('error', (error) => this.emit('error', error));
+    ws.on('close', (code) => this.emit('close', code));
+  }
+
+  /**
+   * Send a client event
+   * @param {Object} message - Realtime client event
+   * @returns {boolean} - True if sent
+   */
+  send(message) {
+    if (!this.isOpen) {
+      return false;
+    }
+    this.ws.send(JSON.stringify(message));
+    return true;
+  }
+
+  /**
+   * Configure the session (instructions, voice, audio formats, turn detection, tools) - may be partial
+   * @param {Object} session - `session` object of session.update
+   * @returns {boolean} - True if sent
+   */
+  configure(session) {
+    return this.send({ type: 'session.update', session });
+  }
+
+  /**
+   * Caller audio, in the session's input format
+   * @param {Buffer} audio - Audio chunk
+   * @returns {boolean} - True if sent
+   */
+  appendAudio(audio) {
+    return this.send({ type: 'input_audio_buffer.append', audio: audio.toString('base64') });
+  }
+
+  /**
+   * End the caller's turn - for sessions without turn_detection
+   * @returns {boolean} - True if sent
+   */
+  commit() {
+    return this.send({ type: 'input_audio_buffer.commit' });
+  }
+
+  /**
+   * Add a conversation item (message, function_call_output)
+   * @param {Object} item - Conversation item
+   * @returns {boolean} - True if sent
+   */
+  addItem(item) {
+    return this.send({ type: 'conversation.item.create', item });
+  }
+
+  /**
+   * Ask the model to respond (audio and text)
+   * @param {Object} [response] - response.create options (e.g. { instructions })
+   * @returns {boolean} - True if sent
+   */
+  createResponse(response = {}) {
+    return this.send({ type: 'response.create', response: { modalities: ['audio', 'text'], ...response } });
+  }
+
+  /**
+   * Cancel the response in progress
+   * @returns {boolean} - True if sent
+   */
+  cancel() {
+    return this.send({ type: 'response.cancel' });
+  }
+
+  /**
+   * Cut an assistant item's audio at what the caller actually heard
+   * @param {string} itemId - Assistant item ID
+   * @param {number} contentIndex - Content part index
+   * @param {number} audioEndMs - Audio played, in ms
+   * @returns {boolean} - True if sent
+   */
+  truncate(itemId, contentIndex, audioEndMs) {
+    return this.send({ type: 'conversation.item.truncate', item_id: itemId, content_index: contentIndex, audio_end_ms: audioEndMs });
+  }
+
+  /**
+   * Close the connection ('close' follows)
+   */
+  close() {
+    if (this.ws && this.ws.readyState !== WebSocket.CLOSED) {
+      this.ws.close();
+    }
+  }
+}
+
+/**
+ * @param {string} prefix - ID prefix (item, resp, call)
+ * @returns {string} - Realtime-style ID
+ */
+function newId(prefix) {
+  return `${prefix}_${randomUUID().replace(/-/g, '').slice(0, 20)}`;
+}
+
+/**
+ * Text of a Realtime message item
+ * @param {Object} item - Conversation item
+ * @returns {string} - Text and transcripts of its content parts
+ */
+function itemText(item) {
+  return (item.content || []).map(part => part.text || part.transcript || '').join(' ').trim();
+}
+
+/**
+ * Take the complete sentences off the front of streamed text
+ * A sentence ends at . ! or ? followed by whitespace - the end of the text may still be mid-sentence ("3.5")
+ * @param {string} text - Text so far
+ * @returns {{ sentences: string[], rest: string }} - Complete sentences and the unfinished remainder
+ */
+function takeSentences(text) {
+  const sentences = [];
+  let rest = text;
+  let match;
+  while ((match = /[.!?]+["')\]]*\s+/.exec(rest))) {
+    const end = match.index + match[0].length;
+    sentences.push(rest.slice(0, end).trim());
+    rest = rest.slice(end);
+  }
+  return { sentences, rest };
+}
+
+/**
+ * Cascaded pipeline: local VAD finds caller turns, then speech-to-text -> chat model -> text-to-speech
+ * For voices and text models (with tools) the Realtime API doesn't offer. Speaks the Realtime event protocol
+ * towards the server, so calls, transcripts, tools and barge-in work the same as with OpenAIRealtimeBackend.
+ *
+ * Replies are spoken sentence by sentence: each sentence goes to text-to-speech as soon as the chat model
+ * finishes it. Responses only start on createResponse (the server asks for one per caller turn); a response
+ * asked for while a turn is being transcribed waits for the transcript.
+ *
+ * Events: 'open', 'event' (Realtime server event), 'error' (Error), 'close' (code)
+ */
+export class PipelineBackend extends EventEmitter {
+  /**
+   * @param {Object} options - { settings (profile `backend`), vad (profile `vad`), callId }
+   */
+  constructor({ settings, vad = {}, callId }) {
+    super();
+    this.settings = settings;
+    this.vadOptions = vad;
+    this.callId = callId;
+    this.adapters = null; // { stt, llm, tts }
+    this.status = 'closed';
+
+    this.config = {}; // Realtime session config (configure)
+    this.vad = null;
+    this.inputAudio = []; // Caller audio since the last commit (no turn_detection)
+    this.messages = []; // Chat history: { itemId, message, audioMs } (audioMs: how long an assistant reply played)
+    this.transcribing = Promise.resolve(); // Caller turns still being transcribed, in order
+    this.turnItemId = null; // Caller turn in progress
+    this.response = null; // { id, itemId, abort, text, spokenText, audioMs }
+  }
+
+  get type() {
+    return 'pipeline';
+  }
+
+  get state() {
+    return this.status;
+  }
+
+  get isOpen() {
+    return this.status === 'open';
+  }
+
+  /**
+   * Create the stage adapters - 'open' follows, or 'error' and 'close'
+   */
+  connect() {
+    this.status = 'connecting';
+    Promise.all(PIPELINE_STAGES.map(stage => createStageAdapter(stage, this.settings[stage])))
+      .then(([stt, llm, tts]) => {
+        if (this.status !== 'connecting') {
+          return;
+        }
+        this.adapters = { stt, llm, tts };
+        this.status = 'open';
+        this.emit('open');
+      })
+      .catch(error => {
+        this.status = 'closed';
+        this.emit('error', error);
+        this.emit('close', 1011);
+      });
+  }
+
+  /**
+   * Emit a Realtime server event - always asynchronously, like events arriving over a socket
+   * @param {Object} event - Server event
+   */
+  emitEvent(event) {
+    setImmediate(() => {
+      if (this.status === 'open') {
+        this.emit('event', event);
+      }
+    });
+  }
+
+  /**
+   * @param {string} code - Realtime error code
+   * @param {string} message - Error message
+   */
+  emitError(code, message) {
+    this.emitEvent({ type: 'error', error: { type: 'invalid_request_error', code, message } });
+  }
+
+  /**
+   * Session config, in session.update form: instructions, voice, tools, audio formats and turn detection
+   * @param {Object} session - May be partial
+   * @returns {boolean} - True if applied
+   */
+  configure(session) {
+    if (!this.isOpen) {
+      return false;
+    }
+    const previous = this.config;
+    this.config = { ...this.config, ...session };
+
+    // Stands in for server_vad - without turn_detection the caller's turns end with commit(). Rebuilt only when
+    // its settings change: a new detector would drop the caller turn in progress
+    const turnDetection = this.config.turn_detection;
+    const vadChanged = JSON.stringify(turnDetection) !== JSON.stringify(previous.turn_detection)
+      || this.config.input_audio_format !== previous.input_audio_format;
+    if (vadChanged) {
+      const inputFormat = openaiMediaFormat(this.config.input_audio_format);
+      this.vad = turnDetection
+        ? new VoiceActivityDetector(inputFormat.sampleRate, {
+          thresholdDb: thresholdToDb(turnDetection.threshold ?? 0.5),
+          ...this.vadOptions,
+          prefixPaddingMs: turnDetection.prefix_padding_ms,
+          silenceDurationMs: turnDetection.silence_duration_ms
+        }, (type, details) => this.handleVadEvent(type, details))
+        : null;
+    }
+
+    this.emitEvent({ type: 'session.updated', session: this.config });
+    return true;
+  }
+
+  /**
+   * Caller audio, in the session's input format
+   * @param {Buffer} audio - Audio chunk
+   * @returns {boolean} - True if accepted
+   */
+  appendAudio(audio) {
+    if (!this.isOpen) {
+      return false;
+    }
+    const pcm = decodeAudio(audio, openaiMediaFormat(this.config.input_audio_format));
+    if (this.vad) {
+      this.vad.process(pcm);
+    } else {
+      this.inputAudio.push(pcm);
+    }
+    return true;
+  }
+
+  /**
+   * End the caller's turn - for sessions without turn_detection
+   * @returns {boolean} - True if accepted
+   */
+  commit() {
+    if (!this.isOpen) {
+      return false;
+    }
+    if (this.vad || this.inputAudio.length === 0) {
+      this.emitError('input_audio_buffer_commit_empty', 'Input audio buffer is empty');
+      return true;
+    }
+    const audio = Buffer.concat(this.inputAudio);
+    this.inputAudio = [];
+    this.commitTurn(newId('item'), audio);
+    return true;
+  }
+
+  /**
+   * Caller turn boundaries from the VAD
+   * @param {string} type - 'speech_started' or 'speech_stopped'
+   * @param {Object} details - { atMs, audio }
+   */
+  handleVadEvent(type, details) {
+    if (type === 'speech_started') {
+      this.turnItemId = newId('item');
+      this.emitEvent({ type: 'input_audio_buffer.speech_started', audio_start_ms: details.atMs, item_id: this.turnItemId });
+      return;
+    }
+
+    const itemId = this.turnItemId;
+    this.turnItemId = null;
+    this.emitEvent({ type: 'input_audio_buffer.speech_stopped', audio_end_ms: details.atMs, item_id: itemId });
+    this.commitTurn(itemId, details.audio);
+  }
+
+  /**
+   * Turn a caller turn's audio into a user item and transcribe it
+   * @param {string} itemId - Caller item ID
+   * @param {Buffer} pcm - Turn audio (PCM16 at the input rate)
+   */
+  commitTurn(itemId, pcm) {
+    this.emitEvent({ type: 'input_audio_buffer.committed', previous_item_id: null, item_id: itemId });
+    this.emitEvent({
+      type: 'conversation.item.created',
+      item: { id: itemId, type: 'message', status: 'completed', role: 'user', content: [{ type: 'input_audio', transcript: null }] }
+    });
+    this.transcribeTurn(itemId, pcm);
+  }
+
+  /**
+   * Transcribe a caller turn and add it to the chat history (turns keep their order)
+   * @param {string} itemId - Caller item ID
+   * @param {Buffer} pcm - Turn audio (PCM16 at the input rate)
+   */
+  transcribeTurn(itemId, pcm) {
+    const sampleRate = openaiMediaFormat(this.config.input_audio_format).sampleRate;
+    const language = this.config.input_audio_transcription?.language || null;
+    const transcription = this.adapters.stt.transcribe(pcm, { sampleRate, language });
+    transcription.catch(() => {}); // Handled in turn below - an earlier turn may still be transcribing
+
+    this.transcribing = this.transcribing.then(async () => {
+      const startedAt = Date.now();
+      try {
+        const transcript = await transcription;
+        log.debug('Caller turn transcribed', { callId: this.callId, event: 'pipeline.transcribed', latencyMs: Date.now() - startedAt });
+        if (transcript) {
+          this.messages.push({ itemId, message: { role: 'user', content: transcript } });
+        }
+        this.emitEvent({ type: 'conversation.item.input_audio_transcription.completed', item_id: itemId, content_index: 0, transcript });
+      } catch (error) {
+        log.error('Speech-to-text failed', { callId: this.callId, event: 'pipeline.stt_error', error });
+        this.emitEvent({
+          type: 'conversation.item.input_audio_transcription.failed',
+          item_id: itemId,
+          content_index: 0,
+          error: { type: 'transcription_error', message: error.message }
+        });
+      }
+    });
+  }
+
+  /**
+   * Add a conversation item - messages and function_call_output become chat history
+   * @param {Object} item - Realtime conversation item
+   * @returns {boolean} - True if added
+   */
+  addItem(item) {
+    if (!this.isOpen) {
+      return false;
+    }
+    const created = { id: newId('item'), status: 'completed', ...item };
+
+    if (item.type === 'function_call_output') {
+      this.messages.push({ itemId: created.id, message: { role: 'tool', tool_call_id: item.call_id, content: item.output } });
+    } else if (item.type === 'message') {
+      this.messages.push({ itemId: created.id, message: { role: item.role, content: itemText(item) } });
+    }
+
+    this.emitEvent({ type: 'conversation.item.created', previous_item_id: null, item: created });
+    return true;
+  }
+
+  /**
+   * Start a response - chat model reply spoken by text-to-speech, or tool calls
+   * @param {Object} [options] - { instructions } (replace the session's for this response)
+   * @returns {boolean} - True if accepted
+   */
+  createResponse(options = {}) {
+    if (!this.isOpen) {
+      return false;
+    }
+    if (this.response) {
+      this.emitError('conversation_already_has_active_response', `Conversation already has an active response: ${this.response.id}`);
+      return true;
+    }
+
+    const response = {
+      id: newId('resp'),
+      itemId: newId('item'),
+      abort: new AbortController(),
+      text: '',
+      spokenText: '',
+      audioMs: 0
+    };
+    this.response = response;
+    this.emitEvent({ type: 'response.created', response: { id: response.id, object: 'realtime.response', status: 'in_progress', output: [] } });
+
+    this.runResponse(response, options.instructions || null).catch(error => {
+      if (this.response !== response) {
+        return; // Cancelled - the abort surfaces here
+      }
+      log.error('Pipeline response failed', { callId: this.callId, event: 'pipeline.response_error', error });
+      this.emitEvent({ type: 'error', error: { type: 'server_error', code: 'pipeline_error', message: error.message } });
+      this.finishResponse(response, 'failed', []);
+    });
+    return true;
+  }
+
+  /**
+   * Run one response: stream the chat reply, speaking each finished sentence
+   * @param {Object} response - Response in progress
+   * @param {string|null} instructions - System prompt for this response (null: the session's)
+   */
+  async runResponse(response, instructions) {
+    const { llm, tts } = this.adapters;
+    const signal = response.abort.signal;
+    const startedAt = Date.now();
+    const part = { response_id: response.id, item_id: response.itemId, output_index: 0, content_index: 0 };
+
+    // Respond to the caller's last words, not to a half-transcribed turn
+    await this.transcribing;
+    if (this.response !== response) {
+      return;
+    }
+
+    // Nothing new to answer (the turn was noise and transcribed empty)
+    const last = this.messages[this.messages.length - 1];
+    if (!instructions && (!last || last.message.role === 'assistant')) {
+      this.finishResponse(response, 'completed', []);
+      return;
+    }
+
+    const tools = (this.config.tools || []).map(tool => ({
+      type: 'function',
+      function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+    }));
+    const messages = [{ role: 'system', content: instructions || this.config.instructions || '' }, ...this.messages.map(entry => entry.message)];
+
+    const outputFormat = openaiMediaFormat(this.config.output_audio_format);
+    const resampler = new StreamingResampler(TTS_SAMPLE_RATE, outputFormat.sampleRate);
+    let firstAudioAt = null;
+    let messageStarted = false;
+    let speaking = Promise.resolve();
+    let speakError = null;
+
+    // Sentences are spoken in order while the model keeps writing
+    const speak = (sentence) => {
+      speaking = speaking.then(async () => {
+        if (speakError) {
+          return;
+        }
+        for await (const pcm of tts.synthesize(sentence, { voice: this.settings.tts.voice || this.config.voice, signal })) {
+          if (this.response !== response) {
+            return;
+          }
+          const audio = encodeAudio(resampler.process(pcm), outputFormat);
+          if (!firstAudioAt) {
+            firstAudioAt = Date.now();
+            log.debug('First reply audio', { callId: this.callId, event: 'pipeline.first_audio', latencyMs: firstAudioAt - startedAt });
+          }
+          response.audioMs += audio.length / bytesPerMs(outputFormat);
+          this.emitEvent({ type: 'response.audio.delta', ...part, delta: audio.toString('base64') });
+        }
+        response.spokenText = `${response.spokenText} ${sentence}`.trim();
+      }).catch(error => {
+        speakError = speakError || error;
+      });
+    };
+
+    const startMessage = () => {
+      messageStarted = true;
+      this.emitEvent({
+        type: 'response.output_item.added',
+        response_id: response.id,
+        output_index: 0,
+        item: { id: response.itemId, type: 'message', status: 'in_progress', role: 'assistant', content: [] }
+      });
+      this.emitEvent({ type: 'response.content_part.added', ...part, part: { type: 'audio', transcript: '' } });
+    };
+
+    const toolCalls = [];
+    let pending = '';
+    for await (const chunk of llm.stream(messages, {
+      tools,
+      temperature: this.config.temperature,
+      maxTokens: this.config.max_response_output_tokens,
+      signal
+    })) {
+      if (this.response !== response) {
+        return;
+      }
+      if (chunk.type === 'tool_call') {
+        toolCalls.push({ ...chunk, callId: chunk.callId || newId('call') });
+        continue;
+      }
+      if (!messageStarted) {
+        startMessage();
+      }
+      response.text += chunk.text;
+      this.emitEvent({ type: 'response.audio_transcript.delta', ...part, delta: chunk.text });
+
+      const { sentences, rest } = takeSentences(pending + chunk.text);
+      pending = rest;
+      sentences.forEach(speak);
+    }
+    if (pending.trim()) {
+      speak(pending.trim());
+    }
+    await speaking;
+    if (this.response !== response) {
+      return;
+    }
+    if (speakError) {
+      throw speakError;
+    }
+
+    const output = [];
+    if (messageStarted) {
+      const item = {
+        id: response.itemId,
+        type: 'message',
+        status: 'completed',
+        role: 'assistant',
+        content: [{ type: 'audio', transcript: response.text }]
+      };
+      this.emitEvent({ type: 'response.audio.done', ...part });
+      this.emitEvent({ type: 'response.audio_transcript.done', ...part, transcript: response.text });
+      this.emitEvent({ type: 'response.content_part.done', ...part, part: item.content[0] });
+      this.emitEvent({ type: 'response.output_item.done', response_id: response.id, output_index: 0, item });
+      output.push(item);
+    }
+
+    toolCalls.forEach((call, index) => {
+      const item = { id: newId('item'), type: 'function_call', status: 'completed', call_id: call.callId, name: call.name, arguments: call.arguments };
+      const outputIndex = output.length;
+      this.emitEvent({ type: 'response.output_item.added', response_id: response.id, output_index: outputIndex, item: { ...item, arguments: '' } });
+      this.emitEvent({
+        type: 'response.function_call_arguments.done',
+        response_id: response.id,
+        item_id: item.id,
+        output_index: outputIndex,
+        call_id: call.callId,
+        name: call.name,
+        arguments: call.arguments
+      });
+      this.emitEvent({ type: 'response.output_item.done', response_id: response.id, output_index: outputIndex, item });
+      output.push(item);
+    });
+
+    this.finishResponse(response, 'completed', output, toolCalls);
+  }
+
+  /**
+   * End a response: record the reply in the chat history and emit response.done
+   * @param {Object} response - Response in progress
+   * @param {string} status - 'completed', 'cancelled' or 'failed'
+   * @param {Object[]} output - Output items
+   * @param {Object[]} [toolCalls] - Tool calls the model made
+   */
+  finishResponse(response, status, output, toolCalls = []) {
+    if (this.response !== response) {
+      return;
+    }
+    this.response = null;
+
+    // A cut-off reply is remembered as far as it was spoken
+    const text = status === 'completed' ? response.text : response.spokenText;
+    if (text || toolCalls.length > 0) {
+      const message = { role: 'assistant', content: text || null };
+      if (toolCalls.length > 0) {
+        message.tool_calls = toolCalls.map(call => ({
+          id: call.callId,
+          type: 'function',
+          function: { name: call.name, arguments: call.arguments }
+        }));
+      }
+      this.messages.push({ itemId: response.itemId, message, audioMs: response.audioMs });
+    }
+
+    this.emitEvent({
+      type: 'response.done',
+      response: {
+        id: response.id,
+        object: 'realtime.response',
+        status,
+        status_details: status === 'cancelled' ? { type: 'cancelled', reason: 'client_cancelled' } : null,
+        output,
+        usage: null
+      }
+    });
+  }
+
+  /**
+   * Cancel the response in progress (stops the chat model and text-to-speech)
+   * @returns {boolean} - True if accepted
+   */
+  cancel() {
+    if (!this.isOpen) {
+      return false;
+    }
+    const response = this.response;
+    if (!response) {
+      this.emitError('response_cancel_not_active', 'Cancellation failed: no active response found');
+      return true;
+    }
+    this.finishResponse(response, 'cancelled', []);
+    response.abort.abort();
+    return true;
+  }
+
+  /**
+   * Cut an assistant reply in the chat history at what the caller heard (in proportion to the audio played)
+   * @param {string} itemId - Assistant item ID
+   * @param {number} contentIndex - Content part index
+   * @param {number} audioEndMs - Audio played, in ms
+   * @returns {boolean} - True if accepted
+   */
+  truncate(itemId, contentIndex, audioEndMs) {
+    if (!this.isOpen) {
+      return false;
+    }
+    const entry = this.messages.find(candidate => candidate.itemId === itemId && candidate.message.role === 'assistant');
+    if (entry && entry.message.content && entry.audioMs > audioEndMs) {
+      const words = entry.message.content.split(' ');
+      entry.message.content = words.slice(0, Math.round(words.length * audioEndMs / entry.audioMs)).join(' ');
+      entry.audioMs = audioEndMs;
+    }
+    this.emitEvent({ type: 'conversation.item.truncated', item_id: itemId, content_index: contentIndex, audio_end_ms: audioEndMs });
+    return true;
+  }
+
+  /**
+   * Stop the pipeline ('close' follows)
+   */
+  close() {
+    if (this.status === 'closed' || this.status === 'closing') {
+      return;
+    }
+    this.status = 'closing';
+    if (this.response) {
+      this.response.abort.abort();
+      this.response = null;
+    }
+    setImmediate(() => {
+      this.status = 'closed';
+      this.emit('close', 1000);
+    });
+  }
+}
+
+/**
+ * Create the backend for one call's model session (not connected yet)
+ * @param {Object} profile - Agent profile (`backend`, `model`)
+ * @param {Object} [context] - { callId }
+ * @returns {OpenAIRealtimeBackend|PipelineBackend} - Backend
+ */
+export function createBackend(profile, { callId = null } = {}) {
+  const settings = profile.backend;
+  switch (settings.type) {
+    case 'pipeline':
+      return new PipelineBackend({ settings, vad: profile.vad, callId });
+
+    case 'openai':
+    default:
+      return new OpenAIRealtimeBackend({
+        url: settings.url || process.env.OPENAI_REALTIME_URL || DEFAULT_OPENAI_REALTIME_URL,
+        model: profile.model,
+        apiKey: process.env.OPENAI_API_KEY,
+        callId
+      });
+  }
+}
@@ -0,0 +1,247 @@
+// answering-machine.js
+// Answering machine detection on the first seconds of the other party's audio
+//
+// Works on 20ms PCM16 frames at the call's sample rate:
+// - Energy: frames louder than AMD_SILENCE_THRESHOLD_DB count as speech, short runs of them as words
+// - Greeting length: "Hello?" and a pause is a person; a long greeting or many words is a machine
+// - Beep: a run of frames dominated by one tone (Goertzel filters, 400-2000Hz) - the machine is recording
+// Decisions follow the usual telephony AMD rules (Asterisk's AMD() uses the same ones)
+
+const FRAME_MS = 20;
+
+// Frames below this level are silence
+const AMD_SILENCE_THRESHOLD_DB = parseFloat(process.env.AMD_SILENCE_THRESHOLD_DB || '-40');
+
+export const AMD_DEFAULTS = Object.freeze({
+  initialSilenceMs: 2500, // Nothing said for this long - can't tell
+  greetingMs: 1500, // Speech in the greeting beyond this is a machine
+  afterGreetingSilenceMs: 800, // Pause after a short greeting - a person waiting for us
+  totalAnalysisMs: 5000, // Undecided after this long - can't tell
+  minWordMs: 100, // Shorter bursts of energy are noise, not words
+  betweenWordsSilenceMs: 50, // Silence that separates two words
+  maxWords: 3 // More words than this is a machine
+});
+
+// Beep: one frequency holding most of the frame's energy for at least BEEP_MIN_MS
+const BEEP_FREQUENCIES = Array.from({ length: 65 }, (_, i) => 400 + i * 25);
+const BEEP_MIN_MS = 120;
+const BEEP_PURITY = 0.6;
+const BEEP_FREQUENCY_TOLERANCE = 50;
+
+/**
+ * Level of a PCM16 frame in dBFS
+ * @param {Int16Array} samples - Frame samples
+ * @returns {number} - Level (dBFS, -Infinity for digital silence)
+ */
+function levelDb(samples) {
+  let sum = 0;
+  for (let i = 0; i < samples.length; i++) {
+    sum += samples[i] * samples[i];
+  }
+  return 10 * Math.log10(sum / samples.length / (32768 * 32768));
+}
+
+/**
+ * Find the strongest tone in a frame
+ * @param {Int16Array} samples - Frame samples
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {Object} - { frequency, purity } - purity is the share of the frame's energy at that frequency (0-1)
+ */
+function dominantTone(samples, sampleRate) {
+  let energy = 0;
+  for (let i = 0; i < samples.length; i++) {
+    energy += samples[i] * samples[i];
+  }
+  if (energy === 0) {
+    return { frequency: 0, purity: 0 };
+  }
+
+  let best = { frequency: 0, purity: 0 };
+  for (const frequency of BEEP_FREQUENCIES) {
+    // Goertzel: power of one DFT bin
+    const coefficient = 2 * Math.cos(2 * Math.PI * frequency / sampleRate);
+    let previous = 0;
+    let beforePrevious = 0;
+    for (let i = 0; i < samples.length; i++) {
+      const current = samples[i] + coefficient * previous - beforePrevious;
+      beforePrevious = previous;
+      previous = current;
+    }
+    const power = previous * previous + beforePrevious * beforePrevious - coefficient * previous * beforePrevious;
+
+    // A full-scale pure tone on the bin gives power = N * energy / 2
+    const purity = 2 * power / (samples.length * energy);
+    if (purity > best.purity) {
+      best = { frequency, purity };
+    }
+  }
+  return best;
+}
+
+/**
+ * Detector for one call
+ * onEvent('result', { result, reason, atMs }) fires once - result is 'human', 'machine' or 'unknown'
+ * onEvent('beep', { frequency, atMs }) fires when a beep ends (each beep, until stop())
+ */
+export class AnsweringMachineDetector {
+  /**
+   * @param {number} sampleRate - Call's sample rate (Hz)
+   * @param {Object} options - Overrides for AMD_DEFAULTS
+   * @param {Function} onEvent - (type, details) => void
+   */
+  constructor(sampleRate, options, onEvent) {
+    this.sampleRate = sampleRate;
+    this.options = { ...AMD_DEFAULTS, ...options };
+    this.onEvent = onEvent;
+    this.frameBytes = sampleRate / 1000 * FRAME_MS * 2;
+    this.pending = Buffer.alloc(0);
+
+    this.elapsedMs = 0;
+    this.decided = false;
+    this.stopped = false;
+
+    // Greeting analysis
+    this.heardSpeech = false;
+    this.inWord = false;
+    this.voiceMs = 0; // Current run of speech frames
+    this.silenceMs = 0; // Current run of silent frames
+    this.greetingMs = 0; // Speech in the greeting so far
+    this.words = 0;
+
+    // Beep tracking: { frequency, ms } of the tone currently sounding
+    this.tone = null;
+  }
+
+  /**
+   * Feed the next chunk of the other party's audio
+   * @param {Buffer} pcm - PCM16 audio at the call's sample rate (any length)
+   */
+  process(pcm) {
+    if (this.stopped) {
+      return;
+    }
+
+    let data = this.pending.length > 0 ? Buffer.concat([this.pending, pcm]) : pcm;
+    while (data.length >= this.frameBytes && !this.stopped) {
+      // Copy - the chunk may not be 2-byte aligned for an Int16Array view
+      const frame = new Int16Array(this.frameBytes / 2);
+      for (let i = 0; i < frame.length; i++) {
+        frame[i] = data.readInt16LE(i * 2);
+      }
+      data = data.subarray(this.frameBytes);
+      this.processFrame(frame);
+    }
+    this.pending = Buffer.from(data);
+  }
+
+  /**
+   * Stop analysing (result acted on, or the call ended)
+   */
+  stop() {
+    this.stopped = true;
+    this.pending = Buffer.alloc(0);
+  }
+
+  /**
+   * Analyse one 20ms frame
+   * @param {Int16Array} frame - Frame samples
+   */
+  processFrame(frame) {
+    this.elapsedMs += FRAME_MS;
+    const isSpeech = levelDb(frame) > AMD_SILENCE_THRESHOLD_DB;
+
+    this.trackBeep(frame, isSpeech);
+    if (!this.decided && !this.stopped) {
+      this.trackGreeting(isSpeech);
+    }
+  }
+
+  /**
+   * Beep detection - reported when the tone stops, so a message starts after it
+   * @param {Int16Array} frame - Frame samples
+   * @param {boolean} isSpeech - Frame is above the silence threshold
+   */
+  trackBeep(frame, isSpeech) {
+    const { frequency, purity } = isSpeech ? dominantTone(frame, this.sampleRate) : { frequency: 0, purity: 0 };
+
+    if (purity >= BEEP_PURITY) {
+      if (this.tone && Math.abs(this.tone.frequency - frequency) <= BEEP_FREQUENCY_TOLERANCE) {
+        this.tone.ms += FRAME_MS;
+      } else {
+        this.tone = { frequency, ms: FRAME_MS };
+      }
+      return;
+    }
+
+    const tone = this.tone;
+    this.tone = null;
+    if (tone && tone.ms >= BEEP_MIN_MS) {
+      if (!this.decided) {
+        this.decide('machine', 'beep');
+      }
+      this.onEvent('beep', { frequency: tone.frequency, atMs: this.elapsedMs });
+    }
+  }
+
+  /**
+   * Greeting analysis - the human / machine decision
+   * @param {boolean} isSpeech - Frame is above the silence threshold
+   */
+  trackGreeting(isSpeech) {
+    const options = this.options;
+
+    if (isSpeech) {
+      this.voiceMs += FRAME_MS;
+      this.silenceMs = 0;
+      if (this.heardSpeech) {
+        this.greetingMs += FRAME_MS;
+      }
+
+      if (!this.inWord && this.voiceMs >= options.minWordMs) {
+        this.inWord = true;
+        this.words++;
+        if (!this.heardSpeech) {
+          this.heardSpeech = true;
+          this.greetingMs = this.voiceMs;
+        }
+        if (this.words > options.maxWords) {
+          this.decide('machine', 'many_words');
+          return;
+        }
+      }
+      if (this.greetingMs > options.greetingMs) {
+        this.decide('machine', 'long_greeting');
+        return;
+      }
+    } else {
+      this.silenceMs += FRAME_MS;
+      if (this.silenceMs >= options.betweenWordsSilenceMs) {
+        this.inWord = false;
+        this.voiceMs = 0;
+      }
+
+      if (!this.heardSpeech && this.silenceMs >= options.initialSilenceMs) {
+        this.decide('unknown', 'initial_silence');
+        return;
+      }
+      if (this.heardSpeech && this.silenceMs >= options.afterGreetingSilenceMs) {
+        this.decide('human', 'short_greeting');
+        return;
+      }
+    }
+
+    if (this.elapsedMs >= options.totalAnalysisMs) {
+      this.decide('unknown', 'too_long');
+    }
+  }
+
+  /**
+   * Report the result (once)
+   * @param {string} result - 'human', 'machine' or 'unknown'
+   * @param {string} reason - Which rule decided
+   */
+  decide(result, reason) {
+    this.decided = true;
+    this.onEvent('result', { result, reason, atMs: this.elapsedMs });
+  }
+}
@@ -0,0 +1,163 @@
+// audio-path.js
+// Codec negotiation between the call leg and OpenAI Realtime, and the per-call conversion in both directions
+//
+// OpenAI Realtime accepts pcm16 (24kHz), g711_ulaw and g711_alaw (8kHz). When the call is already G.711 at 8kHz
+// the session uses the same law and audio passes through untouched; otherwise we convert.
+
+import { decodeUlaw, encodeUlaw, decodeAlaw, encodeAlaw, ulawToAlaw, alawToUlaw } from './g711.js';
+import { decodeAudio, encodeAudio } from './media-protocol.js';
+import { StreamingResampler } from './resampler.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('audio-path');
+
+// Default for profiles without `audioCodec`: 'auto' (match G.711 calls) or 'pcm16' (always resample)
+export const AUDIO_CODEC_MODE = process.env.AUDIO_CODEC_MODE || 'auto';
+
+export const OPENAI_AUDIO_FORMATS = ['pcm16', 'g711_ulaw', 'g711_alaw'];
+
+// Sample rate / G.711 law of each OpenAI audio format
+const OPENAI_FORMAT_INFO = {
+  pcm16: { sampleRate: 24000, law: null },
+  g711_ulaw: { sampleRate: 8000, law: 'ulaw' },
+  g711_alaw: { sampleRate: 8000, law: 'alaw' }
+};
+
+/**
+ * Media format ({ encoding, sampleRate, channels }) of an OpenAI audio format
+ * @param {string} openaiFormat - pcm16, g711_ulaw or g711_alaw
+ * @returns {Object} - Media format
+ */
+export function openaiMediaFormat(openaiFormat) {
+  const info = OPENAI_FORMAT_INFO[openaiFormat] || OPENAI_FORMAT_INFO.pcm16;
+  return { encoding: info.law || 'pcm16', sampleRate: info.sampleRate, channels: 1 };
+}
+
+/**
+ * Choose the OpenAI audio format for a call
+ * @param {Object} legFormat - Call's media format ({ encoding, sampleRate })
+ * @param {string} [preference] - 'auto', 'pcm16', 'g711_ulaw' or 'g711_alaw' (profile `audioCodec`)
+ * @returns {string} - OpenAI audio format
+ */
+export function negotiateCodec(legFormat, preference = AUDIO_CODEC_MODE) {
+  if (OPENAI_AUDIO_FORMATS.includes(preference)) {
+    return preference;
+  }
+
+  if (preference !== 'auto') {
+    log.warn(`Unknown audio codec preference "${preference}" - using auto`, { event: 'audio.config_invalid' });
+  }
+
+  // G.711 on the phone leg is always 8kHz - use it end to end
+  if (legFormat.encoding === 'ulaw') {
+    return 'g711_ulaw';
+  }
+  if (legFormat.encoding === 'alaw') {
+    return 'g711_alaw';
+  }
+  return 'pcm16';
+}
+
+/**
+ * Conversion between one call leg and OpenAI, both directions
+ * Holds the resampler state, so create one per call (and a new one if either format changes)
+ */
+export class AudioPath {
+  /**
+   * @param {Object} legFormat - Call's media format
+   * @param {string} openaiFormat - OpenAI audio format
+   */
+  constructor(legFormat, openaiFormat) {
+    this.legFormat = legFormat;
+    this.openaiFormat = openaiFormat;
+
+    const openai = OPENAI_FORMAT_INFO[openaiFormat];
+    this.openaiLaw = openai.law;
+
+    if (legFormat.encoding === openai.law) {
+      // Same G.711 law, same 8kHz - nothing to do
+      this.mode = 'passthrough';
+    } else if (openai.law && (legFormat.encoding === 'ulaw' || legFormat.encoding === 'alaw')) {
+      // Both G.711, different laws - byte-for-byte table lookup
+      this.mode = 'transcode';
+    } else {
+      // Through PCM16, resampling if the rates differ
+      this.mode = 'pcm';
+      this.inboundResampler = new StreamingResampler(legFormat.sampleRate, openai.sampleRate);
+      this.outboundResampler = new StreamingResampler(openai.sampleRate, legFormat.sampleRate);
+    }
+  }
+
+  /**
+   * Convert call audio for input_audio_buffer.append
+   * @param {Buffer} audio - Audio in the call's format
+   * @returns {Buffer} - Audio in the OpenAI format
+   */
+  toOpenAI(audio) {
+    switch (this.mode) {
+      case 'passthrough':
+        return audio;
+      case 'transcode':
+        return this.legFormat.encoding === 'ulaw' ? ulawToAlaw(audio) : alawToUlaw(audio);
+      default: {
+        const pcm = this.inboundResampler.process(decodeAudio(audio, this.legFormat));
+        if (this.openaiLaw === 'ulaw') {
+          return encodeUlaw(pcm);
+        }
+        if (this.openaiLaw === 'alaw') {
+          return encodeAlaw(pcm);
+        }
+        return pcm;
+      }
+    }
+  }
+
+  /**
+   * Convert response audio for the call
+   * @param {Buffer} audio - Audio in the OpenAI format
+   * @returns {Buffer} - Audio in the call's format
+   */
+  fromOpenAI(audio) {
+    switch (this.mode) {
+      case 'passthrough':
+        return audio;
+      case 'transcode':
+        return this.openaiLaw === 'ulaw' ? ulawToAlaw(audio) : alawToUlaw(audio);
+      default: {
+        let pcm = audio;
+        if (this.openaiLaw === 'ulaw') {
+          pcm = decodeUlaw(audio);
+        } else if (this.openaiLaw === 'alaw') {
+          pcm = decodeAlaw(audio);
+        }
+        return encodeAudio(this.outboundResampler.process(pcm), this.legFormat);
+      }
+    }
+  }
+
+  /**
+   * Drop resampler history (after a barge-in, so the next answer doesn't start with the old one's tail)
+   */
+  resetOutbound() {
+    if (this.outboundResampler) {
+      this.outboundResampler.reset();
+    }
+  }
+}
+
+/**
+ * Convert already-converted call audio from one call format to another
+ * Used for audio queued before the media stream announced its real format
+ * @param {Buffer} audio - Audio in fromFormat
+ * @param {Object} fromFormat - Format the audio is in
+ * @param {Object} toFormat - Format it should be in
+ * @returns {Buffer} - Audio in toFormat
+ */
+export function convertCallAudio(audio, fromFormat, toFormat) {
+  if (fromFormat.encoding === toFormat.encoding && fromFormat.sampleRate === toFormat.sampleRate) {
+    return audio;
+  }
+  const pcm = decodeAudio(audio, fromFormat);
+  const resampled = new StreamingResampler(fromFormat.sampleRate, toFormat.sampleRate).process(pcm);
+  return encodeAudio(resampled, toFormat);
+}
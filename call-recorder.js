@@ -0,0 +1,302 @@
+// call-recorder.js
+// Records both legs of a call to WAV files: caller.wav, agent.wav and mixed.wav (stereo, caller left / agent right)
+// Audio is streamed to raw PCM files during the call and converted to WAV when it ends
+
+import fs from 'fs';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+import { createLogger } from './logger.js';
+
+const log = createLogger('call-recorder');
+
+export const RECORDINGS_DIR = process.env.RECORDINGS_DIR || path.resolve(process.cwd(), 'data', 'recordings');
+export const RECORDING_ENABLED = process.env.RECORDING_ENABLED === 'true';
+const RECORDING_RETENTION_DAYS = parseFloat(process.env.RECORDING_RETENTION_DAYS || '30');
+
+export const RECORDING_TRACKS = ['caller', 'agent', 'mixed'];
+
+const BYTES_PER_SAMPLE = 2; // PCM16
+const COPY_CHUNK_BYTES = 64 * 1024;
+
+// Gaps shorter than this are network jitter, not silence - don't pad them
+const GAP_TOLERANCE_MS = 100;
+
+/**
+ * Directory name for a call's recordings (call IDs come from webhooks - keep them inside RECORDINGS_DIR)
+ * Percent-encoded, dots included, so distinct IDs never share a directory and none is "." or ".."
+ * @param {string} callId - Call ID
+ * @returns {string} - Absolute directory path
+ */
+function callDir(callId) {
+  return path.join(RECORDINGS_DIR, encodeURIComponent(String(callId)).replace(/\./g, '%2E'));
+}
+
+/**
+ * Build a 44-byte WAV (RIFF) header for PCM16 audio
+ * @param {number} dataBytes - Size of the PCM data
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {number} channels - 1 (mono) or 2 (stereo)
+ * @returns {Buffer} - WAV header
+ */
+export function createWavHeader(dataBytes, sampleRate, channels) {
+  const header = Buffer.alloc(44);
+  const blockAlign = channels * BYTES_PER_SAMPLE;
+
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + dataBytes, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16); // fmt chunk size
+  header.writeUInt16LE(1, 20); // PCM
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * blockAlign, 28); // byte rate
+  header.writeUInt16LE(blockAlign, 32);
+  header.writeUInt16LE(16, 34); // bits per sample
+  header.write('data', 36);
+  header.writeUInt32LE(dataBytes, 40);
+
+  return header;
+}
+
+/**
+ * One leg of the call (caller or agent), streamed to a raw PCM file
+ * Keeps its position on the call's timeline so both legs line up in the mixed file
+ */
+class RecordingTrack {
+  constructor(filePath, sampleRate, startedAt) {
+    this.filePath = filePath;
+    this.sampleRate = sampleRate;
+    this.startedAt = startedAt;
+    this.samplesWritten = 0;
+    this.stream = fs.createWriteStream(filePath);
+    this.stream.on('error', (error) => {
+      log.error('Recording write error', { event: 'recording.write_error', file: filePath, error: error.message });
+    });
+  }
+
+  write(pcm) {
+    // Pad with silence if nothing was written for a while, so audio stays at its real time.
+    // Audio that arrives faster than real time (AI responses) is simply appended.
+    const expectedSamples = Math.floor((Date.now() - this.startedAt) * this.sampleRate / 1000);
+    const gapSamples = expectedSamples - this.samplesWritten;
+    if (gapSamples > GAP_TOLERANCE_MS * this.sampleRate / 1000) {
+      this.stream.write(Buffer.alloc(gapSamples * BYTES_PER_SAMPLE));
+      this.samplesWritten += gapSamples;
+    }
+
+    const usableBytes = pcm.length - (pcm.length % BYTES_PER_SAMPLE);
+    if (usableBytes > 0) {
+      this.stream.write(usableBytes === pcm.length ? pcm : pcm.subarray(0, usableBytes));
+      this.samplesWritten += usableBytes / BYTES_PER_SAMPLE;
+    }
+  }
+
+  close() {
+    return new Promise(resolve => this.stream.end(resolve));
+  }
+}
+
+/**
+ * Convert a raw PCM16 mono file to WAV - streamed, so a long call is never read into memory whole
+ * @param {string} rawPath - Raw PCM file
+ * @param {string} wavPath - WAV file to write
+ * @param {number} sampleRate - Sample rate in Hz
+ */
+async function rawToWav(rawPath, wavPath, sampleRate) {
+  const { size } = await fs.promises.stat(rawPath);
+  await fs.promises.writeFile(wavPath, createWavHeader(size, sampleRate, 1));
+  await pipeline(fs.createReadStream(rawPath), fs.createWriteStream(wavPath, { flags: 'a' }));
+}
+
+/**
+ * Interleave two raw PCM16 mono files into a stereo WAV (left = first, right = second)
+ * Reads in chunks so long calls don't need both legs in memory; the shorter leg is padded with silence
+ * @param {string} leftPath - Raw PCM for the left channel
+ * @param {string} rightPath - Raw PCM for the right channel
+ * @param {string} wavPath - WAV file to write
+ * @param {number} sampleRate - Sample rate in Hz
+ */
+async function mixToStereoWav(leftPath, rightPath, wavPath, sampleRate) {
+  const left = await fs.promises.open(leftPath, 'r');
+  const right = await fs.promises.open(rightPath, 'r');
+  const out = await fs.promises.open(wavPath, 'w');
+
+  try {
+    const leftBytes = (await left.stat()).size;
+    const rightBytes = (await right.stat()).size;
+    const totalSamples = Math.max(leftBytes, rightBytes) / BYTES_PER_SAMPLE;
+
+    await out.write(createWavHeader(totalSamples * 2 * BYTES_PER_SAMPLE, sampleRate, 2));
+
+    const leftChunk = Buffer.alloc(COPY_CHUNK_BYTES);
+    const rightChunk = Buffer.alloc(COPY_CHUNK_BYTES);
+    const stereoChunk = Buffer.alloc(COPY_CHUNK_BYTES * 2);
+
+    for (let offset = 0; offset < totalSamples * BYTES_PER_SAMPLE; offset += COPY_CHUNK_BYTES) {
+      leftChunk.fill(0);
+      rightChunk.fill(0);
+      const { bytesRead: leftRead } = await left.read(leftChunk, 0, COPY_CHUNK_BYTES, offset);
+      const { bytesRead: rightRead } = await right.read(rightChunk, 0, COPY_CHUNK_BYTES, offset);
+      const samples = Math.ceil(Math.max(leftRead, rightRead) / BYTES_PER_SAMPLE);
+
+      for (let i = 0; i < samples; i++) {
+        stereoChunk.writeInt16LE(leftChunk.readInt16LE(i * 2), i * 4);
+        stereoChunk.writeInt16LE(rightChunk.readInt16LE(i * 2), i * 4 + 2);
+      }
+      await out.write(stereoChunk, 0, samples * 4);
+    }
+  } finally {
+    await left.close();
+    await right.close();
+    await out.close();
+  }
+}
+
+/**
+ * Records one call
+ */
+export class CallRecorder {
+  /**
+   * @param {string} callId - Call ID
+   * @param {Object} [options] - { sampleRate } of the PCM16 audio passed to write* (default 8000)
+   */
+  constructor(callId, { sampleRate = 8000 } = {}) {
+    this.callId = callId;
+    this.sampleRate = sampleRate;
+    this.dir = callDir(callId);
+    this.startedAt = Date.now();
+    this.finished = false;
+
+    fs.mkdirSync(this.dir, { recursive: true });
+    this.caller = new RecordingTrack(path.join(this.dir, 'caller.pcm'), sampleRate, this.startedAt);
+    this.agent = new RecordingTrack(path.join(this.dir, 'agent.pcm'), sampleRate, this.startedAt);
+
+    log.debug('Recording call', { callId, event: 'recording.started', dir: this.dir });
+  }
+
+  /**
+   * Change the sample rate once the media stream has negotiated its format
+   * Only possible before any audio was recorded - the WAV files have a single rate
+   * @param {number} sampleRate - Sample rate in Hz
+   */
+  setSampleRate(sampleRate) {
+    if (sampleRate === this.sampleRate) {
+      return;
+    }
+    if (this.caller.samplesWritten > 0 || this.agent.samplesWritten > 0) {
+      log.warn(`Recording already started at ${this.sampleRate}Hz - ignoring ${sampleRate}Hz`, { callId: this.callId, event: 'recording.rate_mismatch' });
+      return;
+    }
+    this.sampleRate = sampleRate;
+    this.caller.sampleRate = sampleRate;
+    this.agent.sampleRate = sampleRate;
+  }
+
+  /**
+   * Record caller audio (decoded PCM16)
+   * @param {Buffer} pcm - PCM16 mono audio
+   */
+  writeCaller(pcm) {
+    if (!this.finished) {
+      this.caller.write(pcm);
+    }
+  }
+
+  /**
+   * Record agent audio (PCM16, as sent to the caller)
+   * @param {Buffer} pcm - PCM16 mono audio
+   */
+  writeAgent(pcm) {
+    if (!this.finished) {
+      this.agent.write(pcm);
+    }
+  }
+
+  /**
+   * Stop recording and write the WAV files
+   * @returns {Promise<Object|null>} - { tracks, durationMs } for the call record, null if already finished
+   */
+  async finish() {
+    if (this.finished) {
+      return null;
+    }
+    this.finished = true;
+
+    await Promise.all([this.caller.close(), this.agent.close()]);
+
+    await rawToWav(this.caller.filePath, path.join(this.dir, 'caller.wav'), this.sampleRate);
+    await rawToWav(this.agent.filePath, path.join(this.dir, 'agent.wav'), this.sampleRate);
+    await mixToStereoWav(this.caller.filePath, this.agent.filePath, path.join(this.dir, 'mixed.wav'), this.sampleRate);
+
+    await fs.promises.unlink(this.caller.filePath);
+    await fs.promises.unlink(this.agent.filePath);
+
+    const durationMs = Math.round(Math.max(this.caller.samplesWritten, this.agent.samplesWritten) * 1000 / this.sampleRate);
+    log.info('Recording saved', { callId: this.callId, event: 'recording.saved', durationMs });
+
+    return { tracks: RECORDING_TRACKS, durationMs, sampleRate: this.sampleRate };
+  }
+}
+
+/**
+ * Path of a finished recording track
+ * @param {string} callId - Call ID
+ * @param {string} track - 'caller', 'agent' or 'mixed'
+ * @returns {string|null} - WAV file path, or null if it doesn't exist (never recorded or past retention)
+ */
+export function getRecordingFile(callId, track) {
+  if (!RECORDING_TRACKS.includes(track)) {
+    return null;
+  }
+  const filePath = path.join(callDir(callId), `${track}.wav`);
+  return fs.existsSync(filePath) ? filePath : null;
+}
+
+/**
+ * Delete recordings older than RECORDING_RETENTION_DAYS
+ * @returns {Promise<number>} - Number of calls whose recordings were deleted
+ */
+export async function deleteExpiredRecordings() {
+  const cutoff = Date.now() - RECORDING_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  let deleted = 0;
+
+  let entries = [];
+  try {
+    entries = await fs.promises.readdir(RECORDINGS_DIR, { withFileTypes: true });
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      log.error('Could not read recordings directory', { event: 'recording.cleanup_error', error: error.message });
+    }
+    return 0;
+  }
+
+  for (const entry of entries) {
+    if (!entry.isDirectory()) {
+      continue;
+    }
+    const dir = path.join(RECORDINGS_DIR, entry.name);
+    try {
+      const { mtimeMs } = await fs.promises.stat(dir);
+      if (mtimeMs < cutoff) {
+        await fs.promises.rm(dir, { recursive: true, force: true });
+        deleted++;
+      }
+    } catch (error) {
+      log.error('Could not delete expired recording', { event: 'recording.cleanup_error', name: entry.name, error: error.message });
+    }
+  }
+
+  if (deleted > 0) {
+    log.info(`Deleted ${deleted} recording(s) older than ${RECORDING_RETENTION_DAYS} days`, { event: 'recording.cleanup', deleted });
+  }
+  return deleted;
+}
+
+/**
+ * Run the retention sweep now and then hourly
+ */
+export function startRecordingRetention() {
+  deleteExpiredRecordings();
+  setInterval(deleteExpiredRecordings, 60 * 60 * 1000).unref();
+}
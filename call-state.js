@@ -0,0 +1,94 @@
+// call-state.js
+// Per-call lifecycle state machine: alerting -> connected -> streaming -> ended
+// Every transition goes through here, so out-of-order webhooks and socket events can't skip teardown
+
+import { createLogger } from './logger.js';
+
+const log = createLogger('call-state');
+
+export const CALL_STATES = {
+  ALERTING: 'alerting', // CallStarted received, waiting for the call to connect
+  CONNECTED: 'connected', // Call answered, waiting for the media socket
+  STREAMING: 'streaming', // Media socket attached, audio flowing
+  ENDED: 'ended' // Torn down - terminal
+};
+
+// Allowed transitions - streaming falls back to connected when the media socket drops
+const TRANSITIONS = {
+  alerting: ['connected', 'ended'],
+  connected: ['streaming', 'ended'],
+  streaming: ['connected', 'ended'],
+  ended: []
+};
+
+/**
+ * Lifecycle state of one call
+ */
+export class CallStateMachine {
+  /**
+   * @param {string} callId - Call ID (for logs)
+   * @param {Function} [onTransition] - Called with (to, from, reason) after every transition
+   */
+  constructor(callId, onTransition = null) {
+    this.callId = callId;
+    this.onTransition = onTransition;
+    this.state = CALL_STATES.ALERTING;
+    this.since = new Date();
+    this.history = [{ state: this.state, at: this.since.toISOString(), reason: null }];
+  }
+
+  /**
+   * @param {string} to - Target state
+   * @returns {boolean} - True if the transition is allowed from the current state
+   */
+  can(to) {
+    return TRANSITIONS[this.state].includes(to);
+  }
+
+  /**
+   * Move to a new state
+   * Disallowed transitions are logged and ignored (e.g. CallConnected arriving after the call ended)
+   * @param {string} to - Target state
+   * @param {string} [reason] - Why (kept in the history)
+   * @returns {boolean} - True if the state changed
+   */
+  transition(to, reason = null) {
+    if (this.state === to) {
+      return false;
+    }
+    if (!this.can(to)) {
+      log.warn(`Ignoring transition ${this.state} -> ${to}`, { callId: this.callId, event: 'call.transition_ignored', from: this.state, to, reason });
+      return false;
+    }
+
+    const from = this.state;
+    const previousSince = this.since;
+    this.state = to;
+    this.since = new Date();
+    this.history.push({ state: to, at: this.since.toISOString(), reason });
+    log.info(`${from} -> ${to}`, { callId: this.callId, event: 'call.transition', from, to, reason, inStateMs: this.since - previousSince });
+
+    if (this.onTransition) {
+      this.onTransition(to, from, reason);
+    }
+    return true;
+  }
+
+  /**
+   * @returns {boolean} - True once the call has been torn down
+   */
+  get ended() {
+    return this.state === CALL_STATES.ENDED;
+  }
+
+  /**
+   * @returns {Object} - { state, since, history } for the debug route
+   */
+  toJSON() {
+    return {
+      state: this.state,
+      since: this.since.toISOString(),
+      history: this.history
+    };
+  }
+}
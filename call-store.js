@@ -0,0 +1,270 @@
+// call-store.js
+// Persistent call records and transcripts
+// Default store writes one JSON file per call to CALL_STORE_DIR; CALL_STORE selects another backend
+
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { createLogger } from './logger.js';
+
+const log = createLogger('call-store');
+
+const CALL_STORE = process.env.CALL_STORE || 'json';
+const CALL_STORE_DIR = process.env.CALL_STORE_DIR || path.resolve(process.cwd(), 'data', 'calls');
+
+/**
+ * Digits-only form of a phone number, for "caller number" filtering
+ * @param {string} number - Phone number
+ * @returns {string} - Digits only
+ */
+function digits(number) {
+  return String(number || '').replace(/\D/g, '');
+}
+
+/**
+ * Filter, sort (newest first) and paginate call summaries
+ * Shared by the built-in stores so they behave the same
+ * @param {Object[]} calls - Call summaries
+ * @param {Object} filter - { caller, from, to, limit, offset }
+ * @returns {{ calls: Object[], total: number }} - Page of calls and total matches
+ */
+function applyCallFilter(calls, { caller, from, to, limit = 50, offset = 0 } = {}) {
+  const callerDigits = caller ? digits(caller) : null;
+  const fromTime = from ? new Date(from).getTime() : null;
+  const toTime = to ? new Date(to).getTime() : null;
+
+  const matches = calls.filter(call => {
+    const startedAt = new Date(call.startedAt).getTime();
+    if (callerDigits && !digits(call.callerId).includes(callerDigits)) {
+      return false;
+    }
+    if (fromTime !== null && startedAt < fromTime) {
+      return false;
+    }
+    if (toTime !== null && startedAt > toTime) {
+      return false;
+    }
+    return true;
+  });
+
+  matches.sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt));
+
+  return {
+    calls: matches.slice(offset, offset + limit),
+    total: matches.length
+  };
+}
+
+/**
+ * Call summary (record without turns) for listings
+ * @param {Object} call - Full call record
+ * @returns {Object} - Summary with turnCount
+ */
+function summarize(call) {
+  const { turns, ...summary } = call;
+  return { ...summary, turnCount: turns.length };
+}
+
+/**
+ * Sort turns by when they started - caller transcriptions complete after the fact,
+ * so they are appended out of order
+ * @param {Object[]} turns - Transcript turns
+ * @returns {Object[]} - Sorted copy
+ */
+function sortTurns(turns) {
+  return [...turns].sort((a, b) => new Date(a.startedAt) - new Date(b.startedAt));
+}
+
+/**
+ * In-memory store - for tests and deployments without a disk
+ */
+export class MemoryCallStore {
+  constructor() {
+    this.calls = new Map();
+  }
+
+  async createCall(call) {
+    const record = { ...call, endedAt: null, turns: [] };
+    this.calls.set(call.callId, record);
+    return record;
+  }
+
+  async updateCall(callId, patch) {
+    const call = this.calls.get(callId);
+    if (!call) {
+      return null;
+    }
+    Object.assign(call, patch, { callId });
+    return call;
+  }
+
+  async appendTurn(callId, turn) {
+    const call = this.calls.get(callId);
+    if (!call) {
+      return null;
+    }
+    call.turns.push(turn);
+    return turn;
+  }
+
+  async getCall(callId) {
+    const call = this.calls.get(callId);
+    return call ? summarize(call) : null;
+  }
+
+  async listCalls(filter) {
+    return applyCallFilter(Array.from(this.calls.values()).map(summarize), filter);
+  }
+
+  async getTranscript(callId, { limit = 500, offset = 0 } = {}) {
+    const call = this.calls.get(callId);
+    if (!call) {
+      return null;
+    }
+    const turns = sortTurns(call.turns);
+    return { turns: turns.slice(offset, offset + limit), total: turns.length };
+  }
+}
+
+/**
+ * JSON file store - one `<callId>.json` per call
+ * Summaries are indexed in memory at startup so listing doesn't read every file
+ */
+export class JsonFileCallStore {
+  /**
+   * @param {string} dir - Directory for call files
+   */
+  constructor(dir) {
+    this.dir = dir;
+    this.index = new Map(); // callId -> summary
+    this.writes = new Map(); // callId -> promise of the last queued write (keeps writes in order)
+
+    fs.mkdirSync(dir, { recursive: true });
+    for (const file of fs.readdirSync(dir)) {
+      if (!file.endsWith('.json')) {
+        continue;
+      }
+      try {
+        const call = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+        this.index.set(call.callId, summarize(call));
+      } catch (error) {
+        log.error('Skipping unreadable call file', { event: 'store.read_error', file, error: error.message });
+      }
+    }
+  }
+
+  filePath(callId) {
+    // Call IDs come from webhooks - never let them escape the directory, and give distinct IDs distinct files
+    // (percent-encoding is reversible; dots are encoded too, so no name is "." or "..")
+    return path.join(this.dir, `${encodeURIComponent(String(callId)).replace(/\./g, '%2E')}.json`);
+  }
+
+  async read(callId) {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.filePath(callId), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Read-modify-write a call file, serialized per call
+   * Written to a temp file and renamed so a crash never leaves half a file
+   * @param {string} callId - Call ID
+   * @param {Function} mutate - (call) => result; call is null if the file doesn't exist
+   * @returns {Promise<*>} - mutate's result
+   */
+  update(callId, mutate) {
+    const previous = this.writes.get(callId) || Promise.resolve();
+    const next = previous.catch(() => {}).then(async () => {
+      const call = await this.read(callId);
+      const result = mutate(call);
+      const updated = call || result;
+      if (!updated) {
+        return null;
+      }
+      const filePath = this.filePath(callId);
+      await fs.promises.writeFile(`${filePath}.tmp`, JSON.stringify(updated, null, 2));
+      await fs.promises.rename(`${filePath}.tmp`, filePath);
+      this.index.set(callId, summarize(updated));
+      return result;
+    });
+
+    this.writes.set(callId, next);
+    next.finally(() => {
+      if (this.writes.get(callId) === next) {
+        this.writes.delete(callId);
+      }
+    }).catch(() => {});
+    return next;
+  }
+
+  async createCall(call) {
+    const record = { ...call, endedAt: null, turns: [] };
+    await this.update(call.callId, () => record);
+    return record;
+  }
+
+  async updateCall(callId, patch) {
+    return this.update(callId, call => {
+      if (call) {
+        Object.assign(call, patch, { callId });
+      }
+      return call;
+    });
+  }
+
+  async appendTurn(callId, turn) {
+    return this.update(callId, call => {
+      if (!call) {
+        return null;
+      }
+      call.turns.push(turn);
+      return turn;
+    });
+  }
+
+  async getCall(callId) {
+    return this.index.get(callId) || null;
+  }
+
+  async listCalls(filter) {
+    return applyCallFilter(Array.from(this.index.values()), filter);
+  }
+
+  async getTranscript(callId, { limit = 500, offset = 0 } = {}) {
+    // Wait for pending writes so a just-finished turn shows up
+    await this.writes.get(callId)?.catch(() => {});
+    const call = await this.read(callId);
+    if (!call) {
+      return null;
+    }
+    const turns = sortTurns(call.turns);
+    return { turns: turns.slice(offset, offset + limit), total: turns.length };
+  }
+}
+
+/**
+ * Create the configured call store
+ * CALL_STORE: 'json' (default), 'memory', or a path to a module whose default export
+ * is a class implementing the same methods as JsonFileCallStore
+ * @returns {Promise<Object>} - Call store
+ */
+export async function createCallStore() {
+  if (CALL_STORE === 'json') {
+    log.info('Call store: JSON files', { event: 'store.configured', store: 'file', dir: CALL_STORE_DIR });
+    return new JsonFileCallStore(CALL_STORE_DIR);
+  }
+
+  if (CALL_STORE === 'memory') {
+    log.info('Call store: in-memory (records are lost on restart)', { event: 'store.configured', store: 'memory' });
+    return new MemoryCallStore();
+  }
+
+  const module = await import(pathToFileURL(path.resolve(CALL_STORE)).href);
+  log.info(`Call store: ${CALL_STORE}`, { event: 'store.configured', store: CALL_STORE });
+  return new module.default();
+}
@@ -0,0 +1,121 @@
+// caller-lookup.js
+// Caller lookup hook (CRM): who is on the phone, fetched while OpenAI connects
+// CALLER_LOOKUP is an http(s) URL (POSTed { phone, callId, direction, callerId, calleeId }, answers a JSON object)
+// or a path to a module whose default export is async ({ phone, ... }) => object
+// The result (e.g. { name, accountStatus, lastInteraction }) becomes call variables - see buildSessionConfig
+
+import axios from 'axios';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { createLogger } from './logger.js';
+
+const log = createLogger('caller-lookup');
+
+const CALLER_LOOKUP = process.env.CALLER_LOOKUP || '';
+const CALLER_LOOKUP_TIMEOUT_MS = parseInt(process.env.CALLER_LOOKUP_TIMEOUT_MS || '800', 10);
+const CALLER_LOOKUP_CACHE_TTL_MS = parseInt(process.env.CALLER_LOOKUP_CACHE_TTL_MS || '300000', 10);
+const CALLER_LOOKUP_CACHE_SIZE = 10000;
+
+// Digits-only number -> { value, expiresAt } (misses are cached too, so unknown numbers don't hit the CRM every call)
+const cache = new Map();
+
+let lookupFn = null;
+
+/**
+ * Load the lookup hook selected by CALLER_LOOKUP (no-op when unset)
+ */
+export async function loadCallerLookup() {
+  if (!CALLER_LOOKUP) {
+    return;
+  }
+
+  if (/^https?:\/\//.test(CALLER_LOOKUP)) {
+    lookupFn = async request => {
+      // Longer than the budget on purpose - a late answer still warms the cache
+      const response = await axios.post(CALLER_LOOKUP, request, { timeout: 10000 });
+      return response.data;
+    };
+    log.info(`Caller lookup: ${CALLER_LOOKUP}`, { event: 'lookup.configured', timeoutMs: CALLER_LOOKUP_TIMEOUT_MS });
+    return;
+  }
+
+  const module = await import(pathToFileURL(path.resolve(CALLER_LOOKUP)).href);
+  if (typeof module.default !== 'function') {
+    throw new Error(`Caller lookup module ${CALLER_LOOKUP} must default-export a function`);
+  }
+  lookupFn = module.default;
+  log.info(`Caller lookup: ${CALLER_LOOKUP}`, { event: 'lookup.configured', timeoutMs: CALLER_LOOKUP_TIMEOUT_MS });
+}
+
+/**
+ * Keep only plain values from a lookup result - it ends up in the model's instructions
+ * @param {*} result - Whatever the hook returned
+ * @returns {Object} - Caller variables ({} if nothing usable)
+ */
+function toVariables(result) {
+  if (!result || typeof result !== 'object' || Array.isArray(result)) {
+    return {};
+  }
+  return Object.fromEntries(Object.entries(result).filter(([, value]) => value !== null && value !== undefined));
+}
+
+/**
+ * Store a result in the cache, evicting the oldest entry when full
+ * @param {string} key - Digits-only number
+ * @param {Object} value - Caller variables
+ */
+function remember(key, value) {
+  cache.delete(key);
+  if (cache.size >= CALLER_LOOKUP_CACHE_SIZE) {
+    cache.delete(cache.keys().next().value);
+  }
+  cache.set(key, { value, expiresAt: Date.now() + CALLER_LOOKUP_CACHE_TTL_MS });
+}
+
+/**
+ * Look up a phone number - never throws and never takes longer than CALLER_LOOKUP_TIMEOUT_MS
+ * A lookup that misses the budget still fills the cache when it finishes, for the next call
+ * @param {Object} request - { phone, callId, direction, callerId, calleeId }
+ * @returns {Promise<Object>} - Caller variables, {} if unknown, disabled, slow or failed
+ */
+export async function lookupCaller(request) {
+  const key = String(request.phone || '').replace(/\D/g, '');
+  if (!lookupFn || !key) {
+    return {};
+  }
+
+  const cached = cache.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.value;
+  }
+
+  const startedAt = Date.now();
+  const lookup = Promise.resolve()
+    .then(() => lookupFn(request))
+    .then(result => {
+      const value = toVariables(result);
+      remember(key, value);
+      return value;
+    });
+
+  let timer;
+  const budget = new Promise(resolve => {
+    timer = setTimeout(() => resolve(null), CALLER_LOOKUP_TIMEOUT_MS);
+  });
+
+  try {
+    const value = await Promise.race([lookup, budget]);
+    if (value === null) {
+      log.warn('Caller lookup missed its budget - continuing without it', { callId: request.callId, event: 'lookup.timeout', timeoutMs: CALLER_LOOKUP_TIMEOUT_MS });
+      lookup.catch(() => {});
+      return {};
+    }
+    log.info('Caller lookup finished', { callId: request.callId, event: 'lookup.done', fields: Object.keys(value).length, latencyMs: Date.now() - startedAt });
+    return value;
+  } catch (error) {
+    log.error('Caller lookup failed', { callId: request.callId, event: 'lookup.error', latencyMs: Date.now() - startedAt, error: error.message });
+    return {};
+  } finally {
+    clearTimeout(timer);
+  }
+}
@@ -0,0 +1,113 @@
+// calls-api.js
+// REST API for call records and transcripts
+
+import express from 'express';
+import { getRecordingFile, RECORDING_TRACKS } from './call-recorder.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('calls-api');
+
+const MAX_PAGE_SIZE = 500;
+
+/**
+ * Parse limit/offset query parameters
+ * @param {Object} query - req.query
+ * @param {number} defaultLimit - Limit when none is given
+ * @returns {{ limit: number, offset: number }} - Pagination
+ */
+function parsePagination(query, defaultLimit) {
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || defaultLimit, 1), MAX_PAGE_SIZE);
+  const offset = Math.max(parseInt(query.offset, 10) || 0, 0);
+  return { limit, offset };
+}
+
+/**
+ * Check an optional ISO date query parameter
+ * @param {string} value - Query value
+ * @returns {boolean} - True if missing or a valid date
+ */
+function isValidDate(value) {
+  return !value || !Number.isNaN(new Date(value).getTime());
+}
+
+/**
+ * Create the /calls router
+ * - GET /calls?caller=&from=&to=&limit=&offset=
+ * - GET /calls/:callId
+ * - GET /calls/:callId/transcript?limit=&offset=
+ * - GET /calls/:callId/recording?track=mixed|caller|agent
+ * @param {Object} callStore - Call store (see call-store.js)
+ * @returns {express.Router} - Router to mount at /calls
+ */
+export function createCallsRouter(callStore) {
+  const router = express.Router();
+
+  router.get('/', async (req, res) => {
+    try {
+      const { caller, from, to } = req.query;
+      if (!isValidDate(from) || !isValidDate(to)) {
+        return res.status(400).json({ error: 'from and to must be ISO dates' });
+      }
+
+      const { limit, offset } = parsePagination(req.query, 50);
+      const result = await callStore.listCalls({ caller, from, to, limit, offset });
+      res.json({ ...result, limit, offset });
+    } catch (error) {
+      log.error('Error listing calls', { event: 'api.error', error });
+      res.status(500).json({ error: 'Failed to list calls' });
+    }
+  });
+
+  router.get('/:callId', async (req, res) => {
+    try {
+      const call = await callStore.getCall(req.params.callId);
+      if (!call) {
+        return res.status(404).json({ error: 'Call not found' });
+      }
+      res.json(call);
+    } catch (error) {
+      log.error('Error reading call', { callId: req.params.callId, event: 'api.error', error });
+      res.status(500).json({ error: 'Failed to read call' });
+    }
+  });
+
+  router.get('/:callId/transcript', async (req, res) => {
+    try {
+      const { limit, offset } = parsePagination(req.query, MAX_PAGE_SIZE);
+      const transcript = await callStore.getTranscript(req.params.callId, { limit, offset });
+      if (!transcript) {
+        return res.status(404).json({ error: 'Call not found' });
+      }
+      res.json({ callId: req.params.callId, ...transcript, limit, offset });
+    } catch (error) {
+      log.error('Error reading transcript', { callId: req.params.callId, event: 'api.error', error });
+      res.status(500).json({ error: 'Failed to read transcript' });
+    }
+  });
+
+  router.get('/:callId/recording', async (req, res) => {
+    try {
+      const track = req.query.track || 'mixed';
+      if (!RECORDING_TRACKS.includes(track)) {
+        return res.status(400).json({ error: `track must be one of: ${RECORDING_TRACKS.join(', ')}` });
+      }
+
+      const call = await callStore.getCall(req.params.callId);
+      if (!call) {
+        return res.status(404).json({ error: 'Call not found' });
+      }
+
+      const filePath = getRecordingFile(req.params.callId, track);
+      if (!filePath) {
+        return res.status(404).json({ error: 'Recording not available (not recorded, still in progress or expired)' });
+      }
+
+      res.download(filePath, `${req.params.callId}-${track}.wav`);
+    } catch (error) {
+      log.error('Error reading recording', { callId: req.params.callId, event: 'api.error', error });
+      res.status(500).json({ error: 'Failed to read recording' });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,112 @@
+// campaigns-api.js
+// REST API for outbound campaigns and the opt-out list
+
+import express from 'express';
+import { CampaignError, CONTACT_OUTCOMES } from './campaigns.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('campaigns-api');
+
+const MAX_PAGE_SIZE = 500;
+const CONTACT_STATUSES = ['pending', 'dialing', ...CONTACT_OUTCOMES];
+
+/**
+ * Send a CampaignError as its HTTP status, anything else as a 500
+ * @param {express.Response} res - Response
+ * @param {Error} error - Error thrown by the campaign manager
+ * @param {string} action - What failed (for the log and the 500 message)
+ */
+function sendError(res, error, action) {
+  if (error instanceof CampaignError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  log.error(`Failed ${action}`, { event: 'api.error', error });
+  res.status(500).json({ error: `Failed ${action}` });
+}
+
+/**
+ * Create the /campaigns router
+ * - POST /campaigns - { name, profileId, from, contacts | csv, concurrency, timezone, window, retry, amd, start }
+ * - GET /campaigns, GET /campaigns/:campaignId
+ * - GET /campaigns/:campaignId/contacts?status=&limit=&offset=
+ * - POST /campaigns/:campaignId/pause | resume | cancel
+ * - GET /campaigns/opt-outs, POST /campaigns/opt-outs { phone }, DELETE /campaigns/opt-outs/:phone
+ * @param {Object} campaigns - CampaignManager
+ * @param {Function} isKnownProfile - (profileId) => boolean
+ * @returns {express.Router} - Router to mount at /campaigns
+ */
+export function createCampaignsRouter(campaigns, isKnownProfile) {
+  const router = express.Router();
+
+  // Opt-out routes first, so "opt-outs" isn't taken for a campaign ID
+  router.get('/opt-outs', (req, res) => {
+    res.json({ optOuts: campaigns.listOptOuts() });
+  });
+
+  router.post('/opt-outs', (req, res) => {
+    try {
+      const phone = campaigns.addOptOut(req.body?.phone, 'api');
+      res.status(201).json({ phone });
+    } catch (error) {
+      sendError(res, error, 'to add opt-out');
+    }
+  });
+
+  router.delete('/opt-outs/:phone', (req, res) => {
+    if (!campaigns.removeOptOut(req.params.phone)) {
+      return res.status(404).json({ error: 'Number is not opted out' });
+    }
+    res.status(204).end();
+  });
+
+  router.post('/', (req, res) => {
+    try {
+      const spec = req.body || {};
+      if (spec.profileId && !isKnownProfile(spec.profileId)) {
+        return res.status(400).json({ error: `Unknown profile "${spec.profileId}"` });
+      }
+      res.status(201).json(campaigns.createCampaign(spec));
+    } catch (error) {
+      sendError(res, error, 'to create campaign');
+    }
+  });
+
+  router.get('/', (req, res) => {
+    res.json({ campaigns: campaigns.listCampaigns() });
+  });
+
+  router.get('/:campaignId', (req, res) => {
+    const campaign = campaigns.getCampaign(req.params.campaignId);
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+    res.json(campaign);
+  });
+
+  router.get('/:campaignId/contacts', (req, res) => {
+    const { status } = req.query;
+    if (status && !CONTACT_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${CONTACT_STATUSES.join(', ')}` });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), MAX_PAGE_SIZE);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const page = campaigns.listContacts(req.params.campaignId, { status, limit, offset });
+    if (!page) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+    res.json({ campaignId: req.params.campaignId, ...page, limit, offset });
+  });
+
+  for (const action of ['pause', 'resume', 'cancel']) {
+    router.post(`/:campaignId/${action}`, (req, res) => {
+      try {
+        res.json(campaigns.setStatus(req.params.campaignId, action));
+      } catch (error) {
+        sendError(res, error, `to ${action} campaign`);
+      }
+    });
+  }
+
+  return router;
+}
@@ -0,0 +1,720 @@
+// campaigns.js
+// Outbound campaigns: a contact list dialed with a concurrency cap, per-timezone calling windows and retries
+// Each campaign (contacts included) and the opt-out list are JSON files in CAMPAIGNS_DIR, so the queue survives restarts
+
+import fs from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { createLogger } from './logger.js';
+
+const log = createLogger('campaigns');
+
+export const CAMPAIGNS_DIR = process.env.CAMPAIGNS_DIR || path.resolve(process.cwd(), 'data', 'campaigns');
+const CAMPAIGN_TICK_MS = parseInt(process.env.CAMPAIGN_TICK_MS || '5000', 10);
+
+const OPT_OUT_FILE = 'opt-outs.json';
+
+// Final contact statuses (the others are pending and dialing)
+export const CONTACT_OUTCOMES = ['completed', 'voicemail', 'failed', 'opted_out', 'cancelled'];
+
+const DEFAULT_WINDOW = { start: '09:00', end: '20:00', days: [1, 2, 3, 4, 5, 6, 7] };
+const DEFAULT_RETRY = { maxAttempts: 3, delayMinutes: 30, retryOn: ['busy', 'no_answer', 'error'] };
+const RETRYABLE_RESULTS = ['busy', 'no_answer', 'rejected', 'error'];
+
+// SIP codes Voximplant reports for calls that never connected
+const BUSY_CODES = [486, 600];
+const NO_ANSWER_CODES = [408, 480, 487];
+const REJECTED_CODES = [403, 603];
+
+const WEEKDAYS = { Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6, Sun: 7 };
+
+/**
+ * Invalid campaign input or state - `status` is the HTTP status for the API
+ */
+export class CampaignError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'CampaignError';
+    this.status = status;
+  }
+}
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, doubled quotes, newlines inside quotes)
+ * @param {string} text - CSV with a header row
+ * @returns {Object[]} - One object per row, keyed by header
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const nonEmpty = rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+  if (nonEmpty.length === 0) {
+    return [];
+  }
+
+  const header = nonEmpty[0].map(name => name.trim());
+  return nonEmpty.slice(1).map(cells => Object.fromEntries(header.map((name, i) => [name, (cells[i] ?? '').trim()])));
+}
+
+/**
+ * Normalize a phone number to +digits
+ * @param {string} phone - Phone number in any common format
+ * @returns {string|null} - E.164 number, or null if it isn't one
+ */
+export function normalizePhone(phone) {
+  const number = String(phone || '').replace(/[\s().-]/g, '');
+  if (!/^\+?[1-9]\d{6,14}$/.test(number)) {
+    return null;
+  }
+  return number.startsWith('+') ? number : `+${number}`;
+}
+
+/**
+ * @param {string} timeZone - IANA time zone
+ * @returns {boolean} - True if Intl knows the zone
+ */
+function isValidTimezone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Time zone -> formatter (creating them is slow, and every tick checks every pending contact)
+const formatters = new Map();
+
+/**
+ * Local weekday and minute of the day in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {{ day: number, minutes: number }} - ISO weekday (1 = Monday) and minutes since midnight
+ */
+function localTime(date, timeZone) {
+  let formatter = formatters.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', { timeZone, weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' });
+    formatters.set(timeZone, formatter);
+  }
+
+  const parts = Object.fromEntries(formatter.formatToParts(date).map(part => [part.type, part.value]));
+  return { day: WEEKDAYS[parts.weekday], minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10) };
+}
+
+/**
+ * @param {string} value - "HH:MM"
+ * @returns {number|null} - Minutes since midnight, or null if invalid
+ */
+function parseClock(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value));
+  if (!match || parseInt(match[1], 10) > 23 || parseInt(match[2], 10) > 59) {
+    return null;
+  }
+  return parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+}
+
+/**
+ * Check whether it's calling hours for a contact
+ * @param {Object} window - { start: "HH:MM", end: "HH:MM", days: [1-7] } - end before start spans midnight
+ * @param {string} timeZone - Contact's time zone
+ * @param {Date} [date] - Instant to check
+ * @returns {boolean} - True if inside the window
+ */
+export function isWithinWindow(window, timeZone, date = new Date()) {
+  const { day, minutes } = localTime(date, timeZone);
+  if (!window.days.includes(day)) {
+    return false;
+  }
+  const start = parseClock(window.start);
+  const end = parseClock(window.end);
+  return start <= end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+}
+
+/**
+ * Classify how one call attempt went
+ * @param {Object} result - { answered, amd, failure, reason, optedOut } from the ended call
+ * @returns {string} - opted_out, voicemail, completed, busy, no_answer, rejected or error
+ */
+export function classifyAttempt({ answered, amd, failure, reason, optedOut }) {
+  if (optedOut) {
+    return 'opted_out';
+  }
+  if (answered) {
+    return amd && ['voicemail', 'machine'].includes(amd.result) ? 'voicemail' : 'completed';
+  }
+
+  const code = parseInt(failure?.code, 10);
+  if (BUSY_CODES.includes(code)) {
+    return 'busy';
+  }
+  if (NO_ANSWER_CODES.includes(code) || reason === 'timeout_alerting') {
+    return 'no_answer';
+  }
+  if (REJECTED_CODES.includes(code)) {
+    return 'rejected';
+  }
+  return 'error';
+}
+
+/**
+ * Validate and fill in defaults for a calling window
+ * @param {Object} [window] - { start, end, days }
+ * @returns {Object} - Calling window
+ * @throws {CampaignError} - Invalid times or days, or an empty window (start = end)
+ */
+function parseWindow(window = {}) {
+  const result = { ...DEFAULT_WINDOW, ...window };
+  if (parseClock(result.start) === null || parseClock(result.end) === null) {
+    throw new CampaignError('window.start and window.end must be "HH:MM"');
+  }
+  // An empty window would never dial, and the campaign would never finish
+  if (parseClock(result.start) === parseClock(result.end)) {
+    throw new CampaignError('window.start and window.end must differ');
+  }
+  if (!Array.isArray(result.days) || result.days.length === 0 || !result.days.every(day => Number.isInteger(day) && day >= 1 && day <= 7)) {
+    throw new CampaignError('window.days must be ISO weekdays (1 = Monday ... 7 = Sunday)');
+  }
+  return result;
+}
+
+/**
+ * Validate and fill in defaults for a retry policy
+ * @param {Object} [retry] - { maxAttempts, delayMinutes, retryOn }
+ * @returns {Object} - Retry policy
+ * @throws {CampaignError} - Invalid values
+ */
+function parseRetry(retry = {}) {
+  const result = { ...DEFAULT_RETRY, ...retry };
+  if (!Number.isInteger(result.maxAttempts) || result.maxAttempts < 1) {
+    throw new CampaignError('retry.maxAttempts must be a positive integer');
+  }
+  if (typeof result.delayMinutes !== 'number' || result.delayMinutes < 0) {
+    throw new CampaignError('retry.delayMinutes must be a non-negative number');
+  }
+  if (!Array.isArray(result.retryOn) || !result.retryOn.every(value => RETRYABLE_RESULTS.includes(value))) {
+    throw new CampaignError(`retry.retryOn must be a list of ${RETRYABLE_RESULTS.join(', ')}`);
+  }
+  return result;
+}
+
+/**
+ * Build contacts from uploaded rows
+ * `phone` (or `to`/`number`) and `timezone` are columns of their own; every other column becomes a call variable
+ * @param {Object[]} rows - Rows from CSV or JSON
+ * @param {string} defaultTimezone - Campaign time zone
+ * @returns {Object[]} - Contacts
+ * @throws {CampaignError} - Missing/invalid phone numbers or time zones (with the row number)
+ */
+function buildContacts(rows, defaultTimezone) {
+  return rows.map((row, index) => {
+    const { phone, to, number, timezone, variables, ...rest } = row;
+    const normalized = normalizePhone(phone || to || number);
+    if (!normalized) {
+      throw new CampaignError(`Contact ${index + 1}: invalid phone number "${phone || to || number || ''}"`);
+    }
+
+    const contactTimezone = timezone || defaultTimezone;
+    if (!isValidTimezone(contactTimezone)) {
+      throw new CampaignError(`Contact ${index + 1}: unknown time zone "${contactTimezone}"`);
+    }
+
+    return {
+      id: String(index + 1),
+      phone: normalized,
+      timezone: contactTimezone,
+      // JSON rows may nest variables; CSV rows are flat
+      variables: { ...rest, ...(variables && typeof variables === 'object' ? variables : {}) },
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: null,
+      callId: null,
+      attemptsLog: []
+    };
+  });
+}
+
+/**
+ * Campaign summary for listings: everything except the contacts, plus per-status counts
+ * @param {Object} campaign - Campaign
+ * @returns {Object} - Summary
+ */
+function summarize(campaign) {
+  const { contacts, ...summary } = campaign;
+  const counts = {};
+  for (const contact of contacts) {
+    counts[contact.status] = (counts[contact.status] || 0) + 1;
+  }
+  return { ...summary, contactCount: contacts.length, counts };
+}
+
+/**
+ * Runs every campaign: loads them at startup, dials on a timer, records outcomes
+ */
+export class CampaignManager {
+  /**
+   * @param {Object} options - { placeCall, dir, tickMs }
+   *   placeCall({ to, profileId, from, variables, amd, campaign: { campaignId, contactId } }) -> Promise<{ callId }>
+   *   rejects with `status` 4xx for contacts that can never be called
+   */
+  constructor({ placeCall, dir = CAMPAIGNS_DIR, tickMs = CAMPAIGN_TICK_MS }) {
+    this.placeCall = placeCall;
+    this.dir = dir;
+    this.tickMs = tickMs;
+    this.campaigns = new Map(); // campaignId -> campaign
+    this.optOuts = new Map(); // phone -> { at, source }
+    this.writes = new Map(); // file -> promise of the last queued write (keeps writes in order)
+    this.timer = null;
+  }
+
+  /**
+   * Load campaigns and the opt-out list from disk
+   * Contacts that were mid-call when the server stopped count as a failed attempt (their call is gone)
+   */
+  load() {
+    fs.mkdirSync(this.dir, { recursive: true });
+
+    for (const file of fs.readdirSync(this.dir)) {
+      if (!file.endsWith('.json')) {
+        continue;
+      }
+      try {
+        const data = JSON.parse(fs.readFileSync(path.join(this.dir, file), 'utf8'));
+        if (file === OPT_OUT_FILE) {
+          this.optOuts = new Map(Object.entries(data));
+          continue;
+        }
+        this.campaigns.set(data.id, data);
+      } catch (error) {
+        log.error('Skipping unreadable campaign file', { event: 'campaign.read_error', file, error: error.message });
+      }
+    }
+
+    for (const campaign of this.campaigns.values()) {
+      const interrupted = campaign.contacts.filter(contact => contact.status === 'dialing');
+      for (const contact of interrupted) {
+        this.finishAttempt(campaign, contact, 'error', 'interrupted by restart');
+      }
+      if (interrupted.length > 0) {
+        this.completeIfDone(campaign);
+        this.save(campaign);
+      }
+    }
+
+    log.info(`Loaded ${this.campaigns.size} campaign(s), ${this.optOuts.size} opted-out number(s)`, { event: 'campaign.loaded' });
+  }
+
+  /**
+   * Start dialing on a timer
+   */
+  start() {
+    if (!this.timer) {
+      this.timer = setInterval(() => this.tick(), this.tickMs);
+      this.timer.unref();
+    }
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Write a JSON file in the campaigns directory, serialized per file (temp file + rename)
+   * @param {string} file - File name
+   * @param {Function} snapshot - () => data, called when the write runs so it saves the latest state
+   */
+  persist(file, snapshot) {
+    const filePath = path.join(this.dir, file);
+    const previous = this.writes.get(file) || Promise.resolve();
+    const next = previous.catch(() => {}).then(async () => {
+      await fs.promises.writeFile(`${filePath}.tmp`, JSON.stringify(snapshot(), null, 2));
+      await fs.promises.rename(`${filePath}.tmp`, filePath);
+    });
+
+    this.writes.set(file, next);
+    next.catch(error => log.error('Error saving campaign file', { event: 'campaign.write_error', file, error: error.message })).finally(() => {
+      if (this.writes.get(file) === next) {
+        this.writes.delete(file);
+      }
+    });
+  }
+
+  save(campaign) {
+    this.persist(`${campaign.id}.json`, () => campaign);
+  }
+
+  /**
+   * Create a campaign (running unless `start` is false)
+   * @param {Object} spec - { name, profileId, from, contacts, csv, concurrency, timezone, window, retry, amd, start }
+   * @returns {Object} - Campaign summary
+   * @throws {CampaignError} - Invalid spec or contacts
+   */
+  createCampaign(spec) {
+    const timezone = spec.timezone || 'UTC';
+    if (!isValidTimezone(timezone)) {
+      throw new CampaignError(`Unknown time zone "${timezone}"`);
+    }
+
+    let rows = spec.contacts;
+    if (typeof spec.csv === 'string') {
+      rows = parseCsv(spec.csv);
+    }
+    if (!Array.isArray(rows) || rows.length === 0) {
+      throw new CampaignError('Give the contacts as a "contacts" array or a "csv" string with a header row');
+    }
+
+    const concurrency = spec.concurrency === undefined ? 1 : spec.concurrency;
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new CampaignError('concurrency must be a positive integer');
+    }
+
+    const campaign = {
+      id: `cmp_${randomUUID()}`,
+      name: spec.name || null,
+      profileId: spec.profileId || null,
+      from: spec.from || null,
+      amd: spec.amd !== false,
+      concurrency,
+      timezone,
+      window: parseWindow(spec.window),
+      retry: parseRetry(spec.retry),
+      status: spec.start === false ? 'paused' : 'running',
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      completedAt: null,
+      contacts: buildContacts(rows, timezone)
+    };
+
+    this.campaigns.set(campaign.id, campaign);
+    this.save(campaign);
+    log.info('Campaign created', { event: 'campaign.created', campaignId: campaign.id, contacts: campaign.contacts.length, status: campaign.status });
+
+    if (campaign.status === 'running') {
+      this.tick();
+    }
+    return summarize(campaign);
+  }
+
+  /**
+   * @returns {Object[]} - Campaign summaries, newest first
+   */
+  listCampaigns() {
+    return Array.from(this.campaigns.values(), summarize)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  /**
+   * @param {string} campaignId - Campaign ID
+   * @returns {Object|null} - Campaign summary, or null if unknown
+   */
+  getCampaign(campaignId) {
+    const campaign = this.campaigns.get(campaignId);
+    return campaign ? summarize(campaign) : null;
+  }
+
+  /**
+   * Page through a campaign's contacts
+   * @param {string} campaignId - Campaign ID
+   * @param {Object} [filter] - { status, limit, offset }
+   * @returns {{ contacts: Object[], total: number }|null} - Page of contacts, or null if the campaign is unknown
+   */
+  listContacts(campaignId, { status, limit = 100, offset = 0 } = {}) {
+    const campaign = this.campaigns.get(campaignId);
+    if (!campaign) {
+      return null;
+    }
+    const matches = status ? campaign.contacts.filter(contact => contact.status === status) : campaign.contacts;
+    return { contacts: matches.slice(offset, offset + limit), total: matches.length };
+  }
+
+  /**
+   * Change a campaign's status (pause / resume / cancel)
+   * Calls already in progress finish either way; cancelling marks contacts not yet called as cancelled
+   * @param {string} campaignId - Campaign ID
+   * @param {string} action - pause, resume or cancel
+   * @returns {Object} - Campaign summary
+   * @throws {CampaignError} - Unknown campaign (404) or not allowed in its current status (409)
+   */
+  setStatus(campaignId, action) {
+    const campaign = this.campaigns.get(campaignId);
+    if (!campaign) {
+      throw new CampaignError('Campaign not found', 404);
+    }
+
+    const allowed = {
+      pause: ['running'],
+      resume: ['paused'],
+      cancel: ['running', 'paused']
+    };
+    if (!allowed[action].includes(campaign.status)) {
+      throw new CampaignError(`Cannot ${action} a ${campaign.status} campaign`, 409);
+    }
+
+    if (action === 'cancel') {
+      campaign.status = 'cancelled';
+      for (const contact of campaign.contacts) {
+        if (contact.status === 'pending') {
+          contact.status = 'cancelled';
+        }
+      }
+    } else {
+      campaign.status = action === 'pause' ? 'paused' : 'running';
+      // Calls that ended while paused couldn't complete the campaign - with nothing left to dial, tick won't either
+      this.completeIfDone(campaign);
+    }
+
+    campaign.updatedAt = new Date().toISOString();
+    this.save(campaign);
+    log.info(`Campaign ${campaign.status}`, { event: 'campaign.status', campaignId: campaign.id, status: campaign.status });
+
+    if (campaign.status === 'running') {
+      this.tick();
+    }
+    return summarize(campaign);
+  }
+
+  /**
+   * Dial every contact that is due, inside calling hours and under its campaign's concurrency cap
+   */
+  tick() {
+    const now = new Date();
+
+    for (const campaign of this.campaigns.values()) {
+      if (campaign.status !== 'running') {
+        continue;
+      }
+
+      let active = campaign.contacts.filter(contact => contact.status === 'dialing').length;
+      let changed = false;
+
+      for (const contact of campaign.contacts) {
+        if (active >= campaign.concurrency) {
+          break;
+        }
+        if (contact.status !== 'pending') {
+          continue;
+        }
+        if (contact.nextAttemptAt && new Date(contact.nextAttemptAt) > now) {
+          continue;
+        }
+
+        if (this.isOptedOut(contact.phone)) {
+          contact.status = 'opted_out';
+          changed = true;
+          continue;
+        }
+
+        if (!isWithinWindow(campaign.window, contact.timezone, now)) {
+          continue;
+        }
+
+        this.dial(campaign, contact);
+        active++;
+        changed = true;
+      }
+
+      if (changed) {
+        this.completeIfDone(campaign);
+        this.save(campaign);
+      }
+    }
+  }
+
+  /**
+   * Start one call attempt
+   * @param {Object} campaign - Campaign
+   * @param {Object} contact - Contact (pending)
+   */
+  dial(campaign, contact) {
+    contact.status = 'dialing';
+    contact.attempts++;
+    contact.callId = null;
+    contact.nextAttemptAt = null;
+    const attempt = contact.attempts;
+
+    log.info('Calling contact', { event: 'campaign.dial', campaignId: campaign.id, contactId: contact.id, phone: contact.phone, attempt });
+
+    this.placeCall({
+      to: contact.phone,
+      profileId: campaign.profileId,
+      from: campaign.from,
+      variables: contact.variables,
+      amd: campaign.amd,
+      campaign: { campaignId: campaign.id, contactId: contact.id }
+    }).then(({ callId }) => {
+      if (contact.attempts === attempt && !contact.callId) {
+        contact.callId = callId;
+        this.save(campaign);
+      }
+    }).catch(error => {
+      // The call may already have ended (and been recorded) before placeCall gave up
+      if (contact.status !== 'dialing' || contact.attempts !== attempt) {
+        return;
+      }
+      log.error('Could not call contact', { event: 'campaign.dial_error', campaignId: campaign.id, contactId: contact.id, error: error.message });
+      // 4xx: this contact can't be called at all (bad number, opted out, ...) - don't retry
+      const result = error.status >= 400 && error.status < 500 ? 'invalid' : 'error';
+      this.finishAttempt(campaign, contact, result, error.message);
+      this.completeIfDone(campaign);
+      this.save(campaign);
+    });
+  }
+
+  /**
+   * Record the outcome of a campaign call (called when the call ends)
+   * @param {Object} ref - { campaignId, contactId } the call was placed for
+   * @param {Object} result - { callId, answered, amd, failure, reason, optedOut }
+   */
+  recordOutcome(ref, result) {
+    const campaign = this.campaigns.get(ref.campaignId);
+    const contact = campaign?.contacts.find(candidate => candidate.id === ref.contactId);
+    if (!contact || contact.status !== 'dialing') {
+      return;
+    }
+
+    contact.callId = result.callId;
+    const outcome = classifyAttempt(result);
+    if (outcome === 'opted_out') {
+      this.addOptOut(contact.phone, `campaign ${campaign.id}`);
+    }
+
+    this.finishAttempt(campaign, contact, outcome, result.reason);
+    this.completeIfDone(campaign);
+    this.save(campaign);
+  }
+
+  /**
+   * Log an attempt and move the contact to its next status (final outcome, or pending for a retry)
+   * @param {Object} campaign - Campaign
+   * @param {Object} contact - Contact (dialing)
+   * @param {string} result - classifyAttempt result, or 'invalid'
+   * @param {string} [reason] - Why the call ended
+   */
+  finishAttempt(campaign, contact, result, reason = null) {
+    contact.attemptsLog.push({
+      attempt: contact.attempts,
+      callId: contact.callId,
+      result,
+      reason,
+      at: new Date().toISOString()
+    });
+
+    if (['completed', 'voicemail', 'opted_out'].includes(result)) {
+      contact.status = result;
+    } else if (campaign.retry.retryOn.includes(result) && contact.attempts < campaign.retry.maxAttempts) {
+      // A cancelled campaign doesn't retry - the contact is done
+      contact.status = campaign.status === 'cancelled' ? 'cancelled' : 'pending';
+      contact.nextAttemptAt = new Date(Date.now() + campaign.retry.delayMinutes * 60000).toISOString();
+    } else {
+      contact.status = 'failed';
+    }
+
+    log.info(`Contact attempt ${result}`, { event: 'campaign.outcome', campaignId: campaign.id, contactId: contact.id, attempt: contact.attempts, result, status: contact.status });
+    campaign.updatedAt = new Date().toISOString();
+  }
+
+  /**
+   * Mark a running campaign completed once no contact is pending or dialing
+   * @param {Object} campaign - Campaign
+   */
+  completeIfDone(campaign) {
+    if (campaign.status !== 'running') {
+      return;
+    }
+    if (campaign.contacts.some(contact => contact.status === 'pending' || contact.status === 'dialing')) {
+      return;
+    }
+    campaign.status = 'completed';
+    campaign.completedAt = new Date().toISOString();
+    log.info('Campaign completed', { event: 'campaign.completed', campaignId: campaign.id });
+  }
+
+  /**
+   * @param {string} phone - Phone number
+   * @returns {boolean} - True if the number asked not to be called
+   */
+  isOptedOut(phone) {
+    const normalized = normalizePhone(phone);
+    return Boolean(normalized && this.optOuts.has(normalized));
+  }
+
+  /**
+   * Add a number to the opt-out list
+   * @param {string} phone - Phone number
+   * @param {string} [source] - Where the opt-out came from (api, call, campaign ...)
+   * @returns {string} - Normalized number
+   * @throws {CampaignError} - Invalid number
+   */
+  addOptOut(phone, source = 'api') {
+    const normalized = normalizePhone(phone);
+    if (!normalized) {
+      throw new CampaignError(`Invalid phone number "${phone}"`);
+    }
+    if (!this.optOuts.has(normalized)) {
+      this.optOuts.set(normalized, { at: new Date().toISOString(), source });
+      this.saveOptOuts();
+      log.info('Number opted out', { event: 'campaign.opt_out', number: normalized, source });
+    }
+    return normalized;
+  }
+
+  /**
+   * @param {string} phone - Phone number
+   * @returns {boolean} - True if the number was on the list
+   */
+  removeOptOut(phone) {
+    const removed = this.optOuts.delete(normalizePhone(phone));
+    if (removed) {
+      this.saveOptOuts();
+    }
+    return removed;
+  }
+
+  /**
+   * @returns {Object[]} - { phone, at, source } for every opted-out number
+   */
+  listOptOuts() {
+    return Array.from(this.optOuts, ([phone, optOut]) => ({ phone, ...optOut }));
+  }
+
+  saveOptOuts() {
+    this.persist(OPT_OUT_FILE, () => Object.fromEntries(this.optOuts));
+  }
+}
@@ -0,0 +1,84 @@
+// dtmf.js
+// Keypad (DTMF) input - digits from the scenario's `dtmf` messages are collected into one entry
+// An entry ends on the terminator key, when it reaches maxDigits, or after a pause between digits
+// What happens with it depends on the profile's `dtmf.mode` (see handleDtmf in server.js)
+
+export const DTMF_MODES = ['conversation', 'ivr', 'off'];
+
+// Pause after the last digit that ends an entry
+export const DTMF_DIGIT_TIMEOUT_MS = parseInt(process.env.DTMF_DIGIT_TIMEOUT_MS || '3000', 10);
+
+/**
+ * Collects one keypad entry
+ * onDone(digits, reason) is called exactly once - reason is 'terminator', 'max_digits', 'timeout' or 'cancelled'
+ */
+export class DigitCollector {
+  /**
+   * @param {Object} options - { terminator, maxDigits, digitTimeoutMs, firstDigitTimeoutMs }
+   *   terminator is '#', '*' or '' (none); firstDigitTimeoutMs limits the wait for the first key (null waits forever)
+   * @param {Function} onDone - (digits, reason) => void
+   */
+  constructor({ terminator = '#', maxDigits = null, digitTimeoutMs = DTMF_DIGIT_TIMEOUT_MS, firstDigitTimeoutMs = null } = {}, onDone) {
+    this.terminator = terminator || '';
+    this.maxDigits = maxDigits || null;
+    this.digitTimeoutMs = digitTimeoutMs;
+    this.onDone = onDone;
+    this.digits = '';
+    this.done = false;
+    this.timer = null;
+
+    if (firstDigitTimeoutMs) {
+      this.arm(firstDigitTimeoutMs);
+    }
+  }
+
+  /**
+   * Add a key press
+   * @param {string} digit - 0-9, *, #, A-D
+   */
+  push(digit) {
+    if (this.done) {
+      return;
+    }
+    if (digit === this.terminator) {
+      this.finish('terminator');
+      return;
+    }
+
+    this.digits += digit;
+    if (this.maxDigits && this.digits.length >= this.maxDigits) {
+      this.finish('max_digits');
+      return;
+    }
+    this.arm(this.digitTimeoutMs);
+  }
+
+  /**
+   * Stop collecting (call ended, or another request took over the keypad)
+   */
+  cancel() {
+    this.finish('cancelled');
+  }
+
+  /**
+   * (Re)start the timeout
+   * @param {number} ms - Time until the entry is considered finished
+   */
+  arm(ms) {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.finish('timeout'), ms);
+  }
+
+  /**
+   * End the entry and report it
+   * @param {string} reason - Why it ended
+   */
+  finish(reason) {
+    if (this.done) {
+      return;
+    }
+    this.done = true;
+    clearTimeout(this.timer);
+    this.onDone(this.digits, reason);
+  }
+}
@@ -0,0 +1,183 @@
+// g711.js
+// G.711 µ-law / A-law codecs (ITU-T G.711) for 8kHz telephony audio
+// PCM16 buffers are 16-bit signed little-endian mono
+
+const ULAW_BIAS = 0x84;
+const ULAW_CLIP = 32635;
+
+/**
+ * Decode one µ-law byte to a 16-bit sample
+ * @param {number} byte - µ-law byte
+ * @returns {number} - PCM16 sample
+ */
+function ulawToLinear(byte) {
+  const value = ~byte & 0xff;
+  const sign = value & 0x80;
+  const exponent = (value >> 4) & 0x07;
+  const mantissa = value & 0x0f;
+  const magnitude = (((mantissa << 3) + ULAW_BIAS) << exponent) - ULAW_BIAS;
+  return sign ? -magnitude : magnitude;
+}
+
+/**
+ * Encode one 16-bit sample as µ-law
+ * @param {number} sample - PCM16 sample
+ * @returns {number} - µ-law byte
+ */
+function linearToUlaw(sample) {
+  const sign = sample < 0 ? 0x80 : 0;
+  let magnitude = Math.min(Math.abs(sample), ULAW_CLIP) + ULAW_BIAS;
+
+  let exponent = 7;
+  for (let mask = 0x4000; (magnitude & mask) === 0 && exponent > 0; mask >>= 1) {
+    exponent--;
+  }
+  const mantissa = (magnitude >> (exponent + 3)) & 0x0f;
+
+  return ~(sign | (exponent << 4) | mantissa) & 0xff;
+}
+
+/**
+ * Decode one A-law byte to a 16-bit sample
+ * @param {number} byte - A-law byte
+ * @returns {number} - PCM16 sample
+ */
+function alawToLinear(byte) {
+  const value = byte ^ 0x55;
+  const sign = value & 0x80;
+  const exponent = (value >> 4) & 0x07;
+  const mantissa = value & 0x0f;
+
+  let magnitude = (mantissa << 4) + 8;
+  if (exponent > 0) {
+    magnitude = (magnitude + 0x100) << (exponent - 1);
+  }
+  return sign ? magnitude : -magnitude;
+}
+
+/**
+ * Encode one 16-bit sample as A-law
+ * @param {number} sample - PCM16 sample
+ * @returns {number} - A-law byte
+ */
+function linearToAlaw(sample) {
+  const sign = sample >= 0 ? 0x80 : 0;
+  const magnitude = Math.min(sample >= 0 ? sample : -sample - 1, 32767);
+
+  let exponent = 7;
+  for (let mask = 0x4000; (magnitude & mask) === 0 && exponent > 0; mask >>= 1) {
+    exponent--;
+  }
+  const mantissa = exponent === 0
+    ? (magnitude >> 4) & 0x0f
+    : (magnitude >> (exponent + 3)) & 0x0f;
+
+  return (sign | (exponent << 4) | mantissa) ^ 0x55;
+}
+
+// Decoding is a table lookup - 256 entries each
+const ULAW_DECODE_TABLE = new Int16Array(256);
+const ALAW_DECODE_TABLE = new Int16Array(256);
+for (let i = 0; i < 256; i++) {
+  ULAW_DECODE_TABLE[i] = ulawToLinear(i);
+  ALAW_DECODE_TABLE[i] = alawToLinear(i);
+}
+
+/**
+ * Decode G.711 bytes with a lookup table
+ * @param {Buffer} input - G.711 audio (1 byte per sample)
+ * @param {Int16Array} table - Decode table
+ * @returns {Buffer} - PCM16 audio
+ */
+function decodeWithTable(input, table) {
+  const output = Buffer.allocUnsafe(input.length * 2);
+  for (let i = 0; i < input.length; i++) {
+    output.writeInt16LE(table[input[i]], i * 2);
+  }
+  return output;
+}
+
+/**
+ * Encode PCM16 samples with a per-sample encoder
+ * @param {Buffer} input - PCM16 audio (a trailing odd byte is ignored)
+ * @param {Function} encodeSample - Sample encoder
+ * @returns {Buffer} - G.711 audio
+ */
+function encodeWith(input, encodeSample) {
+  const samples = Math.floor(input.length / 2);
+  const output = Buffer.allocUnsafe(samples);
+  for (let i = 0; i < samples; i++) {
+    output[i] = encodeSample(input.readInt16LE(i * 2));
+  }
+  return output;
+}
+
+/**
+ * Decode µ-law to PCM16
+ * @param {Buffer} input - µ-law audio
+ * @returns {Buffer} - PCM16 audio
+ */
+export function decodeUlaw(input) {
+  return decodeWithTable(input, ULAW_DECODE_TABLE);
+}
+
+/**
+ * Encode PCM16 to µ-law
+ * @param {Buffer} input - PCM16 audio
+ * @returns {Buffer} - µ-law audio
+ */
+export function encodeUlaw(input) {
+  return encodeWith(input, linearToUlaw);
+}
+
+/**
+ * Decode A-law to PCM16
+ * @param {Buffer} input - A-law audio
+ * @returns {Buffer} - PCM16 audio
+ */
+export function decodeAlaw(input) {
+  return decodeWithTable(input, ALAW_DECODE_TABLE);
+}
+
+/**
+ * Encode PCM16 to A-law
+ * @param {Buffer} input - PCM16 audio
+ * @returns {Buffer} - A-law audio
+ */
+export function encodeAlaw(input) {
+  return encodeWith(input, linearToAlaw);
+}
+
+// Direct µ-law <-> A-law tables, for when the call and OpenAI use different G.711 laws
+const ULAW_TO_ALAW_TABLE = new Uint8Array(256);
+const ALAW_TO_ULAW_TABLE = new Uint8Array(256);
+for (let i = 0; i < 256; i++) {
+  ULAW_TO_ALAW_TABLE[i] = linearToAlaw(ULAW_DECODE_TABLE[i]);
+  ALAW_TO_ULAW_TABLE[i] = linearToUlaw(ALAW_DECODE_TABLE[i]);
+}
+
+/**
+ * Transcode µ-law to A-law without going through a PCM16 buffer
+ * @param {Buffer} input - µ-law audio
+ * @returns {Buffer} - A-law audio
+ */
+export function ulawToAlaw(input) {
+  const output = Buffer.allocUnsafe(input.length);
+  for (let i = 0; i < input.length; i++) {
+    output[i] = ULAW_TO_ALAW_TABLE[input[i]];
+  }
+  return output;
+}
+
+/**
+ * Transcode A-law to µ-law without going through a PCM16 buffer
+ * @param {Buffer} input - A-law audio
+ * @returns {Buffer} - µ-law audio
+ */
+export function alawToUlaw(input) {
+  const output = Buffer.allocUnsafe(input.length);
+  for (let i = 0; i < input.length; i++) {
+    output[i] = ALAW_TO_ULAW_TABLE[input[i]];
+  }
+  return output;
+}
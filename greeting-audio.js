@@ -0,0 +1,93 @@
+// greeting-audio.js
+// Pre-rendered greeting audio (profile greeting mode "audio")
+// Files are PCM16 mono WAVs in GREETINGS_DIR at 8, 16, 24 or 48kHz, converted once per call format and cached
+
+import fs from 'fs';
+import path from 'path';
+import { encodeAudio } from './media-protocol.js';
+import { StreamingResampler, SUPPORTED_RATES } from './resampler.js';
+
+const GREETINGS_DIR = process.env.GREETINGS_DIR || path.resolve(process.cwd(), 'greetings');
+
+// "file|encoding|sampleRate" -> { audio, mtimeMs }
+const cache = new Map();
+
+/**
+ * Read the PCM16 samples out of a WAV file
+ * @param {Buffer} wav - WAV file contents
+ * @returns {Object} - { pcm, sampleRate }
+ * @throws {Error} - Not a PCM16 mono WAV
+ */
+function parseWav(wav) {
+  if (wav.length < 12 || wav.toString('ascii', 0, 4) !== 'RIFF' || wav.toString('ascii', 8, 12) !== 'WAVE') {
+    throw new Error('not a WAV file');
+  }
+
+  let format = null;
+  let offset = 12;
+  while (offset + 8 <= wav.length) {
+    const chunkId = wav.toString('ascii', offset, offset + 4);
+    const chunkSize = wav.readUInt32LE(offset + 4);
+    const body = offset + 8;
+
+    if (chunkId === 'fmt ') {
+      format = {
+        audioFormat: wav.readUInt16LE(body),
+        channels: wav.readUInt16LE(body + 2),
+        sampleRate: wav.readUInt32LE(body + 4),
+        bitsPerSample: wav.readUInt16LE(body + 14)
+      };
+    } else if (chunkId === 'data') {
+      if (!format) {
+        throw new Error('data chunk before fmt chunk');
+      }
+      if (format.audioFormat !== 1 || format.bitsPerSample !== 16 || format.channels !== 1) {
+        throw new Error('only PCM16 mono WAV files are supported');
+      }
+      if (!SUPPORTED_RATES.includes(format.sampleRate)) {
+        throw new Error(`unsupported sample rate ${format.sampleRate}Hz (supported: ${SUPPORTED_RATES.join(', ')})`);
+      }
+      const end = Math.min(body + chunkSize, wav.length);
+      return { pcm: wav.subarray(body, end - ((end - body) % 2)), sampleRate: format.sampleRate };
+    }
+
+    offset = body + chunkSize + (chunkSize % 2); // Chunks are word-aligned
+  }
+
+  throw new Error('no data chunk');
+}
+
+/**
+ * Load a greeting file converted to a call's media format
+ * @param {string} file - File name, relative to GREETINGS_DIR
+ * @param {Object} format - Call's media format
+ * @returns {Promise<Buffer>} - Audio in the call's format
+ * @throws {Error} - Missing or unsupported file
+ */
+export async function loadGreetingAudio(file, format) {
+  const filePath = path.resolve(GREETINGS_DIR, file);
+  const { mtimeMs } = await fs.promises.stat(filePath);
+  const key = `${filePath}|${format.encoding}|${format.sampleRate}`;
+
+  // Re-read when the file changes, like profiles
+  const cached = cache.get(key);
+  if (cached && cached.mtimeMs === mtimeMs) {
+    return cached.audio;
+  }
+
+  let pcm;
+  let sampleRate;
+  try {
+    ({ pcm, sampleRate } = parseWav(await fs.promises.readFile(filePath)));
+  } catch (error) {
+    throw new Error(`Greeting audio ${file}: ${error.message}`);
+  }
+
+  if (sampleRate !== format.sampleRate) {
+    pcm = new StreamingResampler(sampleRate, format.sampleRate).process(pcm);
+  }
+  const audio = encodeAudio(pcm, format);
+
+  cache.set(key, { audio, mtimeMs });
+  return audio;
+}
@@ -0,0 +1,190 @@
+// logger.js
+// Structured JSON logger - one line per entry: { ts, level, component, msg, callId, event, ...fields }
+// LOG_LEVEL picks the minimum level (trace, debug, info, warn, error); trace is for per-audio-chunk events
+// and is sampled (LOG_SAMPLE_RATE). Phone numbers, API keys, tokens and auth headers are redacted.
+
+const LEVELS = { trace: 10, debug: 20, info: 30, warn: 40, error: 50 };
+
+const LOG_LEVEL = LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info';
+const LOG_SAMPLE_RATE = parseFloat(process.env.LOG_SAMPLE_RATE || '0.01');
+const LOG_FORMAT = process.env.LOG_FORMAT || 'json'; // 'json' or 'pretty' (local development)
+const LOG_REDACT = process.env.LOG_REDACT !== 'false';
+
+const MAX_STRING_LENGTH = 2000;
+const MAX_DEPTH = 6;
+
+// Values under these keys are never logged
+const SECRET_KEY_PATTERN = /^(authorization|cookie|set-cookie|x-api-key|api[-_]?key|token|secret|password|sig|signature|x-tavari-signature)$/i;
+// Values under these keys are phone numbers
+const PHONE_KEY_PATTERN = /^(callerId|calleeId|phone|to|from|number|numbers|target)$/i;
+// Keys whose values are identifiers, not free text
+const SAFE_KEYS = new Set(['ts', 'level', 'component', 'callId', 'event', 'wsId', 'profileId', 'campaignId', 'contactId']);
+
+/**
+ * Keep the last 4 digits of a phone number: "+15551234567" -> "+*******4567"
+ * @param {string} number - Phone number
+ * @returns {string} - Masked number
+ */
+export function maskPhone(number) {
+  const text = String(number);
+  const digits = text.replace(/\D/g, '').length;
+  let seen = 0;
+  return text.replace(/\d/g, digit => (++seen > digits - 4 ? digit : '*'));
+}
+
+/**
+ * Redact secrets and phone numbers inside free text
+ * @param {string} text - Log message or field value
+ * @returns {string} - Redacted text
+ */
+function redactText(text) {
+  const redacted = text
+    .replace(/Bearer\s+[\w.~+/-]+=*/gi, 'Bearer [redacted]')
+    .replace(/\bsk-[\w-]{10,}/g, 'sk-[redacted]')
+    .replace(/(?<![\w-])\+\d{7,15}\b|(?<![\w-])\d{10,15}\b/g, match => maskPhone(match));
+  return redacted.length > MAX_STRING_LENGTH ? `${redacted.slice(0, MAX_STRING_LENGTH)}…` : redacted;
+}
+
+/**
+ * Make a field value safe to log (redacted, errors serialized, bounded depth)
+ * @param {*} value - Field value
+ * @param {string} key - Field name
+ * @param {number} depth - Nesting depth
+ * @returns {*} - Loggable value
+ */
+function sanitize(value, key = '', depth = 0) {
+  if (value === null || value === undefined || typeof value === 'number' || typeof value === 'boolean') {
+    return value;
+  }
+  if (LOG_REDACT && SECRET_KEY_PATTERN.test(key)) {
+    return '[redacted]';
+  }
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: LOG_REDACT ? redactText(value.message) : value.message,
+      ...(value.code !== undefined ? { code: value.code } : {}),
+      ...(value.status !== undefined ? { status: value.status } : {}),
+      stack: value.stack
+    };
+  }
+  if (typeof value === 'string') {
+    if (!LOG_REDACT || SAFE_KEYS.has(key)) {
+      return value;
+    }
+    return PHONE_KEY_PATTERN.test(key) && /\d{4}/.test(value.replace(/\D/g, '')) ? maskPhone(value) : redactText(value);
+  }
+  if (Buffer.isBuffer(value)) {
+    return `<${value.length} bytes>`;
+  }
+  if (depth >= MAX_DEPTH) {
+    return '[truncated]';
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => sanitize(item, key, depth + 1));
+  }
+  if (typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, sanitize(item, name, depth + 1)]));
+  }
+  return String(value);
+}
+
+/**
+ * Write one entry
+ * @param {string} level - Level name
+ * @param {Object} bound - Fields bound to the logger (component, callId, ...)
+ * @param {string} msg - Message
+ * @param {Object} fields - Entry fields
+ */
+function write(level, bound, msg, fields) {
+  const entry = {
+    ts: new Date().toISOString(),
+    level,
+    ...sanitize({ ...bound, ...fields }),
+    msg: LOG_REDACT ? redactText(String(msg)) : String(msg)
+  };
+
+  let line;
+  if (LOG_FORMAT === 'pretty') {
+    const { ts, component, msg: text, level: entryLevel, ...rest } = entry;
+    line = `${ts} ${entryLevel.toUpperCase().padEnd(5)} [${component || '-'}] ${text}${Object.keys(rest).length > 0 ? ` ${JSON.stringify(rest)}` : ''}`;
+  } else {
+    line = JSON.stringify(entry);
+  }
+
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+}
+
+/**
+ * Logger with bound fields
+ */
+export class Logger {
+  /**
+   * @param {Object} [bound] - Fields added to every entry (e.g. { component, callId })
+   */
+  constructor(bound = {}) {
+    this.bound = bound;
+  }
+
+  /**
+   * Logger for a narrower context - e.g. log.child({ callId }) for per-call correlation
+   * @param {Object} fields - Fields to add
+   * @returns {Logger} - New logger
+   */
+  child(fields) {
+    return new Logger({ ...this.bound, ...fields });
+  }
+
+  /**
+   * @param {string} level - Level name
+   * @returns {boolean} - True if entries at this level are written
+   */
+  enabled(level) {
+    return LEVELS[level] >= LEVELS[LOG_LEVEL];
+  }
+
+  /**
+   * High-volume events (audio chunks) - sampled even when LOG_LEVEL=trace
+   * @param {string} msg - Message
+   * @param {Object} [fields] - Fields
+   * @param {number} [sampleRate] - Share of entries to keep (0-1)
+   */
+  trace(msg, fields = {}, sampleRate = LOG_SAMPLE_RATE) {
+    if (this.enabled('trace') && Math.random() < sampleRate) {
+      write('trace', this.bound, msg, { ...fields, sampleRate });
+    }
+  }
+
+  debug(msg, fields = {}) {
+    if (this.enabled('debug')) {
+      write('debug', this.bound, msg, fields);
+    }
+  }
+
+  info(msg, fields = {}) {
+    if (this.enabled('info')) {
+      write('info', this.bound, msg, fields);
+    }
+  }
+
+  warn(msg, fields = {}) {
+    if (this.enabled('warn')) {
+      write('warn', this.bound, msg, fields);
+    }
+  }
+
+  error(msg, fields = {}) {
+    if (this.enabled('error')) {
+      write('error', this.bound, msg, fields);
+    }
+  }
+}
+
+/**
+ * Logger for a module
+ * @param {string} component - Module name (e.g. 'server', 'campaigns')
+ * @returns {Logger} - Logger
+ */
+export function createLogger(component) {
+  return new Logger({ component });
+}
@@ -0,0 +1,210 @@
+// media-protocol.js
+// Media WebSocket protocol between the VoxEngine scenario and the server
+//
+// Scenario -> server (text frames, JSON):
+//   { event: "start", start: { callId, encoding, sampleRate, channels } }  - negotiates the audio format
+//   { event: "media", media: { payload: "<base64 audio>" } }
+//   { event: "mark",  mark: { name } }
+//   { event: "dtmf",  dtmf: { digit } }
+//   { event: "stop" }
+// Binary frames are raw audio in the negotiated format (PCM16 8kHz mono until a start message says otherwise)
+
+import { decodeUlaw, encodeUlaw, decodeAlaw, encodeAlaw } from './g711.js';
+import { SUPPORTED_RATES } from './resampler.js';
+
+export const SUPPORTED_ENCODINGS = ['pcm16', 'ulaw', 'alaw'];
+export const SUPPORTED_SAMPLE_RATES = SUPPORTED_RATES;
+
+export const DEFAULT_MEDIA_FORMAT = Object.freeze({
+  encoding: 'pcm16',
+  sampleRate: 8000,
+  channels: 1
+});
+
+// Encoding aliases seen in VoxEngine / other providers
+const ENCODING_ALIASES = {
+  pcm16: 'pcm16',
+  pcm: 'pcm16',
+  linear16: 'pcm16',
+  'audio/l16': 'pcm16',
+  ulaw: 'ulaw',
+  mulaw: 'ulaw',
+  pcmu: 'ulaw',
+  g711_ulaw: 'ulaw',
+  'audio/x-mulaw': 'ulaw',
+  alaw: 'alaw',
+  pcma: 'alaw',
+  g711_alaw: 'alaw',
+  'audio/x-alaw': 'alaw'
+};
+
+const BASE64_PATTERN = /^[A-Za-z0-9+/]*={0,2}$/;
+const DTMF_PATTERN = /^[0-9*#A-D]$/;
+
+/**
+ * A frame that doesn't follow the protocol - `message` is the reason, for logging
+ */
+export class MediaFrameError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MediaFrameError';
+  }
+}
+
+/**
+ * Validate the audio format from a start message
+ * @param {Object} start - `start` object ({ encoding, sampleRate, channels })
+ * @returns {Object} - { encoding, sampleRate, channels }
+ * @throws {MediaFrameError} - Unsupported encoding, sample rate or channel count
+ */
+export function negotiateMediaFormat(start = {}) {
+  const requestedEncoding = String(start.encoding || start.mediaFormat?.encoding || DEFAULT_MEDIA_FORMAT.encoding).toLowerCase();
+  const encoding = ENCODING_ALIASES[requestedEncoding];
+  if (!encoding) {
+    throw new MediaFrameError(`unsupported encoding "${requestedEncoding}"`);
+  }
+
+  const sampleRate = parseInt(start.sampleRate || start.mediaFormat?.sampleRate || DEFAULT_MEDIA_FORMAT.sampleRate, 10);
+  if (!SUPPORTED_SAMPLE_RATES.includes(sampleRate)) {
+    throw new MediaFrameError(`unsupported sample rate ${sampleRate}`);
+  }
+  if (encoding !== 'pcm16' && sampleRate !== 8000) {
+    throw new MediaFrameError(`${encoding} is only supported at 8000Hz`);
+  }
+
+  const channels = parseInt(start.channels || start.mediaFormat?.channels || 1, 10);
+  if (channels !== 1) {
+    throw new MediaFrameError(`unsupported channel count ${channels} (mono only)`);
+  }
+
+  return { encoding, sampleRate, channels };
+}
+
+/**
+ * Parse one WebSocket frame from the scenario
+ * @param {Buffer} data - Frame data (ws delivers both text and binary frames as Buffers)
+ * @param {boolean} isBinary - True for binary frames
+ * @returns {Object} - { event: 'media', payload } | { event: 'start', callId, format }
+ *   | { event: 'stop' } | { event: 'mark', name } | { event: 'dtmf', digit }
+ * @throws {MediaFrameError} - Malformed or unknown frame
+ */
+export function parseMediaFrame(data, isBinary) {
+  if (isBinary) {
+    if (data.length === 0) {
+      throw new MediaFrameError('empty binary frame');
+    }
+    return { event: 'media', payload: data };
+  }
+
+  let message;
+  try {
+    message = JSON.parse(data.toString());
+  } catch (error) {
+    throw new MediaFrameError('text frame is not valid JSON');
+  }
+
+  if (!message || typeof message !== 'object') {
+    throw new MediaFrameError('JSON frame is not an object');
+  }
+
+  switch (message.event) {
+    case 'media': {
+      const payload = message.media?.payload;
+      if (typeof payload !== 'string' || payload.length === 0) {
+        throw new MediaFrameError('media frame without payload');
+      }
+      if (payload.length % 4 !== 0 || !BASE64_PATTERN.test(payload)) {
+        throw new MediaFrameError('media payload is not valid base64');
+      }
+      return { event: 'media', payload: Buffer.from(payload, 'base64') };
+    }
+
+    case 'start': {
+      const start = message.start || {};
+      return {
+        event: 'start',
+        callId: start.callId || start.call_id || null,
+        format: negotiateMediaFormat(start)
+      };
+    }
+
+    case 'stop':
+      return { event: 'stop' };
+
+    case 'mark': {
+      const name = message.mark?.name;
+      if (typeof name !== 'string' || name.length === 0) {
+        throw new MediaFrameError('mark frame without name');
+      }
+      return { event: 'mark', name };
+    }
+
+    case 'dtmf': {
+      const digit = String(message.dtmf?.digit ?? '').toUpperCase();
+      if (!DTMF_PATTERN.test(digit)) {
+        throw new MediaFrameError(`invalid DTMF digit "${message.dtmf?.digit}"`);
+      }
+      return { event: 'dtmf', digit };
+    }
+
+    default:
+      throw new MediaFrameError(`unknown event "${message.event}"`);
+  }
+}
+
+/**
+ * Check that an audio payload is whole samples in the call's format
+ * @param {Buffer} payload - Audio in the negotiated encoding
+ * @param {Object} format - Negotiated media format
+ * @throws {MediaFrameError} - PCM16 payload with an odd number of bytes
+ */
+export function validateAudioPayload(payload, format) {
+  if (format.encoding === 'pcm16' && payload.length % 2 !== 0) {
+    throw new MediaFrameError(`PCM16 payload has odd length ${payload.length}`);
+  }
+}
+
+/**
+ * Bytes of audio per millisecond in a media format
+ * @param {Object} format - Media format
+ * @returns {number} - Bytes per millisecond
+ */
+export function bytesPerMs(format) {
+  return (format.sampleRate / 1000) * (format.encoding === 'pcm16' ? 2 : 1);
+}
+
+/**
+ * Decode audio from the call's format to PCM16 (same sample rate)
+ * @param {Buffer} payload - Audio in the negotiated encoding
+ * @param {Object} format - Negotiated media format
+ * @returns {Buffer} - PCM16 audio
+ * @throws {MediaFrameError} - PCM16 payload with an odd number of bytes
+ */
+export function decodeAudio(payload, format) {
+  switch (format.encoding) {
+    case 'ulaw':
+      return decodeUlaw(payload);
+    case 'alaw':
+      return decodeAlaw(payload);
+    default:
+      validateAudioPayload(payload, format);
+      return payload;
+  }
+}
+
+/**
+ * Encode PCM16 audio into the call's format
+ * @param {Buffer} pcm - PCM16 audio at the call's sample rate
+ * @param {Object} format - Negotiated media format
+ * @returns {Buffer} - Audio in the negotiated encoding
+ */
+export function encodeAudio(pcm, format) {
+  switch (format.encoding) {
+    case 'ulaw':
+      return encodeUlaw(pcm);
+    case 'alaw':
+      return encodeAlaw(pcm);
+    default:
+      return pcm;
+  }
+}
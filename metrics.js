@@ -0,0 +1,229 @@
+// metrics.js
+// Prometheus metrics (text exposition format 0.0.4) without a client library
+// Counters, gauges and histograms with labels, plus the OpenAI connection health behind /health
+
+const OPENAI_HEALTH_WINDOW_MS = parseInt(process.env.OPENAI_HEALTH_WINDOW_MS || '300000', 10);
+const OPENAI_HEALTH_MIN_FAILURES = 3;
+const OPENAI_HEALTH_MAX_FAILURE_RATIO = 0.5;
+
+// Seconds - from sub-second setup times to slow first answers
+const DEFAULT_BUCKETS = [0.1, 0.25, 0.5, 1, 2, 3, 5, 10, 30];
+
+const metrics = [];
+
+/**
+ * Escape a label value for the text format
+ * @param {*} value - Label value
+ * @returns {string} - Escaped value
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Render a label set as {name="value",...}
+ * @param {Object} labels - Label values
+ * @returns {string} - Label block ('' if no labels)
+ */
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return '';
+  }
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+/**
+ * Base for all metric types - values are kept per label set
+ */
+class Metric {
+  /**
+   * @param {string} type - counter, gauge or histogram
+   * @param {string} name - Metric name
+   * @param {string} help - Description
+   * @param {string[]} [labelNames] - Allowed labels, in output order
+   */
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.values = new Map(); // Label key -> { labels, value }
+    metrics.push(this);
+  }
+
+  /**
+   * Pick the declared labels (in order) from a label object
+   * @param {Object} labels - Label values
+   * @returns {Object} - { key, labels }
+   */
+  resolve(labels) {
+    const picked = {};
+    for (const name of this.labelNames) {
+      picked[name] = labels[name] ?? '';
+    }
+    return { key: JSON.stringify(picked), labels: picked };
+  }
+
+  /**
+   * @returns {string[]} - Sample lines for the exposition
+   */
+  samples() {
+    return Array.from(this.values.values()).map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`);
+  }
+
+  /**
+   * @returns {string} - HELP, TYPE and sample lines
+   */
+  render() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`, ...this.samples()].join('\n');
+  }
+}
+
+export class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  /**
+   * @param {Object} [labels] - Label values
+   * @param {number} [amount] - Increment (>= 0)
+   */
+  inc(labels = {}, amount = 1) {
+    const { key, labels: picked } = this.resolve(labels);
+    const entry = this.values.get(key) || { labels: picked, value: 0 };
+    entry.value += amount;
+    this.values.set(key, entry);
+  }
+}
+
+export class Gauge extends Metric {
+  /**
+   * @param {string} name - Metric name
+   * @param {string} help - Description
+   * @param {string[]} [labelNames] - Allowed labels
+   * @param {Function} [collect] - Called at scrape time, returns [[labels, value], ...] - replaces all values
+   */
+  constructor(name, help, labelNames, collect = null) {
+    super('gauge', name, help, labelNames);
+    this.collect = collect;
+  }
+
+  /**
+   * @param {Object} labels - Label values
+   * @param {number} value - Current value
+   */
+  set(labels, value) {
+    const { key, labels: picked } = this.resolve(labels);
+    this.values.set(key, { labels: picked, value });
+  }
+
+  samples() {
+    if (this.collect) {
+      this.values.clear();
+      for (const [labels, value] of this.collect()) {
+        this.set(labels, value);
+      }
+    }
+    return super.samples();
+  }
+}
+
+export class Histogram extends Metric {
+  /**
+   * @param {string} name - Metric name
+   * @param {string} help - Description
+   * @param {string[]} [labelNames] - Allowed labels
+   * @param {number[]} [buckets] - Upper bounds, ascending
+   */
+  constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+    super('histogram', name, help, labelNames);
+    this.buckets = buckets;
+  }
+
+  /**
+   * @param {Object} labels - Label values
+   * @param {number} value - Observed value
+   */
+  observe(labels, value) {
+    const { key, labels: picked } = this.resolve(labels);
+    const entry = this.values.get(key) || { labels: picked, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) {
+        entry.counts[i]++;
+      }
+    });
+    entry.sum += value;
+    entry.count++;
+    this.values.set(key, entry);
+  }
+
+  samples() {
+    const lines = [];
+    for (const { labels, counts, sum, count } of this.values.values()) {
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    }
+    return lines;
+  }
+}
+
+/**
+ * Render every registered metric
+ * @returns {string} - Prometheus text exposition
+ */
+export function renderMetrics() {
+  return metrics.map(metric => metric.render()).join('\n') + '\n';
+}
+
+// Call and audio metrics (gauges that read live sessions are created in server.js)
+export const callsEnded = new Counter('tavari_calls_ended_total', 'Calls ended, by direction and end reason', ['direction', 'reason']);
+export const openaiSessionSetup = new Histogram('tavari_openai_session_setup_seconds', 'Time from starting an OpenAI Realtime session to session.updated');
+export const timeToFirstAudio = new Histogram('tavari_time_to_first_audio_seconds', 'Time from the call connecting to the first agent audio sent to the caller', ['direction']);
+export const audioBytes = new Counter('tavari_audio_bytes_total', 'Call audio bytes on the media socket (inbound = from the caller, outbound = to the caller)', ['direction']);
+export const inboundAudioGated = new Counter('tavari_inbound_audio_gated_seconds_total', 'Caller audio the noise gate kept from the model (silence and noise between turns)');
+export const outboundUnderruns = new Counter('tavari_outbound_underruns_total', 'Times agent audio ran out mid-response and playback stalled until the jitter buffer refilled');
+export const outboundAudioDropped = new Counter('tavari_outbound_audio_dropped_seconds_total', 'Agent audio dropped because the outbound buffer was full');
+export const audioConversionErrors = new Counter('tavari_audio_conversion_errors_total', 'Audio chunks that failed to convert/resample', ['direction']);
+export const rejectedMediaFrames = new Counter('tavari_media_frames_rejected_total', 'Media socket frames that did not follow the protocol');
+export const openaiErrors = new Counter('tavari_openai_errors_total', 'OpenAI Realtime error events, by error code', ['code']);
+export const openaiConnections = new Counter('tavari_openai_connections_total', 'OpenAI Realtime connection attempts, by result', ['result']);
+export const openaiReconnects = new Counter('tavari_openai_reconnects_total', 'Mid-call OpenAI outages, by how they ended (ok = reconnected, failed = fell back)', ['result']);
+export const websocketCloses = new Counter('tavari_websocket_closes_total', 'WebSocket closes, by socket and close code', ['socket', 'code']);
+
+// Recent OpenAI connection attempts: { at, ok }
+const openaiAttempts = [];
+
+/**
+ * Record whether an OpenAI session came up (session.updated) or failed before it did
+ * @param {boolean} ok - True if the session was configured
+ */
+export function recordOpenAIConnection(ok) {
+  openaiConnections.inc({ result: ok ? 'ok' : 'failed' });
+  openaiAttempts.push({ at: Date.now(), ok });
+}
+
+/**
+ * OpenAI health over the last OPENAI_HEALTH_WINDOW_MS
+ * Degraded when at least 3 recent attempts failed and they are at least half of all recent attempts
+ * @returns {Object} - { status: 'ok' | 'degraded', attempts, failures, windowMs }
+ */
+export function getOpenAIHealth() {
+  const cutoff = Date.now() - OPENAI_HEALTH_WINDOW_MS;
+  while (openaiAttempts.length > 0 && openaiAttempts[0].at < cutoff) {
+    openaiAttempts.shift();
+  }
+
+  const failures = openaiAttempts.filter(attempt => !attempt.ok).length;
+  const degraded = failures >= OPENAI_HEALTH_MIN_FAILURES && failures / openaiAttempts.length >= OPENAI_HEALTH_MAX_FAILURE_RATIO;
+  return {
+    status: degraded ? 'degraded' : 'ok',
+    attempts: openaiAttempts.length,
+    failures,
+    windowMs: OPENAI_HEALTH_WINDOW_MS
+  };
+}
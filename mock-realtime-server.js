@@ -0,0 +1,427 @@
+// mock-realtime-server.js
+// Local stand-in for the OpenAI Realtime API - same WebSocket event protocol, canned transcripts and audio
+// Point OPENAI_REALTIME_URL (or a profile's backend.url) at ws://localhost:8081/v1/realtime to run whole calls offline
+// Caller turns are found with an energy VAD; every reply is a warbling tone "spoken" for the length of its text
+// In echo mode a reply is the caller's last turn played back instead - so a test can tell whose audio it hears
+//
+// Run: npm run mock-realtime (MOCK_REALTIME_PORT, MOCK_REALTIME_REPLY, MOCK_REALTIME_TRANSCRIPT, MOCK_REALTIME_ECHO)
+
+import { WebSocketServer } from 'ws';
+import { randomUUID } from 'crypto';
+import { pathToFileURL } from 'url';
+import { createLogger } from './logger.js';
+import { decodeAudio, encodeAudio, bytesPerMs } from './media-protocol.js';
+import { openaiMediaFormat, convertCallAudio } from './audio-path.js';
+import { toneAudio, scriptedText } from './stub-speech.js';
+
+const log = createLogger('mock-realtime');
+
+const MOCK_REALTIME_PORT = parseInt(process.env.MOCK_REALTIME_PORT || '8081', 10);
+// What the mock agent says (scripted "say exactly" responses say their script instead)
+const MOCK_REALTIME_REPLY = process.env.MOCK_REALTIME_REPLY || 'This is the mock agent. How can I help you?';
+// Transcript given for every caller turn
+const MOCK_REALTIME_TRANSCRIPT = process.env.MOCK_REALTIME_TRANSCRIPT || 'Hello, this is a test call.';
+// Reply with the caller's last turn instead of the tone
+const MOCK_REALTIME_ECHO = process.env.MOCK_REALTIME_ECHO === 'true';
+
+// Caller audio louder than this is speech
+const SPEECH_THRESHOLD_DB = -45;
+// Reply audio: length per character of text (bounded), chunk size, and chunks are sent at twice real time like the real API
+const MS_PER_CHARACTER = 60;
+const MIN_REPLY_MS = 500;
+const MAX_REPLY_MS = 10000;
+const AUDIO_CHUNK_MS = 100;
+const AUDIO_SEND_INTERVAL_MS = AUDIO_CHUNK_MS / 2;
+
+const DEFAULT_SESSION = {
+  modalities: ['text', 'audio'],
+  instructions: '',
+  voice: 'alloy',
+  input_audio_format: 'pcm16',
+  output_audio_format: 'pcm16',
+  input_audio_transcription: null,
+  turn_detection: { type: 'server_vad', threshold: 0.5, prefix_padding_ms: 300, silence_duration_ms: 500, create_response: true },
+  tools: [],
+  tool_choice: 'auto',
+  temperature: 0.8,
+  max_response_output_tokens: 'inf'
+};
+
+/**
+ * @param {string} prefix - ID prefix (item, resp, event)
+ * @returns {string} - Realtime-style ID
+ */
+function newId(prefix) {
+  return `${prefix}_mock${randomUUID().replace(/-/g, '').slice(0, 16)}`;
+}
+
+/**
+ * Level of PCM16 audio in dBFS
+ * @param {Buffer} pcm - PCM16 audio
+ * @returns {number} - Level (dBFS, -Infinity for silence)
+ */
+function levelDb(pcm) {
+  let sum = 0;
+  const samples = Math.floor(pcm.length / 2);
+  for (let i = 0; i < samples; i++) {
+    const sample = pcm.readInt16LE(i * 2);
+    sum += sample * sample;
+  }
+  return samples > 0 ? 10 * Math.log10(sum / samples / (32768 * 32768)) : -Infinity;
+}
+
+/**
+ * Canned reply audio - the stub tone, for the length of the text
+ * @param {string} text - Reply text (sets the length)
+ * @param {string} openaiFormat - Session output format
+ * @returns {Buffer} - Audio in the output format
+ */
+function cannedAudio(text, openaiFormat) {
+  const format = openaiMediaFormat(openaiFormat);
+  const durationMs = Math.min(Math.max(text.length * MS_PER_CHARACTER, MIN_REPLY_MS), MAX_REPLY_MS);
+  return encodeAudio(toneAudio(durationMs, format.sampleRate), format);
+}
+
+/**
+ * One client connection - holds the session config, conversation and the response in progress
+ */
+class MockRealtimeSession {
+  /**
+   * @param {WebSocket} ws - Client socket
+   * @param {string} model - Model from the connection URL
+   * @param {Object} [options] - { echo }
+   */
+  constructor(ws, model, { echo = false } = {}) {
+    this.ws = ws;
+    this.echo = echo;
+    this.id = newId('sess');
+    this.config = { ...DEFAULT_SESSION, model };
+    this.items = [];
+    this.response = null; // { id, itemId, text, audio, offset, timer }
+
+    // Energy VAD over the input audio buffer
+    this.audioMs = 0; // Input audio received so far
+    this.speaking = false;
+    this.silenceMs = 0;
+    this.pendingItemId = null; // Item the current input buffer will become
+    this.bufferedMs = 0;
+    this.inputAudio = []; // Echo mode: the input buffer's audio
+    this.lastTurnAudio = null; // Echo mode: the last committed turn
+  }
+
+  /**
+   * Send a server event
+   * @param {Object} event - Event without event_id
+   */
+  send(event) {
+    if (this.ws.readyState === this.ws.OPEN) {
+      this.ws.send(JSON.stringify({ event_id: newId('event'), ...event }));
+    }
+  }
+
+  /**
+   * @param {string} code - Error code
+   * @param {string} message - Error message
+   */
+  sendError(code, message) {
+    this.send({ type: 'error', error: { type: 'invalid_request_error', code, message } });
+  }
+
+  /**
+   * Handle one client event
+   * @param {Object} message - Client event
+   */
+  handle(message) {
+    switch (message.type) {
+      case 'session.update':
+        this.config = { ...this.config, ...message.session };
+        this.send({ type: 'session.updated', session: { id: this.id, ...this.config } });
+        break;
+
+      case 'input_audio_buffer.append':
+        this.appendAudio(Buffer.from(message.audio || '', 'base64'));
+        break;
+
+      case 'input_audio_buffer.commit':
+        if (this.bufferedMs === 0) {
+          this.sendError('input_audio_buffer_commit_empty', 'Input audio buffer is empty');
+          break;
+        }
+        this.commitTurn();
+        break;
+
+      case 'input_audio_buffer.clear':
+        this.bufferedMs = 0;
+        this.inputAudio = [];
+        this.speaking = false;
+        this.pendingItemId = null;
+        this.send({ type: 'input_audio_buffer.cleared' });
+        break;
+
+      case 'conversation.item.create':
+        this.addItem({ id: newId('item'), status: 'completed', ...message.item });
+        break;
+
+      case 'conversation.item.truncate':
+        this.send({
+          type: 'conversation.item.truncated',
+          item_id: message.item_id,
+          content_index: message.content_index,
+          audio_end_ms: message.audio_end_ms
+        });
+        break;
+
+      case 'response.create':
+        this.startResponse(message.response || {});
+        break;
+
+      case 'response.cancel':
+        if (!this.response) {
+          this.sendError('response_cancel_not_active', 'Cancellation failed: no active response found');
+          break;
+        }
+        this.finishResponse('cancelled');
+        break;
+
+      default:
+        this.sendError('unknown_event', `Unsupported event type: ${message.type}`);
+        break;
+    }
+  }
+
+  /**
+   * Add an item to the conversation
+   * @param {Object} item - Conversation item
+   */
+  addItem(item) {
+    const previous = this.items[this.items.length - 1];
+    this.items.push(item);
+    this.send({ type: 'conversation.item.created', previous_item_id: previous?.id || null, item });
+  }
+
+  /**
+   * Caller audio - with server VAD, speech followed by silence_duration_ms of silence ends a turn
+   * @param {Buffer} audio - Audio in the session's input format
+   */
+  appendAudio(audio) {
+    const format = openaiMediaFormat(this.config.input_audio_format);
+    if (format.encoding === 'pcm16' && audio.length % 2 !== 0) {
+      this.sendError('invalid_audio', `PCM16 audio has odd length ${audio.length}`);
+      return;
+    }
+    const chunkMs = audio.length / bytesPerMs(format);
+    this.audioMs += chunkMs;
+    this.bufferedMs += chunkMs;
+    if (this.echo) {
+      this.inputAudio.push(audio);
+    }
+
+    const turnDetection = this.config.turn_detection;
+    if (!turnDetection) {
+      return;
+    }
+
+    const isSpeech = levelDb(decodeAudio(audio, format)) > SPEECH_THRESHOLD_DB;
+    if (isSpeech) {
+      this.silenceMs = 0;
+      if (!this.speaking) {
+        this.speaking = true;
+        this.pendingItemId = newId('item');
+        this.send({ type: 'input_audio_buffer.speech_started', audio_start_ms: Math.round(this.audioMs - chunkMs), item_id: this.pendingItemId });
+      }
+      return;
+    }
+
+    if (this.speaking) {
+      this.silenceMs += chunkMs;
+      if (this.silenceMs >= (turnDetection.silence_duration_ms || 500)) {
+        this.speaking = false;
+        this.send({ type: 'input_audio_buffer.speech_stopped', audio_end_ms: Math.round(this.audioMs), item_id: this.pendingItemId });
+        this.commitTurn();
+      }
+    }
+  }
+
+  /**
+   * Turn the input buffer into a user item, transcribe it and (server VAD) respond
+   */
+  commitTurn() {
+    const itemId = this.pendingItemId || newId('item');
+    const previous = this.items[this.items.length - 1];
+    this.pendingItemId = null;
+    this.bufferedMs = 0;
+    if (this.echo) {
+      this.lastTurnAudio = Buffer.concat(this.inputAudio);
+      this.inputAudio = [];
+    }
+
+    this.send({ type: 'input_audio_buffer.committed', previous_item_id: previous?.id || null, item_id: itemId });
+    this.addItem({ id: itemId, type: 'message', status: 'completed', role: 'user', content: [{ type: 'input_audio', transcript: null }] });
+
+    if (this.config.input_audio_transcription) {
+      this.send({
+        type: 'conversation.item.input_audio_transcription.completed',
+        item_id: itemId,
+        content_index: 0,
+        transcript: MOCK_REALTIME_TRANSCRIPT
+      });
+    }
+
+    if (this.config.turn_detection && this.config.turn_detection.create_response !== false && !this.response) {
+      this.startResponse({});
+    }
+  }
+
+  /**
+   * @returns {Buffer} - The caller's last turn in the session's output format
+   */
+  echoAudio() {
+    const inputFormat = openaiMediaFormat(this.config.input_audio_format);
+    const outputFormat = openaiMediaFormat(this.config.output_audio_format);
+    return convertCallAudio(this.lastTurnAudio, inputFormat, outputFormat);
+  }
+
+  /**
+   * Start a response: the canned reply, or the script of a "say exactly" instruction
+   * In echo mode the audio is the caller's last turn (the tone until there is one)
+   * @param {Object} options - response.create options
+   */
+  startResponse(options) {
+    if (this.response) {
+      this.sendError('conversation_already_has_active_response', `Conversation already has an active response: ${this.response.id}`);
+      return;
+    }
+
+    const text = scriptedText(options.instructions) ?? MOCK_REALTIME_REPLY;
+    const response = {
+      id: newId('resp'),
+      itemId: newId('item'),
+      text,
+      audio: this.echo && this.lastTurnAudio ? this.echoAudio() : cannedAudio(text, this.config.output_audio_format),
+      offset: 0,
+      timer: null
+    };
+    this.response = response;
+
+    const chunkBytes = Math.round(bytesPerMs(openaiMediaFormat(this.config.output_audio_format)) * AUDIO_CHUNK_MS);
+    const part = { response_id: response.id, item_id: response.itemId, output_index: 0, content_index: 0 };
+
+    this.send({ type: 'response.created', response: { id: response.id, object: 'realtime.response', status: 'in_progress', output: [] } });
+    this.send({
+      type: 'response.output_item.added',
+      response_id: response.id,
+      output_index: 0,
+      item: { id: response.itemId, type: 'message', status: 'in_progress', role: 'assistant', content: [] }
+    });
+    this.send({ type: 'response.content_part.added', ...part, part: { type: 'audio', transcript: '' } });
+    this.send({ type: 'response.audio_transcript.delta', ...part, delta: text });
+
+    response.timer = setInterval(() => {
+      const chunk = response.audio.subarray(response.offset, response.offset + chunkBytes);
+      response.offset += chunk.length;
+      if (chunk.length > 0) {
+        this.send({ type: 'response.audio.delta', ...part, delta: chunk.toString('base64') });
+      }
+      if (response.offset >= response.audio.length) {
+        this.finishResponse('completed');
+      }
+    }, AUDIO_SEND_INTERVAL_MS);
+  }
+
+  /**
+   * End the response in progress
+   * @param {string} status - 'completed' or 'cancelled'
+   */
+  finishResponse(status) {
+    const response = this.response;
+    clearInterval(response.timer);
+    this.response = null;
+
+    const part = { response_id: response.id, item_id: response.itemId, output_index: 0, content_index: 0 };
+    const item = {
+      id: response.itemId,
+      type: 'message',
+      status: status === 'completed' ? 'completed' : 'incomplete',
+      role: 'assistant',
+      content: [{ type: 'audio', transcript: response.text }]
+    };
+
+    if (status === 'completed') {
+      this.send({ type: 'response.audio.done', ...part });
+      this.send({ type: 'response.audio_transcript.done', ...part, transcript: response.text });
+      this.send({ type: 'response.content_part.done', ...part, part: item.content[0] });
+    }
+    this.send({ type: 'response.output_item.done', response_id: response.id, output_index: 0, item });
+    this.items.push(item);
+
+    this.send({
+      type: 'response.done',
+      response: {
+        id: response.id,
+        object: 'realtime.response',
+        status,
+        status_details: status === 'cancelled' ? { type: 'cancelled', reason: 'client_cancelled' } : null,
+        output: [item],
+        usage: { total_tokens: 0, input_tokens: 0, output_tokens: 0 }
+      }
+    });
+  }
+
+  /**
+   * Client went away - stop streaming
+   */
+  close() {
+    if (this.response) {
+      clearInterval(this.response.timer);
+      this.response = null;
+    }
+  }
+}
+
+/**
+ * Start the mock server
+ * @param {Object} [options] - { port, echo } - port 0 picks a free one (wss.address().port once listening)
+ * @returns {WebSocketServer} - Server (close() to stop)
+ */
+export function startMockRealtimeServer({ port = MOCK_REALTIME_PORT, echo = MOCK_REALTIME_ECHO } = {}) {
+  const wss = new WebSocketServer({ port });
+
+  wss.on('listening', () => {
+    const { port: listeningPort } = wss.address();
+    log.info(`Mock Realtime server on ws://localhost:${listeningPort}/v1/realtime`, { event: 'mock.listening', port: listeningPort, echo });
+  });
+
+  wss.on('connection', (ws, req) => {
+    const model = new URL(req.url, 'ws://localhost').searchParams.get('model') || 'mock';
+    const session = new MockRealtimeSession(ws, model, { echo });
+    log.info('Mock Realtime session connected', { event: 'mock.connected', sessionId: session.id, model });
+    session.send({ type: 'session.created', session: { id: session.id, ...session.config } });
+
+    ws.on('message', (data) => {
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch (error) {
+        session.sendError('invalid_json', 'Event is not valid JSON');
+        return;
+      }
+      if (!message || typeof message !== 'object') {
+        session.sendError('invalid_event', 'Event must be a JSON object');
+        return;
+      }
+      session.handle(message);
+    });
+
+    ws.on('close', () => {
+      session.close();
+      log.info('Mock Realtime session closed', { event: 'mock.closed', sessionId: session.id });
+    });
+  });
+
+  return wss;
+}
+
+// Run directly: npm run mock-realtime
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  startMockRealtimeServer();
+}
@@ -0,0 +1,327 @@
+// outbound-pacer.js
+// Paced playout of agent audio to the scenario - the model delivers audio in bursts (often faster than real time),
+// the pacer sends it on as fixed 20ms frames on a clock, so playback timing (and with it barge-in truncation) is ours
+//
+// - Jitter buffer: playback starts once jitterMs is buffered (or the response has ended), and starts over after an
+//   underrun - the buffer ran dry while the response was still arriving
+// - The buffer is bounded at maxBufferMs; on overflow the oldest (drop_oldest) or the incoming (drop_newest) audio goes
+// - Marks are queued behind the last frame of a response and sent when that frame has been sent
+// The clock only runs while there is audio to send and the media socket is open (start / stop)
+
+import { bytesPerMs } from './media-protocol.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('outbound-pacer');
+
+export const OVERFLOW_POLICIES = ['drop_oldest', 'drop_newest'];
+
+export const PACER_DEFAULTS = Object.freeze({
+  jitterMs: parseInt(process.env.OUTBOUND_JITTER_MS || '100', 10), // Buffered before playback starts
+  maxBufferMs: parseInt(process.env.OUTBOUND_BUFFER_MAX_MS || '60000', 10), // Most audio held for one call
+  overflow: process.env.OUTBOUND_OVERFLOW || 'drop_oldest'
+});
+
+if (!OVERFLOW_POLICIES.includes(PACER_DEFAULTS.overflow)) {
+  log.warn(`Unknown OUTBOUND_OVERFLOW "${PACER_DEFAULTS.overflow}" - using drop_oldest`, { event: 'config.invalid', overflow: PACER_DEFAULTS.overflow });
+}
+
+const FRAME_MS = 20;
+
+// A late timer catches up by at most this many frames - beyond that the lost time is skipped, not burst out
+const MAX_CATCH_UP_FRAMES = 5;
+
+// Silence in each encoding, for padding a response's last frame
+const SILENCE_BYTE = { pcm16: 0x00, ulaw: 0xff, alaw: 0xd5 };
+
+/**
+ * Outbound audio of one call
+ * onEvent('frame', { audio }) for each 20ms frame, when it is due
+ * onEvent('mark', { name }) once the response before it has been sent
+ * onEvent('underrun', { underruns }) when the buffer runs dry mid-response
+ * onEvent('overflow', { droppedMs }) when audio is dropped because the buffer is full
+ */
+export class OutboundPacer {
+  /**
+   * @param {Object} format - Call's media format ({ encoding, sampleRate })
+   * @param {Object} options - Overrides for PACER_DEFAULTS
+   * @param {Function} onEvent - (type, details) => void
+   */
+  constructor(format, options, onEvent) {
+    this.options = { ...PACER_DEFAULTS, ...options };
+    if (!OVERFLOW_POLICIES.includes(this.options.overflow)) {
+      this.options.overflow = 'drop_oldest';
+    }
+    // Room for at least one frame - a smaller buffer could hold nothing
+    this.options.maxBufferMs = Math.max(this.options.maxBufferMs, FRAME_MS);
+    this.onEvent = onEvent;
+    this.setFrameFormat(format);
+
+    this.queue = []; // 20ms frames (Buffers) and marks ({ mark: name }), in playout order
+    this.frameCount = 0;
+    this.partial = Buffer.alloc(0); // Audio short of a whole frame, waiting for more
+    this.inResponse = false; // Audio pushed since the last endResponse
+    this.connected = false; // Media socket open
+    this.playing = false; // Clock running
+    this.timer = null;
+    this.clockMs = 0; // When the next frame is due (performance.now() time)
+    this.underrunAt = null; // When the buffer last ran dry mid-response
+
+    this.stats = { framesSent: 0, underruns: 0, underrunMs: 0, droppedMs: 0, maxBufferedMs: 0 };
+  }
+
+  /**
+   * @param {Object} format - Media format the frames are cut for
+   */
+  setFrameFormat(format) {
+    this.format = format;
+    this.frameBytes = Math.round(bytesPerMs(format) * FRAME_MS);
+    this.silenceByte = SILENCE_BYTE[format.encoding] ?? 0;
+  }
+
+  /**
+   * @returns {number} - Audio waiting to be sent (ms)
+   */
+  get bufferedMs() {
+    return this.frameCount * FRAME_MS + this.partial.length / bytesPerMs(this.format);
+  }
+
+  /**
+   * @returns {Object} - Buffer depth and playout stats (ms rounded)
+   */
+  toJSON() {
+    return {
+      bufferedMs: Math.round(this.bufferedMs),
+      framesSent: this.stats.framesSent,
+      underruns: this.stats.underruns,
+      underrunMs: Math.round(this.stats.underrunMs),
+      droppedMs: this.stats.droppedMs,
+      maxBufferedMs: this.stats.maxBufferedMs
+    };
+  }
+
+  /**
+   * Queue agent audio
+   * @param {Buffer} audio - Audio in the call's format (any length)
+   */
+  push(audio) {
+    if (audio.length === 0) {
+      return;
+    }
+    this.inResponse = true;
+
+    let data = this.partial.length > 0 ? Buffer.concat([this.partial, audio]) : audio;
+    let droppedFrames = 0;
+    while (data.length >= this.frameBytes) {
+      if (!this.queueFrame(Buffer.from(data.subarray(0, this.frameBytes)))) {
+        droppedFrames++;
+      }
+      data = data.subarray(this.frameBytes);
+    }
+    this.partial = Buffer.from(data);
+
+    if (droppedFrames > 0) {
+      this.stats.droppedMs += droppedFrames * FRAME_MS;
+      this.onEvent('overflow', { droppedMs: droppedFrames * FRAME_MS });
+    }
+    this.stats.maxBufferedMs = Math.max(this.stats.maxBufferedMs, this.frameCount * FRAME_MS);
+
+    if (this.frameCount * FRAME_MS >= this.options.jitterMs) {
+      this.play();
+    }
+  }
+
+  /**
+   * Add one frame to the queue, applying the overflow policy
+   * @param {Buffer} frame - 20ms of audio
+   * @returns {boolean} - False if a frame was dropped to make room (or this one was)
+   */
+  queueFrame(frame) {
+    if ((this.frameCount + 1) * FRAME_MS <= this.options.maxBufferMs) {
+      this.queue.push(frame);
+      this.frameCount++;
+      return true;
+    }
+    if (this.options.overflow === 'drop_newest') {
+      return false;
+    }
+    // Marks stay - the responses they end are still played (what is left of them)
+    const oldest = this.queue.findIndex(entry => Buffer.isBuffer(entry));
+    if (oldest === -1) {
+      return false; // Only marks queued - nothing to make room with
+    }
+    this.queue.splice(oldest, 1);
+    this.queue.push(frame);
+    return false;
+  }
+
+  /**
+   * The response's audio is complete: pad its last frame with silence and queue a mark behind it
+   * @param {string} [name] - Mark to send once the response has been sent (none if omitted)
+   * @returns {boolean} - True if the mark was queued (false if no audio was pushed since the last response)
+   */
+  endResponse(name = null) {
+    if (!this.inResponse) {
+      return false;
+    }
+    this.inResponse = false;
+
+    if (this.partial.length > 0) {
+      const frame = Buffer.alloc(this.frameBytes, this.silenceByte);
+      this.partial.copy(frame);
+      this.partial = Buffer.alloc(0);
+      if (!this.queueFrame(frame)) {
+        this.stats.droppedMs += FRAME_MS;
+      }
+    }
+    if (name) {
+      this.queue.push({ mark: name });
+    }
+
+    // Nothing more is coming - play what there is, however little
+    this.play();
+    return Boolean(name);
+  }
+
+  /**
+   * Drop everything not sent yet, marks included (barge-in, call ended)
+   */
+  clear() {
+    this.queue = [];
+    this.frameCount = 0;
+    this.partial = Buffer.alloc(0);
+    this.inResponse = false;
+    this.underrunAt = null;
+    this.pause();
+  }
+
+  /**
+   * Switch to another media format, converting the audio already queued
+   * @param {Object} format - New media format
+   * @param {Function} convert - (audio) => audio in the new format
+   */
+  setFormat(format, convert) {
+    const entries = this.queue;
+    const partial = this.partial;
+    const inResponse = this.inResponse;
+    this.setFrameFormat(format);
+    this.queue = [];
+    this.frameCount = 0;
+    this.partial = Buffer.alloc(0);
+
+    // Re-cut the converted audio of each response into frames of the new size
+    let audio = [];
+    for (const entry of [...entries, { mark: null }]) {
+      if (Buffer.isBuffer(entry)) {
+        audio.push(entry);
+        continue;
+      }
+      this.pushConverted(Buffer.concat(audio), convert);
+      audio = [];
+      if (entry.mark) {
+        this.inResponse = true;
+        this.endResponse(entry.mark);
+      }
+    }
+    this.pushConverted(partial, convert);
+    this.inResponse = inResponse;
+  }
+
+  /**
+   * @param {Buffer} audio - Audio in the old format
+   * @param {Function} convert - (audio) => audio in the new format
+   */
+  pushConverted(audio, convert) {
+    if (audio.length > 0) {
+      this.push(convert(audio));
+    }
+  }
+
+  /**
+   * The media socket is open - audio can be sent
+   */
+  start() {
+    this.connected = true;
+    if (this.frameCount * FRAME_MS >= this.options.jitterMs || (!this.inResponse && this.queue.length > 0)) {
+      this.play();
+    }
+  }
+
+  /**
+   * The media socket is gone - hold the audio until it is back
+   */
+  stop() {
+    this.connected = false;
+    this.pause();
+  }
+
+  /**
+   * Start the clock, if it isn't running and there is something to send
+   */
+  play() {
+    if (this.playing || !this.connected || this.queue.length === 0) {
+      return;
+    }
+    this.playing = true;
+    this.clockMs = performance.now();
+    if (this.underrunAt !== null) {
+      this.stats.underrunMs += this.clockMs - this.underrunAt;
+      this.underrunAt = null;
+    }
+    this.tick();
+  }
+
+  /**
+   * Stop the clock
+   */
+  pause() {
+    this.playing = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Send the frames that are due and schedule the next one
+   */
+  tick() {
+    const now = performance.now();
+    let sent = 0;
+    while (this.clockMs <= now && sent < MAX_CATCH_UP_FRAMES) {
+      if (!this.sendNext()) {
+        return;
+      }
+      this.clockMs += FRAME_MS;
+      sent++;
+    }
+    if (this.clockMs <= now) {
+      this.clockMs = now; // Event loop stalled - skip the lost time rather than burst it out
+    }
+    this.timer = setTimeout(() => this.tick(), this.clockMs - now);
+  }
+
+  /**
+   * Send the next frame (and the marks in front of it)
+   * @returns {boolean} - False if the buffer is empty and the clock has stopped
+   */
+  sendNext() {
+    while (this.queue.length > 0 && !Buffer.isBuffer(this.queue[0])) {
+      this.onEvent('mark', { name: this.queue.shift().mark });
+    }
+
+    if (this.queue.length === 0) {
+      this.pause();
+      if (this.inResponse) {
+        // Still arriving - buffer up to jitterMs again before playing on
+        this.stats.underruns++;
+        this.underrunAt = performance.now();
+        this.onEvent('underrun', { underruns: this.stats.underruns });
+      }
+      return false;
+    }
+
+    const frame = this.queue.shift();
+    this.frameCount--;
+    this.stats.framesSent++;
+    this.onEvent('frame', { audio: frame });
+    return true;
+  }
+}
@@ -0,0 +1,256 @@
+// pipeline-adapters.js
+// Speech-to-text, chat and text-to-speech stages of the cascaded pipeline backend (PipelineBackend in ai-backend.js)
+// Each stage is picked in the profile's `backend` by adapter name: 'openai', 'stub', or a path to a module whose
+// default export is an adapter class. The stubs need no network - canned transcript, canned reply, tone audio.
+//
+// Adapter interfaces:
+// - Speech-to-text: transcribe(pcm, { sampleRate, language, signal }) => Promise<string>
+// - Chat: stream(messages, { tools, temperature, maxTokens, signal }) => async iterable of
+//   { type: 'text', text } and { type: 'tool_call', callId, name, arguments }
+// - Text-to-speech: synthesize(text, { voice, signal }) => async iterable of PCM16 Buffers at TTS_SAMPLE_RATE
+
+import axios from 'axios';
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { createWavHeader } from './call-recorder.js';
+import { createLogger } from './logger.js';
+import { toneAudio, scriptedText } from './stub-speech.js';
+
+const log = createLogger('pipeline-adapters');
+
+const OPENAI_API_URL = process.env.OPENAI_API_URL || 'https://api.openai.com/v1';
+const PIPELINE_REQUEST_TIMEOUT_MS = parseInt(process.env.PIPELINE_REQUEST_TIMEOUT_MS || '15000', 10);
+
+// What the stubs hear and say (scripted responses - greeting, voicemail - say their script instead)
+const PIPELINE_STUB_TRANSCRIPT = process.env.PIPELINE_STUB_TRANSCRIPT || 'Hello, this is a test call.';
+const PIPELINE_STUB_REPLY = process.env.PIPELINE_STUB_REPLY || 'This is the test agent. How can I help you?';
+
+// Every text-to-speech adapter returns PCM16 mono at this rate (OpenAI's `pcm` speech format)
+export const TTS_SAMPLE_RATE = 24000;
+
+export const PIPELINE_STAGES = ['stt', 'llm', 'tts'];
+
+// Built-in adapters and the default model of each stage
+export const STAGE_DEFAULTS = Object.freeze({
+  stt: { adapter: 'openai', model: 'whisper-1' },
+  llm: { adapter: 'openai', model: 'gpt-4o-mini' },
+  tts: { adapter: 'openai', model: 'gpt-4o-mini-tts', voice: null } // voice null: the profile's voice
+});
+
+/**
+ * @returns {Object} - Authorization header for the OpenAI API
+ */
+function openaiHeaders() {
+  return { Authorization: `Bearer ${process.env.OPENAI_API_KEY}` };
+}
+
+/**
+ * Split an SSE response stream into its `data:` payloads
+ * @param {Readable} stream - Response body
+ * @returns {AsyncGenerator<string>} - Data payloads
+ */
+async function* serverSentEvents(stream) {
+  let buffered = '';
+  for await (const chunk of stream) {
+    buffered += chunk.toString();
+    let newline;
+    while ((newline = buffered.indexOf('\n')) >= 0) {
+      const line = buffered.slice(0, newline).trim();
+      buffered = buffered.slice(newline + 1);
+      if (line.startsWith('data:')) {
+        yield line.slice(5).trim();
+      }
+    }
+  }
+}
+
+/**
+ * Speech-to-text with OpenAI's transcription endpoint (whisper-1, gpt-4o-transcribe, ...)
+ */
+export class OpenAISpeechToText {
+  /**
+   * @param {Object} settings - { model }
+   */
+  constructor({ model }) {
+    this.model = model;
+  }
+
+  async transcribe(pcm, { sampleRate, language = null, signal = null }) {
+    const form = new FormData();
+    const wav = Buffer.concat([createWavHeader(pcm.length, sampleRate, 1), pcm]);
+    form.append('file', new Blob([wav], { type: 'audio/wav' }), 'turn.wav');
+    form.append('model', this.model);
+    if (language) {
+      form.append('language', language);
+    }
+
+    const response = await axios.post(`${OPENAI_API_URL}/audio/transcriptions`, form, {
+      headers: openaiHeaders(),
+      timeout: PIPELINE_REQUEST_TIMEOUT_MS,
+      signal
+    });
+    return (response.data.text || '').trim();
+  }
+}
+
+/**
+ * Streaming chat completions (any OpenAI chat model, with tools)
+ */
+export class OpenAIChat {
+  /**
+   * @param {Object} settings - { model }
+   */
+  constructor({ model }) {
+    this.model = model;
+  }
+
+  async *stream(messages, { tools = [], temperature, maxTokens, signal = null }) {
+    const body = { model: this.model, messages, stream: true };
+    if (tools.length > 0) {
+      body.tools = tools;
+    }
+    if (temperature !== undefined) {
+      body.temperature = temperature;
+    }
+    if (Number.isInteger(maxTokens)) {
+      body.max_completion_tokens = maxTokens;
+    }
+
+    const response = await axios.post(`${OPENAI_API_URL}/chat/completions`, body, {
+      headers: openaiHeaders(),
+      responseType: 'stream',
+      timeout: PIPELINE_REQUEST_TIMEOUT_MS,
+      signal
+    });
+
+    // Tool calls arrive in fragments, keyed by index
+    const toolCalls = [];
+    for await (const data of serverSentEvents(response.data)) {
+      if (data === '[DONE]') {
+        break;
+      }
+      const delta = JSON.parse(data).choices?.[0]?.delta;
+      if (delta?.content) {
+        yield { type: 'text', text: delta.content };
+      }
+      for (const fragment of delta?.tool_calls || []) {
+        const call = toolCalls[fragment.index] || (toolCalls[fragment.index] = { callId: null, name: '', arguments: '' });
+        call.callId = fragment.id || call.callId;
+        call.name += fragment.function?.name || '';
+        call.arguments += fragment.function?.arguments || '';
+      }
+    }
+
+    for (const call of toolCalls.filter(Boolean)) {
+      yield { type: 'tool_call', ...call };
+    }
+  }
+}
+
+/**
+ * Streaming text-to-speech with OpenAI's speech endpoint
+ */
+export class OpenAITextToSpeech {
+  /**
+   * @param {Object} settings - { model }
+   */
+  constructor({ model }) {
+    this.model = model;
+  }
+
+  async *synthesize(text, { voice, signal = null }) {
+    const response = await axios.post(`${OPENAI_API_URL}/audio/speech`, {
+      model: this.model,
+      voice,
+      input: text,
+      response_format: 'pcm'
+    }, {
+      headers: openaiHeaders(),
+      responseType: 'stream',
+      timeout: PIPELINE_REQUEST_TIMEOUT_MS,
+      signal
+    });
+
+    // Keep chunks whole samples
+    let oddByte = null;
+    for await (const chunk of response.data) {
+      let audio = oddByte ? Buffer.concat([oddByte, chunk]) : chunk;
+      oddByte = audio.length % 2 === 1 ? audio.subarray(audio.length - 1) : null;
+      audio = oddByte ? audio.subarray(0, audio.length - 1) : audio;
+      if (audio.length > 0) {
+        yield audio;
+      }
+    }
+  }
+}
+
+/**
+ * Stub speech-to-text - every turn is PIPELINE_STUB_TRANSCRIPT
+ */
+export class StubSpeechToText {
+  async transcribe() {
+    return PIPELINE_STUB_TRANSCRIPT;
+  }
+}
+
+/**
+ * Stub chat - streams PIPELINE_STUB_REPLY word by word, or the script of a "say exactly" instruction
+ */
+export class StubChat {
+  async *stream(messages) {
+    // Server-started responses put their script at the end of the system message
+    const system = messages.find(message => message.role === 'system')?.content;
+    const reply = scriptedText(system) ?? PIPELINE_STUB_REPLY;
+
+    for (const word of reply.split(/(?<= )/)) {
+      yield { type: 'text', text: word };
+    }
+  }
+}
+
+/**
+ * Stub text-to-speech - the stub tone, 60ms per character, in 100ms chunks
+ */
+export class StubTextToSpeech {
+  async *synthesize(text) {
+    const pcm = toneAudio(Math.min(Math.max(text.length * 60, 300), 10000), TTS_SAMPLE_RATE);
+    const chunkBytes = TTS_SAMPLE_RATE / 10 * 2;
+
+    for (let start = 0; start < pcm.length; start += chunkBytes) {
+      yield pcm.subarray(start, start + chunkBytes);
+    }
+  }
+}
+
+const BUILTIN_ADAPTERS = {
+  stt: { openai: OpenAISpeechToText, stub: StubSpeechToText },
+  llm: { openai: OpenAIChat, stub: StubChat },
+  tts: { openai: OpenAITextToSpeech, stub: StubTextToSpeech }
+};
+
+/**
+ * Create the adapter for one pipeline stage
+ * @param {string} stage - 'stt', 'llm' or 'tts'
+ * @param {Object} settings - { adapter, model, ... } from the profile's backend
+ * @returns {Promise<Object>} - Adapter
+ */
+export async function createStageAdapter(stage, settings) {
+  const Builtin = BUILTIN_ADAPTERS[stage][settings.adapter];
+  if (Builtin) {
+    return new Builtin(settings);
+  }
+
+  const module = await import(pathToFileURL(path.resolve(settings.adapter)).href);
+  log.debug(`Pipeline ${stage} adapter: ${settings.adapter}`, { event: 'pipeline.adapter_loaded', stage, adapter: settings.adapter });
+  return new module.default(settings);
+}
+
+/**
+ * @param {string} stage - 'stt', 'llm' or 'tts'
+ * @param {string} adapter - Adapter name from a profile
+ * @returns {boolean} - True for a built-in adapter of the stage or an existing module file
+ */
+export function adapterExists(stage, adapter) {
+  return adapter in BUILTIN_ADAPTERS[stage] || fs.existsSync(path.resolve(adapter));
+}
@@ -0,0 +1,183 @@
+// resampler.js
+// Streaming polyphase FIR resampler for PCM16 mono audio
+// Windowed-sinc (Kaiser) low-pass, keeps filter history between chunks so frame boundaries are seamless
+
+export const SUPPORTED_RATES = [8000, 16000, 24000, 48000];
+
+// Filter taps per polyphase branch for the wider of the two rates - more taps, sharper cutoff
+const DEFAULT_TAPS_PER_PHASE = 32;
+
+// Kaiser window beta - ~80dB stopband attenuation
+const KAISER_BETA = 8;
+
+// Cutoff as a fraction of the lower Nyquist frequency (leaves room for the transition band)
+const ROLLOFF = 0.9;
+
+// Designed filters, shared by every call using the same conversion: "L/M/taps" -> phases
+const filterCache = new Map();
+
+function gcd(a, b) {
+  return b === 0 ? a : gcd(b, a % b);
+}
+
+/**
+ * Zeroth-order modified Bessel function of the first kind (for the Kaiser window)
+ * @param {number} x - Argument
+ * @returns {number} - I0(x)
+ */
+function besselI0(x) {
+  let sum = 1;
+  let term = 1;
+  for (let k = 1; k < 50; k++) {
+    term *= (x / (2 * k)) * (x / (2 * k));
+    sum += term;
+    if (term < sum * 1e-12) {
+      break;
+    }
+  }
+  return sum;
+}
+
+/**
+ * Design the low-pass prototype filter and split it into L polyphase branches
+ * @param {number} up - Interpolation factor L
+ * @param {number} down - Decimation factor M
+ * @param {number} tapsPerPhase - Taps per branch (scaled by the larger factor)
+ * @returns {Float64Array[]} - L branches of equal length
+ */
+function designPolyphaseFilter(up, down, tapsPerPhase) {
+  const key = `${up}/${down}/${tapsPerPhase}`;
+  if (filterCache.has(key)) {
+    return filterCache.get(key);
+  }
+
+  const factor = Math.max(up, down);
+  const branchLength = Math.ceil((tapsPerPhase * factor) / up);
+  const length = branchLength * up;
+  const center = (length - 1) / 2;
+
+  // Cutoff relative to the upsampled rate (input rate * L)
+  const cutoff = (0.5 / factor) * ROLLOFF;
+  const i0Beta = besselI0(KAISER_BETA);
+
+  const prototype = new Float64Array(length);
+  for (let k = 0; k < length; k++) {
+    const x = k - center;
+    const sinc = x === 0 ? 1 : Math.sin(2 * Math.PI * cutoff * x) / (2 * Math.PI * cutoff * x);
+    const ratio = (2 * k) / (length - 1) - 1;
+    const window = besselI0(KAISER_BETA * Math.sqrt(Math.max(0, 1 - ratio * ratio))) / i0Beta;
+    // Gain of L makes up for the zeros inserted when upsampling
+    prototype[k] = 2 * cutoff * sinc * window * up;
+  }
+
+  const phases = [];
+  for (let phase = 0; phase < up; phase++) {
+    const branch = new Float64Array(branchLength);
+    for (let i = 0; i < branchLength; i++) {
+      branch[i] = prototype[phase + up * i];
+    }
+    phases.push(branch);
+  }
+
+  filterCache.set(key, phases);
+  return phases;
+}
+
+/**
+ * Stateful resampler for one direction of one call
+ * Feed it consecutive chunks with process(); chunks can be any size (odd byte counts included)
+ */
+export class StreamingResampler {
+  /**
+   * @param {number} inputRate - Input sample rate (Hz)
+   * @param {number} outputRate - Output sample rate (Hz)
+   * @param {Object} [options] - { tapsPerPhase }
+   */
+  constructor(inputRate, outputRate, { tapsPerPhase = DEFAULT_TAPS_PER_PHASE } = {}) {
+    if (!SUPPORTED_RATES.includes(inputRate) || !SUPPORTED_RATES.includes(outputRate)) {
+      throw new Error(`Unsupported resampling ${inputRate}Hz -> ${outputRate}Hz (supported: ${SUPPORTED_RATES.join(', ')})`);
+    }
+
+    const divisor = gcd(inputRate, outputRate);
+    this.inputRate = inputRate;
+    this.outputRate = outputRate;
+    this.up = outputRate / divisor; // L
+    this.down = inputRate / divisor; // M
+    this.passthrough = inputRate === outputRate;
+
+    this.phases = this.passthrough ? null : designPolyphaseFilter(this.up, this.down, tapsPerPhase);
+    this.branchLength = this.passthrough ? 0 : this.phases[0].length;
+
+    this.reset();
+  }
+
+  /**
+   * Forget filter history (e.g. after the stream was interrupted)
+   */
+  reset() {
+    // Last (branchLength - 1) input samples from the previous chunk
+    this.history = new Float64Array(Math.max(this.branchLength - 1, 0));
+    // Position of the next output sample on the upsampled timeline, relative to the next chunk
+    this.position = 0;
+    // Odd byte left over from the previous chunk
+    this.pendingByte = null;
+  }
+
+  /**
+   * Resample the next chunk of the stream
+   * @param {Buffer} input - PCM16 audio at inputRate
+   * @returns {Buffer} - PCM16 audio at outputRate
+   */
+  process(input) {
+    // Re-join a sample split across chunks
+    let data = input;
+    if (this.pendingByte !== null) {
+      data = Buffer.concat([Buffer.from([this.pendingByte]), input]);
+      this.pendingByte = null;
+    }
+    if (data.length % 2 !== 0) {
+      this.pendingByte = data[data.length - 1];
+      data = data.subarray(0, data.length - 1);
+    }
+
+    if (this.passthrough || data.length === 0) {
+      return Buffer.from(data);
+    }
+
+    const inputSamples = data.length / 2;
+    const historyLength = this.history.length;
+
+    // History followed by the new samples
+    const samples = new Float64Array(historyLength + inputSamples);
+    samples.set(this.history);
+    for (let i = 0; i < inputSamples; i++) {
+      samples[historyLength + i] = data.readInt16LE(i * 2);
+    }
+
+    const { up, down, phases, branchLength } = this;
+    const outputCapacity = Math.ceil((inputSamples * up - this.position) / down) + 1;
+    const output = Buffer.allocUnsafe(Math.max(outputCapacity, 0) * 2);
+
+    let outputSamples = 0;
+    let position = this.position;
+    while (Math.floor(position / up) < inputSamples) {
+      const branch = phases[position % up];
+      const newest = historyLength + Math.floor(position / up);
+
+      let acc = 0;
+      for (let i = 0; i < branchLength; i++) {
+        acc += branch[i] * samples[newest - i];
+      }
+
+      const value = Math.round(acc);
+      output.writeInt16LE(value > 32767 ? 32767 : value < -32768 ? -32768 : value, outputSamples * 2);
+      outputSamples++;
+      position += down;
+    }
+
+    this.position = position - inputSamples * up;
+    this.history = samples.slice(samples.length - historyLength);
+
+    return output.subarray(0, outputSamples * 2);
+  }
+}
@@ -2,123 +2,43 @@
 // Tavari Voice Agent - Voximplant + OpenAI Realtime
 // Migrated from Telnyx to Voximplant
 
+// First import: .env must be loaded before any module reads its settings from process.env at load time
+import 'dotenv/config';
 import express from 'express';
 import bodyParser from 'body-parser';
 import axios from 'axios';
 import { WebSocketServer, WebSocket } from 'ws';
 import http from 'http';
-import dotenv from 'dotenv';
+import { randomUUID } from 'crypto';
+import { loadProfiles, watchProfiles, getProfileForNumber, getProfileById, getTransferTargets, buildSessionConfig, buildGreeting, buildVoicemailMessage, buildRecoveryMessages } from './agent-profiles.js';
+import { loadTools, registerTool, getToolDefinitions, executeTool, redactToolOutput } from './tool-registry.js';
+import { createCallStore } from './call-store.js';
+import { createCallsRouter } from './calls-api.js';
+import { CallRecorder, RECORDING_ENABLED, startRecordingRetention } from './call-recorder.js';
+import { parseMediaFrame, negotiateMediaFormat, validateAudioPayload, decodeAudio, bytesPerMs, DEFAULT_MEDIA_FORMAT } from './media-protocol.js';
+import { AudioPath, negotiateCodec, convertCallAudio, AUDIO_CODEC_MODE } from './audio-path.js';
+import { issueStreamToken, redeemStreamToken, revokeStreamTokens, STREAM_CLOSE_CODES } from './stream-tokens.js';
+import { CallStateMachine, CALL_STATES } from './call-state.js';
+import { verifyWebhook, verifyUpgrade, requireAdmin, RateLimiter, WEBHOOK_AUTH_ENABLED, WEBHOOK_AUTH_DISABLED, ADMIN_API_ENABLED } from './webhook-auth.js';
+import { createVoximplantClient } from './voximplant-client.js';
+import { sendStatusCallback } from './status-callback.js';
+import { CampaignManager, normalizePhone } from './campaigns.js';
+import { createCampaignsRouter } from './campaigns-api.js';
+import { loadCallerLookup, lookupCaller } from './caller-lookup.js';
+import { createLogger } from './logger.js';
+import { createBackend } from './ai-backend.js';
+import { loadGreetingAudio } from './greeting-audio.js';
+import { DigitCollector } from './dtmf.js';
+import { AnsweringMachineDetector } from './answering-machine.js';
+import { SpeechGate } from './vad.js';
+import { OutboundPacer } from './outbound-pacer.js';
+import {
+  Gauge, renderMetrics, recordOpenAIConnection, getOpenAIHealth, callsEnded, openaiSessionSetup, timeToFirstAudio,
+  audioBytes, audioConversionErrors, rejectedMediaFrames, openaiErrors, websocketCloses, openaiReconnects, inboundAudioGated,
+  outboundUnderruns, outboundAudioDropped
+} from './metrics.js';
 
-/**
- * Resample PCM16 audio from 24kHz to 8kHz using linear interpolation (for output to Telnyx)
- * @param {Buffer} inputBuffer - Input PCM16 audio buffer (24kHz, 16-bit, mono)
- * @returns {Buffer} - Resampled PCM16 audio buffer (8kHz, 16-bit, mono)
- */
-function resample24kHzTo8kHz(inputBuffer) {
-  // Input: 24kHz = 24000 samples/second
-  // Output: 8kHz = 8000 samples/second
-  // Ratio: 8/24 = 1/3x downsampling
-  
-  // Ensure buffer length is even (16-bit samples = 2 bytes each)
-  if (inputBuffer.length < 2) {
-    return Buffer.alloc(0);
-  }
-  
-  const inputSamples = Math.floor(inputBuffer.length / 2); // 16-bit = 2 bytes per sample
-  const outputSamples = Math.floor(inputSamples / 3); // 1/3x downsampling
-  const outputBuffer = Buffer.allocUnsafe(outputSamples * 2); // 2 bytes per sample
-  
-  for (let i = 0; i < outputSamples; i++) {
-    // Calculate position in input buffer (every 3rd sample)
-    const inputIndex = i * 3;
-    const inputSampleIndex = inputIndex * 2;
-    
-    // Ensure we don't go beyond buffer bounds
-    if (inputSampleIndex + 1 >= inputBuffer.length) {
-      // Use last sample if we're at the end
-      const lastSampleIndex = Math.max(0, Math.floor((inputBuffer.length - 2) / 2) * 2);
-      const lastSample = inputBuffer.readInt16LE(lastSampleIndex);
-      outputBuffer.writeInt16LE(lastSample, i * 2);
-      continue;
-    }
-    
-    // Read 16-bit signed integer (little-endian) - take every 3rd sample
-    const sample = inputBuffer.readInt16LE(inputSampleIndex);
-    
-    // Write to output buffer (little-endian)
-    outputBuffer.writeInt16LE(sample, i * 2);
-  }
-  
-  return outputBuffer;
-}
-
-/**
- * Resample PCM16 audio from 8kHz to 24kHz using linear interpolation (for input to OpenAI)
- * @param {Buffer} inputBuffer - Input PCM16 audio buffer (8kHz, 16-bit, mono)
- * @returns {Buffer} - Resampled PCM16 audio buffer (24kHz, 16-bit, mono)
- */
-function resample8kHzTo24kHz(inputBuffer) {
-  // Input: 8kHz = 8000 samples/second
-  // Output: 24kHz = 24000 samples/second
-  // Ratio: 24/8 = 3x upsampling
-  
-  // Ensure buffer length is even (16-bit samples = 2 bytes each)
-  if (inputBuffer.length < 2) {
-    return Buffer.alloc(0);
-  }
-  
-  const inputSamples = Math.floor(inputBuffer.length / 2); // 16-bit = 2 bytes per sample
-  const outputSamples = inputSamples * 3; // 3x upsampling
-  const outputBuffer = Buffer.allocUnsafe(outputSamples * 2); // 2 bytes per sample
-  
-  for (let i = 0; i < outputSamples; i++) {
-    // Calculate position in input buffer (0 to inputSamples-1)
-    const inputPos = i / 3;
-    const inputIndex = Math.floor(inputPos);
-    const fraction = inputPos - inputIndex;
-    
-    // Ensure we don't go beyond buffer bounds
-    if (inputIndex >= inputSamples - 1) {
-      // Use last sample if we're at the end
-      const lastSampleIndex = (inputSamples - 1) * 2;
-      if (lastSampleIndex + 1 < inputBuffer.length) {
-        const lastSample = inputBuffer.readInt16LE(lastSampleIndex);
-        outputBuffer.writeInt16LE(lastSample, i * 2);
-      }
-      continue;
-    }
-    
-    // Get two adjacent samples for interpolation
-    const sample1Index = inputIndex * 2;
-    const sample2Index = (inputIndex + 1) * 2;
-    
-    // Ensure indices are within bounds
-    if (sample1Index + 1 >= inputBuffer.length || sample2Index + 1 >= inputBuffer.length) {
-      // Fallback: use last available sample
-      const lastSampleIndex = Math.max(0, Math.floor((inputBuffer.length - 2) / 2) * 2);
-      const lastSample = inputBuffer.readInt16LE(lastSampleIndex);
-      outputBuffer.writeInt16LE(lastSample, i * 2);
-      continue;
-    }
-    
-    // Read 16-bit signed integers (little-endian)
-    const sample1 = inputBuffer.readInt16LE(sample1Index);
-    const sample2 = inputBuffer.readInt16LE(sample2Index);
-    
-    // Linear interpolation
-    const interpolated = Math.round(sample1 + (sample2 - sample1) * fraction);
-    
-    // Clamp to 16-bit signed range
-    const clamped = Math.max(-32768, Math.min(32767, interpolated));
-    
-    // Write to output buffer (little-endian)
-    outputBuffer.writeInt16LE(clamped, i * 2);
-  }
-  
-  return outputBuffer;
-}
-
-dotenv.config();
+const log = createLogger('server');
 
 const PORT = process.env.PORT || 3000;
 const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
@@ -126,42 +46,325 @@ const VOXIMPLANT_ACCOUNT_ID = process.env.VOXIMPLANT_ACCOUNT_ID;
 const VOXIMPLANT_API_KEY = process.env.VOXIMPLANT_API_KEY;
 
 if (!OPENAI_API_KEY) {
-  console.error('❌ Missing required environment variables');
-  console.error('Required: OPENAI_API_KEY');
-  console.warn('⚠️  VOXIMPLANT_ACCOUNT_ID and VOXIMPLANT_API_KEY are optional (for Management API)');
+  log.error('Missing required environment variable OPENAI_API_KEY', { event: 'config.missing' });
+  log.warn('VOXIMPLANT_ACCOUNT_ID and VOXIMPLANT_API_KEY are optional (for Management API)', { event: 'config.optional' });
   // Don't exit - webhooks might work without Management API
 }
 
+if (WEBHOOK_AUTH_DISABLED) {
+  log.warn('WEBHOOK_AUTH_DISABLED is set - webhooks and media sockets are NOT authenticated', { event: 'config.insecure' });
+} else if (!WEBHOOK_AUTH_ENABLED) {
+  log.error('WEBHOOK_SECRET is not set - webhooks and media sockets are refused', { event: 'config.webhooks_disabled' });
+}
+
+if (!ADMIN_API_ENABLED) {
+  log.warn('ADMIN_API_TOKEN is not set - the admin API is disabled', { event: 'config.admin_disabled' });
+}
+
+// Proxy hops in front of us (Railway adds one) - needed to rate limit by the real client IP
+const TRUST_PROXY = parseInt(process.env.TRUST_PROXY || '1', 10);
+
+// Requests per minute per source IP, for webhooks and media socket upgrades separately
+const WEBHOOK_RATE_LIMIT = parseInt(process.env.WEBHOOK_RATE_LIMIT || '120', 10);
+
+// Longest a collect_digits call waits for the first key
+const DTMF_MAX_WAIT_MS = 60000;
+
+// Longest shutdown waits for call store writes and recordings - inside the platform's stop grace period (often 10s)
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_MS || '8000', 10);
+
 const app = express();
+app.set('trust proxy', TRUST_PROXY);
 const server = http.createServer(app);
 
+// Agent profiles (hot-reloaded when files in PROFILES_DIR change)
+loadProfiles();
+watchProfiles();
+
+// Function-calling tools available to profiles
+await loadTools();
+
+// CRM caller lookup (CALLER_LOOKUP) - results become call variables
+await loadCallerLookup();
+
+// Built-in tool: hand the caller off to a human (only offered when the profile has a transfer target)
+registerTool({
+  name: 'transfer_call',
+  description: 'Transfer the caller to a human agent. Use when the caller asks for a person or you cannot help them.',
+  parameters: {
+    type: 'object',
+    properties: {
+      reason: {
+        type: 'string',
+        description: 'Why the caller is being transferred'
+      },
+      summary: {
+        type: 'string',
+        description: 'One or two sentence summary of the call for the human agent'
+      }
+    },
+    required: ['summary']
+  },
+  handler: async ({ reason, summary }, { callId }) => {
+    const transfer = transferCall(callId, { reason, summary });
+    return { status: 'transferring', target: transfer.target, mode: transfer.mode };
+  }
+});
+
+// Built-in tool: the person asked not to be called again (only offered on outbound calls)
+registerTool({
+  name: 'opt_out',
+  description: 'Record that the person does not want to be called again. Use when they ask to stop calling, to be removed from the list, or similar.',
+  parameters: {
+    type: 'object',
+    properties: {
+      reason: {
+        type: 'string',
+        description: 'What the person said'
+      }
+    }
+  },
+  handler: async ({ reason }, { callId }) => {
+    const session = sessions.get(callId);
+    if (!session || !session.outbound) {
+      return { status: 'not_available' };
+    }
+    session.outbound.optedOut = true;
+    campaigns.addOptOut(session.calleeId, reason ? `call ${callId}: ${reason}` : `call ${callId}`);
+    return { status: 'opted_out', instructions: 'Confirm they will not be called again, then say goodbye.' };
+  }
+});
+
+// Built-in tool: read a number from the caller's keypad (offered unless the profile turns keypad input off)
+registerTool({
+  name: 'collect_digits',
+  description: 'Collect digits the caller types on their keypad, such as an account number or PIN. Tell the caller what to enter first (for example "enter your 6-digit PIN followed by the pound key"). Returns the digits and why entry ended.',
+  parameters: {
+    type: 'object',
+    properties: {
+      maxDigits: {
+        type: 'integer',
+        description: 'Stop after this many digits (leave out if the length varies)'
+      },
+      terminator: {
+        type: 'string',
+        enum: ['#', '*', ''],
+        description: 'Key that ends the entry ("" for none). Defaults to #'
+      },
+      timeoutSeconds: {
+        type: 'number',
+        description: 'How long to wait for the first key. Defaults to 15'
+      }
+    }
+  },
+  timeoutMs: DTMF_MAX_WAIT_MS + 30000, // Collection ends itself first - this is only a backstop
+  // Digits may be a PIN or account number - the call record keeps the count only
+  redact: ({ digits, ...output }) => (typeof digits === 'string' ? { ...output, digitCount: digits.length } : output),
+  handler: async ({ maxDigits, terminator, timeoutSeconds }, { callId }) => {
+    const session = sessions.get(callId);
+    if (!session) {
+      return { status: 'not_available' };
+    }
+
+    const settings = session.profile.dtmf;
+    const firstDigitTimeoutMs = Math.min(Math.max((timeoutSeconds || 15) * 1000, 1000), DTMF_MAX_WAIT_MS);
+
+    // This request owns the keypad now - an entry the caller started earlier is dropped
+    session.digitCollector?.cancel();
+
+    let collector;
+    const { digits, reason } = await new Promise(resolve => {
+      collector = new DigitCollector({
+        terminator: terminator ?? settings.terminator,
+        maxDigits: maxDigits || settings.maxDigits,
+        digitTimeoutMs: settings.digitTimeoutMs,
+        firstDigitTimeoutMs
+      }, (collected, endReason) => resolve({ digits: collected, reason: endReason }));
+      session.digitCollector = collector;
+    });
+    if (session.digitCollector === collector) {
+      session.digitCollector = null;
+    }
+
+    // Digits may be a PIN - log the count only
+    log.info('Digits collected', { callId, event: 'dtmf.collected', digitCount: digits.length, reason });
+    if (!digits) {
+      return { digits: '', reason, instructions: 'No keys were pressed. Ask the caller whether they want to try again or say the number instead.' };
+    }
+    return { digits, reason };
+  }
+});
+
 // Middleware
-app.use(bodyParser.json());
-app.use(bodyParser.urlencoded({ extended: true }));
+// Keep the raw body - webhook signatures are over the exact bytes sent
+const keepRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+// Campaign contact lists come in as JSON too, so allow more than the 100kb default
+app.use(bodyParser.json({ verify: keepRawBody, limit: process.env.JSON_BODY_LIMIT || '5mb' }));
+app.use(bodyParser.urlencoded({ extended: true, verify: keepRawBody }));
 
-// Request logging
+// Request logging (with latency, once the response is sent)
 app.use((req, res, next) => {
-  console.log(`[${new Date().toISOString()}] ${req.method} ${req.path}`);
+  const startedAt = Date.now();
+  res.on('finish', () => {
+    log.debug(`${req.method} ${req.path} ${res.statusCode}`, {
+      event: 'http.request',
+      method: req.method,
+      path: req.path,
+      status: res.statusCode,
+      durationMs: Date.now() - startedAt
+    });
+  });
   next();
 });
 
+// Call records, transcripts and recordings (admin API - caller numbers and what they said)
+const callStore = await createCallStore();
+app.use('/calls', requireAdmin(), createCallsRouter(callStore));
+
+// Call store writes and recordings still in flight - shutdown waits for them
+const pendingWrites = new Set();
+
+/**
+ * Keep a write in pendingWrites until it settles
+ * @param {Promise} promise - Call store write, or a recording being finished and stored
+ * @returns {Promise} - The same promise
+ */
+function trackWrite(promise) {
+  pendingWrites.add(promise);
+  promise.finally(() => pendingWrites.delete(promise)).catch(() => {});
+  return promise;
+}
+
+// Management API client for outbound calls (VOXIMPLANT_CLIENT=stub for local testing)
+const voximplant = await createVoximplantClient();
+
+// Outbound campaigns - queue persisted in CAMPAIGNS_DIR, dialing starts once the server is listening
+const campaigns = new CampaignManager({ placeCall: request => placeOutboundCall(request) });
+campaigns.load();
+app.use('/campaigns', requireAdmin(), createCampaignsRouter(campaigns, profileId => Boolean(getProfileById(profileId))));
+
+// Call recordings (opt-in with RECORDING_ENABLED, old recordings deleted after RECORDING_RETENTION_DAYS)
+if (RECORDING_ENABLED) {
+  startRecordingRetention();
+}
+
 // Health check (required for Railway)
+// Readiness: degraded (503) while most recent OpenAI connections fail - calls would get dead air
 app.get('/health', (req, res) => {
-  res.status(200).json({ 
-    status: 'ok', 
+  const openai = getOpenAIHealth();
+  res.status(openai.status === 'ok' ? 200 : 503).json({
+    status: openai.status,
     timestamp: new Date().toISOString(),
-    service: 'tavari-voice-agent'
+    service: 'tavari-voice-agent',
+    activeCalls: sessions.size,
+    checks: { openai }
+  });
+});
+
+// Gauges read from the live sessions at scrape time
+new Gauge('tavari_active_calls', 'Calls in progress, by direction and lifecycle state', ['direction', 'state'], () => {
+  const counts = new Map();
+  for (const session of sessions.values()) {
+    const key = `${session.direction}|${session.lifecycle.state}`;
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  return Array.from(counts, ([key, count]) => {
+    const [direction, state] = key.split('|');
+    return [{ direction, state }, count];
+  });
+});
+new Gauge('tavari_outbound_buffered_seconds', 'Agent audio waiting to be sent to the caller (sum and largest over calls)', ['aggregate'], () => {
+  const depths = Array.from(sessions.values(), session => (session.pacer?.bufferedMs || 0) / 1000);
+  return [
+    [{ aggregate: 'sum' }, depths.reduce((sum, depth) => sum + depth, 0)],
+    [{ aggregate: 'max' }, Math.max(0, ...depths)]
+  ];
+});
+
+// Prometheus scrape endpoint (admin API - scrape with the bearer token)
+app.get('/metrics', requireAdmin(), (req, res) => {
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8').send(renderMetrics());
+});
+
+/**
+ * Debug: every active call with its lifecycle state and socket status
+ */
+app.get('/sessions', requireAdmin(), (req, res) => {
+  const socketState = ws => ws ? ['connecting', 'open', 'closing', 'closed'][ws.readyState] : null;
+
+  res.status(200).json({
+    count: sessions.size,
+    sessions: Array.from(sessions, ([callId, session]) => ({
+      callId,
+      direction: session.direction,
+      ...session.lifecycle.toJSON(),
+      profileId: session.profile.id,
+      callerId: session.callerId,
+      calleeId: session.calleeId,
+      startedAt: session.startedAt.toISOString(),
+      mediaFormat: session.mediaFormat,
+      codecMode: session.audioPath?.mode || null,
+      backend: session.backend?.type || null,
+      openai: session.backend?.state || null,
+      openaiReady: session.sessionReady,
+      openaiRecovery: session.openaiRecovery.state,
+      greetingMode: session.profile.greeting.mode,
+      answeringMachine: session.machineDetection.state,
+      media: socketState(session.telnyxWs),
+      outboundAudio: session.pacer?.toJSON() || null,
+      hasActiveResponse: session.hasActiveResponse
+    }))
   });
 });
 
 // Store active sessions: callId -> { openaiClient, callControlId, ... }
 const sessions = new Map();
 
+// Webhook events that answer with the media stream URL
+const CALL_CONNECTED_EVENTS = ['CallConnected', 'call.connected', 'CallAnswered'];
+
+// Calls stuck waiting on the scenario (not connected, or no media socket) are ended after this long
+const CALL_INACTIVITY_TIMEOUT_MS = parseInt(process.env.CALL_INACTIVITY_TIMEOUT_MS || '30000', 10);
+
+// Outbound calls ring for a while before anyone answers
+const OUTBOUND_DIAL_TIMEOUT_MS = parseInt(process.env.OUTBOUND_DIAL_TIMEOUT_MS || '90000', 10);
+
+// Caller ID for outbound calls when neither the request nor the profile gives one
+const OUTBOUND_CALLER_ID = process.env.OUTBOUND_CALLER_ID || null;
+
+// OpenAI connection lost mid-call: reconnect attempts before the profile's fallback, first delay (doubles per attempt)
+const OPENAI_RECONNECT_ATTEMPTS = parseInt(process.env.OPENAI_RECONNECT_ATTEMPTS || '3', 10);
+const OPENAI_RECONNECT_DELAY_MS = parseInt(process.env.OPENAI_RECONNECT_DELAY_MS || '500', 10);
+const OPENAI_RECONNECT_MAX_DELAY_MS = 8000;
+
+// Each connection attempt (first or reconnect) must have its session configured within this long, or it has failed
+const OPENAI_CONNECT_TIMEOUT_MS = parseInt(process.env.OPENAI_CONNECT_TIMEOUT_MS || '10000', 10);
+
+// Caller audio kept while reconnecting (the most recent part), sent to the new session once it is ready
+const OPENAI_RECONNECT_BUFFER_MS = parseInt(process.env.OPENAI_RECONNECT_BUFFER_MS || '10000', 10);
+
+// With the noise gate and server_vad, audio keeps flowing this long after the local VAD ends a turn,
+// so OpenAI hears enough silence to end it too
+const VAD_GATE_HANGOVER_MS = parseInt(process.env.VAD_GATE_HANGOVER_MS || '1000', 10);
+
+// Transcript turns replayed into a new session (older ones are left out), and the longest text replayed per turn
+const RECOVERY_HISTORY_TURNS = 20;
+const RECOVERY_HISTORY_TURN_CHARS = 500;
+
+// Longest wait for the scenario to hang up after the goodbye prompt
+const RECOVERY_HANGUP_TIMEOUT_MS = 15000;
+
+const webhookLimiter = new RateLimiter({ windowMs: 60000, max: WEBHOOK_RATE_LIMIT });
+const upgradeLimiter = new RateLimiter({ windowMs: 60000, max: WEBHOOK_RATE_LIMIT });
+
 /**
  * Handle Voximplant webhook events
  * Voximplant sends webhooks in different format than Telnyx
+ * Rate limited per source, and signed with WEBHOOK_SECRET (see webhook-auth.js)
  */
-app.post('/webhook', async (req, res) => {
+app.post('/webhook', webhookLimiter.middleware(), verifyWebhook(), async (req, res) => {
   try {
     const body = req.body;
     
@@ -170,8 +373,15 @@ app.post('/webhook', async (req, res) => {
     const eventType = body.event || body.type || body.event_type;
     const callId = body.callId || body.call_id || body.sessionId || body.session_id;
     
-    console.log(`📞 Voximplant event: ${eventType} for call ${callId}`);
-    console.log(`📋 Full webhook body:`, JSON.stringify(body, null, 2));
+    log.info(`Webhook ${eventType}`, { callId, event: 'webhook.received', webhookEvent: eventType });
+    log.debug('Webhook body', { callId, event: 'webhook.body', body });
+
+    // Connected calls get their media stream URL (with a one-time token) back in the response
+    if (CALL_CONNECTED_EVENTS.includes(eventType)) {
+      const stream = await handleCallConnected(body, callId);
+      res.status(stream ? 200 : 404).json(stream || { error: 'Unknown or ended call' });
+      return;
+    }
 
     // Always respond 200 to Voximplant
     res.status(200).send('OK');
@@ -183,36 +393,175 @@ app.post('/webhook', async (req, res) => {
         await handleCallStarted(body, callId);
         break;
       
-      case 'CallConnected':
-      case 'call.connected':
-      case 'CallAnswered':
-        await handleCallConnected(body, callId);
-        break;
-      
       case 'CallDisconnected':
       case 'call.disconnected':
       case 'CallEnded':
-        await handleCallDisconnected(callId);
+        await handleCallHangup(callId);
+        break;
+      
+      case 'CallFailed':
+        handleCallFailed(callId, body.code, body.reason);
+        break;
+      
+      case 'AmdResult':
+        handleAmdResult(callId, body);
+        break;
+      
+      case 'TransferStarted':
+        log.info('Transfer started', { callId, event: 'transfer.started', target: body.target });
+        break;
+      
+      case 'TransferCompleted':
+        handleTransferCompleted(callId);
+        break;
+      
+      case 'TransferFailed':
+        handleTransferFailed(callId, body.reason || body.code);
         break;
       
       case 'MediaStreamStarted':
       case 'media.stream.started':
-        console.log(`🎵 Media stream started for ${callId}`);
+        log.info('Media stream started (scenario)', { callId, event: 'media.scenario_started' });
         break;
       
       case 'MediaStreamEnded':
       case 'media.stream.ended':
-        console.log(`🎵 Media stream ended for ${callId}`);
+        log.info('Media stream ended (scenario)', { callId, event: 'media.scenario_ended' });
         break;
       
       default:
-        console.log(`ℹ️  Unhandled Voximplant event type: ${eventType}`);
+        log.debug(`Unhandled webhook event ${eventType}`, { callId, event: 'webhook.unhandled', webhookEvent: eventType });
+    }
+  } catch (error) {
+    log.error('Error handling webhook', { event: 'webhook.error', error });
+  }
+});
+
+/**
+ * Transfer a call to a human (admin API - authorized by the /calls mount above)
+ * Body: { target, mode, callerId, summary } - all optional, defaults come from the call's profile
+ * Only the profile's own targets (see getTransferTargets) and numbers can be used
+ */
+app.post('/calls/:callId/transfer', (req, res) => {
+  const session = sessions.get(req.params.callId);
+  if (!session) {
+    return res.status(404).json({ error: 'Call not found' });
+  }
+
+  const { target, mode, callerId, summary } = req.body || {};
+  if (target && !getTransferTargets(session.profile).includes(target)) {
+    return res.status(403).json({ error: `"target" is not a transfer target of profile "${session.profile.id}"` });
+  }
+  if (callerId && callerId !== session.profile.transfer?.callerId && !session.profile.numbers.includes(callerId)) {
+    return res.status(403).json({ error: `"callerId" is not a number of profile "${session.profile.id}"` });
+  }
+  if (mode && !['cold', 'warm'].includes(mode)) {
+    return res.status(400).json({ error: '"mode" must be "cold" or "warm"' });
+  }
+
+  try {
+    const transfer = transferCall(req.params.callId, { target, mode, callerId, summary });
+    res.status(202).json({ status: 'requested', transfer });
+  } catch (error) {
+    const status = error.message === 'Call not found' ? 404 : 409;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+/**
+ * Place an outbound call (admin API - authorized by the /calls mount above)
+ * Body: { to, profileId, from, context, statusCallbackUrl, amd }
+ */
+app.post('/calls/outbound', async (req, res) => {
+  try {
+    const { to, profileId, from, context = {}, statusCallbackUrl = null, amd = true } = req.body || {};
+    if (!context || typeof context !== 'object' || Array.isArray(context)) {
+      return res.status(400).json({ error: '"context" must be an object' });
     }
+
+    const call = await placeOutboundCall({ to, profileId, from, variables: context, statusCallbackUrl, amd });
+    res.status(202).json({ ...call, status: 'dialing' });
   } catch (error) {
-    console.error('❌ Error handling Voximplant webhook:', error);
+    res.status(error.status || 500).json({ callId: error.callId, error: error.message });
   }
 });
 
+/**
+ * Error placing an outbound call - `status` is the HTTP status for the API
+ */
+class OutboundCallError extends Error {
+  constructor(message, status, callId = undefined) {
+    super(message);
+    this.name = 'OutboundCallError';
+    this.status = status;
+    this.callId = callId;
+  }
+}
+
+/**
+ * Place an outbound call - used by POST /calls/outbound and campaigns
+ * The OpenAI session is created (with the variables in its instructions) while the scenario dials
+ * @param {Object} request - { to, profileId, from, variables, statusCallbackUrl, amd, campaign: { campaignId, contactId } }
+ * @returns {Promise<Object>} - { callId, profileId, callSessionHistoryId }
+ * @throws {OutboundCallError} - 4xx for requests that can never succeed, 5xx if dialing failed
+ */
+async function placeOutboundCall({ to, profileId, from, variables = {}, statusCallbackUrl = null, amd = true, campaign = null }) {
+  const number = normalizePhone(to);
+  if (!number) {
+    throw new OutboundCallError('"to" must be a phone number in E.164 format', 400);
+  }
+
+  if (campaigns.isOptedOut(number)) {
+    throw new OutboundCallError(`${number} has opted out of calls`, 409);
+  }
+
+  const profile = profileId ? getProfileById(profileId) : getProfileForNumber(from);
+  if (!profile) {
+    throw new OutboundCallError(`Unknown profile "${profileId}"`, 400);
+  }
+
+  const callerId = from || profile.numbers?.[0] || OUTBOUND_CALLER_ID;
+  if (!callerId) {
+    throw new OutboundCallError('No caller ID - pass "from", give the profile a number, or set OUTBOUND_CALLER_ID', 400);
+  }
+
+  if (!voximplant.configured) {
+    throw new OutboundCallError('Outbound calling is not configured', 503);
+  }
+
+  const callId = `out_${randomUUID()}`;
+  log.info('Outbound call', { callId, event: 'outbound.placing', to: number, profileId: profile.id, campaignId: campaign?.campaignId });
+
+  trackWrite(callStore.createCall({
+    callId,
+    direction: 'outbound',
+    callerId,
+    calleeId: number,
+    profileId: profile.id,
+    context: variables,
+    campaign,
+    startedAt: new Date().toISOString()
+  })).catch(error => log.error('Error storing call', { callId, event: 'store.error', error }));
+
+  await startOpenAIRealtimeSession(callId, callId, profile, {
+    direction: 'outbound',
+    callerId,
+    calleeId: number,
+    variables,
+    outbound: { statusCallbackUrl, campaign }
+  });
+
+  try {
+    const started = await voximplant.startScenario({ outboundId: callId, to: number, from: callerId, amd: amd !== false });
+    notifyCallStatus(callId, 'dialing');
+    return { callId, profileId: profile.id, callSessionHistoryId: started.callSessionHistoryId };
+  } catch (error) {
+    log.error('Could not start outbound call', { callId, event: 'outbound.error', error });
+    endCall(callId, 'dial_error');
+    throw new OutboundCallError(error.message, 502, callId);
+  }
+}
+
 /**
  * Handle call started - Voximplant calls are auto-answered in scenarios
  * Start OpenAI Realtime session
@@ -223,41 +572,73 @@ async function handleCallStarted(payload, callId) {
     // Extract call/session ID from payload
     const sessionId = callId || payload.sessionId || payload.session_id || payload.callId;
     
-    console.log(`📞 Call started: ${sessionId}`);
+    // Pick the agent profile for the number that was dialled
+    const profile = getProfileForNumber(payload.calleeId);
+
+    // The scenario announces the audio format it will stream, so OpenAI can be configured for it up front
+    let mediaFormat = DEFAULT_MEDIA_FORMAT;
+    if (payload.encoding || payload.sampleRate) {
+      try {
+        mediaFormat = negotiateMediaFormat(payload);
+      } catch (error) {
+        log.warn('Ignoring media format in CallStarted', { callId: sessionId, event: 'media.format_invalid', error: error.message });
+      }
+    }
+    
+    log.info('Call started', { callId: sessionId, event: 'call.started', profileId: profile.id });
+
+    trackWrite(callStore.createCall({
+      callId: sessionId,
+      direction: 'inbound',
+      callerId: payload.callerId || null,
+      calleeId: payload.calleeId || null,
+      profileId: profile.id,
+      startedAt: new Date().toISOString()
+    })).catch(error => log.error('Error storing call', { callId: sessionId, event: 'store.error', error }));
 
     // Start OpenAI Realtime session
-    await startOpenAIRealtimeSession(sessionId, sessionId);
+    await startOpenAIRealtimeSession(sessionId, sessionId, profile, {
+      callerId: payload.callerId,
+      calleeId: payload.calleeId,
+      mediaFormat
+    });
 
   } catch (error) {
-    console.error('❌ Error handling call started:', error);
+    log.error('Error handling call started', { callId, event: 'call.error', error });
   }
 }
 
 /**
- * Handle call connected - Start media streaming (wait for OpenAI session to be ready)
+ * Handle call connected - Issue the media stream URL for the scenario to connect to
+ * Audio that arrives before OpenAI is ready is dropped, and the greeting is queued until the socket connects
+ * @returns {Promise<Object|null>} - { success, stream_url, token, expires_at }, or null if the call is unknown or ended
+ *   (the scenario hangs up)
  */
 async function handleCallConnected(payload, callId) {
   try {
     const sessionId = callId || payload.sessionId || payload.session_id || payload.callId;
     
-    console.log(`✅ Call connected: ${sessionId}`);
+    log.info('Call connected', { callId: sessionId, event: 'call.connected' });
 
-    const session = sessions.get(callId);
-    if (session && session.sessionReady) {
-      // OpenAI is already ready, start media stream immediately
-      console.log(`✅ OpenAI session ready, starting media stream for ${callId}`);
-      await startVoximplantMediaStream(sessionId, callId);
-    } else {
-      // Mark that we need to start media stream when OpenAI is ready
-      if (session) {
-        session.pendingMediaStart = true;
-        session.pendingCallControlId = sessionId;
-      }
-      console.log(`⏳ OpenAI session not ready yet, will start media stream when ready for ${callId}`);
+    const session = sessions.get(sessionId);
+    if (!session) {
+      log.warn('No session for connected call - not issuing a media stream', { callId: sessionId, event: 'call.unknown' });
+      return null;
+    }
+
+    session.lifecycle.transition(CALL_STATES.CONNECTED, 'answered');
+    session.connectedAt = session.connectedAt || Date.now();
+
+    if (session.outbound && !session.outbound.answeredAt) {
+      session.outbound.answeredAt = new Date();
+      notifyCallStatus(sessionId, 'answered');
     }
 
+    return await startVoximplantMediaStream(sessionId, sessionId);
+
   } catch (error) {
-    console.error('❌ Error handling call connected:', error);
+    log.error('Error handling call connected', { callId, event: 'call.error', error });
+    return null;
   }
 }
 
@@ -266,27 +647,180 @@ async function handleCallConnected(payload, callId) {
  */
 async function handleCallHangup(callId) {
   try {
-    console.log(`📴 Call hangup: ${callId}`);
+    log.info('Call hangup', { callId, event: 'call.hangup' });
+    // After the goodbye prompt the scenario hangs up itself - the call still ended because OpenAI was gone
+    endCall(callId, sessions.get(callId)?.openaiRecovery.state === 'failed' ? 'openai_unavailable' : 'hangup');
+  } catch (error) {
+    log.error('Error handling hangup', { callId, event: 'call.error', error });
+  }
+}
 
-    const session = sessions.get(callId);
-    if (session) {
-      // Close OpenAI WebSocket
-      if (session.openaiWs) {
-        try {
-          session.openaiWs.close();
-          console.log(`🔌 Closed OpenAI WebSocket for ${callId}`);
-        } catch (error) {
-          console.error('Error closing OpenAI:', error);
-        }
-      }
+/**
+ * Tear a call down - safe to call any number of times, from any path (hangup, transfer, OpenAI closing, timeouts)
+ * Records the end in the call store, finishes the recording, closes both sockets and drops queued audio
+ * @param {string} callId - Call ID
+ * @param {string} reason - Why the call ended (stored as endReason)
+ * @returns {boolean} - True if this call did the teardown
+ */
+function endCall(callId, reason) {
+  // A stream that never connected shouldn't be connectable after the call is gone
+  revokeStreamTokens(callId);
+
+  const session = sessions.get(callId);
+  if (!session || session.lifecycle.ended) {
+    return false;
+  }
+
+  session.lifecycle.transition(CALL_STATES.ENDED, reason);
+  callsEnded.inc({ direction: session.direction, reason });
+  clearTimeout(session.inactivityTimer);
+  session.inactivityTimer = null;
+  session.digitCollector?.cancel();
+  session.machineDetection.detector?.stop();
+  clearTimeout(session.machineDetection.timer);
+  clearTimeout(session.openaiRecovery.timer);
+  session.openaiRecovery.audio = [];
+
+  recordCallEnded(callId, session, reason);
+
+  if (session.outbound) {
+    notifyCallStatus(callId, session.outbound.answeredAt ? 'completed' : 'failed', session, { reason });
+
+    if (session.outbound.campaign) {
+      campaigns.recordOutcome(session.outbound.campaign, {
+        callId,
+        answered: Boolean(session.outbound.answeredAt),
+        amd: session.outbound.amd,
+        failure: session.outbound.failure,
+        optedOut: session.outbound.optedOut,
+        reason
+      });
+    }
+  }
+
+  // Agent audio that never made it to the caller has nowhere to go now
+  session.pacer.stop();
+  session.pacer.clear();
+  session.pendingMarks.clear();
+  session.playback = null;
 
-      // Remove session
-      sessions.delete(callId);
-      console.log(`🗑️  Removed session for ${callId}`);
+  // Removed before the sockets close, so their close handlers find nothing left to do
+  sessions.delete(callId);
+
+  if (session.backend) {
+    try {
+      session.backend.close();
+      log.debug('Closed Realtime backend', { callId, event: 'openai.closing' });
+    } catch (error) {
+      log.error('Error closing Realtime backend', { callId, event: 'openai.error', error });
     }
-  } catch (error) {
-    console.error('❌ Error handling hangup:', error);
   }
+
+  // The scenario hangs up when the server ends the stream with this code
+  if (session.telnyxWs && session.telnyxWs.readyState === WebSocket.OPEN) {
+    session.telnyxWs.close(STREAM_CLOSE_CODES.ended, 'call ended');
+  }
+
+  log.info('Call ended', { callId, event: 'call.ended', reason, durationMs: Date.now() - session.startedAt });
+  return true;
+}
+
+/**
+ * (Re)start the inactivity timer for the call's current state
+ * Only states waiting on the scenario time out - once audio flows, the call lasts as long as it lasts
+ * @param {string} callId - Call ID
+ * @param {Object} session - Call session
+ */
+function armInactivityTimer(callId, session) {
+  clearTimeout(session.inactivityTimer);
+  session.inactivityTimer = null;
+
+  const state = session.lifecycle.state;
+  if (state !== CALL_STATES.ALERTING && state !== CALL_STATES.CONNECTED) {
+    return;
+  }
+
+  // An outbound call is 'alerting' while the other phone rings
+  const timeoutMs = session.outbound && state === CALL_STATES.ALERTING ? OUTBOUND_DIAL_TIMEOUT_MS : CALL_INACTIVITY_TIMEOUT_MS;
+
+  session.inactivityTimer = setTimeout(() => {
+    log.warn(`Call still ${state} after ${timeoutMs}ms - ending it`, { callId, event: 'call.timeout', state, timeoutMs });
+    endCall(callId, `timeout_${state}`);
+  }, timeoutMs);
+}
+
+/**
+ * Handle an outbound call that never connected (busy, no answer, rejected)
+ * @param {string} callId - Call ID
+ * @param {number|string} code - Voximplant failure code
+ * @param {string} reason - Voximplant failure reason
+ */
+function handleCallFailed(callId, code, reason) {
+  const session = sessions.get(callId);
+  if (!session) {
+    return;
+  }
+
+  log.info('Call failed', { callId, event: 'call.failed', code, reason });
+  if (session.outbound) {
+    session.outbound.failure = { code: code ?? null, reason: reason || null };
+  }
+  trackWrite(callStore.updateCall(callId, { failure: { code: code ?? null, reason: reason || null } }))
+    .catch(error => log.error('Error storing call failure', { callId, event: 'store.error', error }));
+
+  endCall(callId, 'failed');
+}
+
+/**
+ * Handle the scenario's answering machine detection result for an outbound call
+ * @param {string} callId - Call ID
+ * @param {Object} payload - { result: 'human' | 'voicemail' | ..., confidence }
+ */
+function handleAmdResult(callId, payload) {
+  const session = sessions.get(callId);
+  const amd = { result: payload.result || 'unknown', confidence: payload.confidence ?? null };
+
+  log.info('Scenario answering machine detection', { callId, event: 'amd.scenario_result', result: amd.result, confidence: amd.confidence });
+  trackWrite(callStore.updateCall(callId, { amd }))
+    .catch(error => log.error('Error storing AMD result', { callId, event: 'store.error', error }));
+
+  if (session && session.outbound) {
+    session.outbound.amd = amd;
+    notifyCallStatus(callId, 'amd');
+  }
+
+  // A definite answer from the scenario settles our own detection too
+  if (session && session.machineDetection.state === 'detecting' && ['human', 'voicemail'].includes(amd.result)) {
+    applyMachineResult(callId, session, amd.result === 'human' ? 'human' : 'machine', 'scenario', session.machineDetection.detector?.elapsedMs ?? 0);
+  }
+}
+
+/**
+ * Send an outbound call's status to the API caller's statusCallbackUrl (if it gave one)
+ * @param {string} callId - Call ID
+ * @param {string} status - dialing, answered, amd, completed or failed
+ * @param {Object} [session] - Call session (needed once the call is out of `sessions`)
+ * @param {Object} [extra] - Extra fields for the status body
+ */
+function notifyCallStatus(callId, status, session = sessions.get(callId), extra = {}) {
+  const url = session?.outbound?.statusCallbackUrl;
+  if (!url) {
+    return;
+  }
+
+  const { answeredAt, amd, failure } = session.outbound;
+  sendStatusCallback(url, {
+    callId,
+    status,
+    to: session.calleeId,
+    from: session.callerId,
+    profileId: session.profile.id,
+    answeredAt: answeredAt ? answeredAt.toISOString() : null,
+    durationMs: status === 'completed' ? Date.now() - answeredAt : null,
+    amd,
+    failure,
+    ...extra
+  });
 }
 
 /**
@@ -296,7 +830,7 @@ async function handleCallHangup(callId) {
 async function answerCall(sessionId) {
   // Voximplant handles call answering in the scenario
   // This function is kept for compatibility but does nothing
-  console.log(`ℹ️  Voximplant call ${sessionId} is auto-answered in scenario`);
+  log.debug('Call is auto-answered in the scenario', { callId: sessionId, event: 'call.answer' });
   return { success: true };
 }
 
@@ -321,272 +855,1209 @@ async function startVoximplantMediaStream(sessionId, callId) {
     
     // Voximplant WebSocket URL for media streaming
     const wsUrl = base.replace('https://', 'wss://');
-    const webhookUrl = `${wsUrl}/media-stream-ws?call_id=${callId}&session_id=${sessionId}`;
+
+    // The token is what binds the socket to this call - it's signed, expires, and works once
+    const { token, expiresAt } = issueStreamToken(callId);
+    const webhookUrl = `${wsUrl}/media-stream-ws?token=${encodeURIComponent(token)}`;
     
-    console.log(`🚀 Voximplant media stream URL: ${webhookUrl}`);
-    console.log(`ℹ️  Configure this URL in your Voximplant scenario for audio streaming`);
+    log.info('Media stream token issued', { callId, event: 'media.token_issued', expiresAt: new Date(expiresAt).toISOString() });
     
-    // Voximplant media streaming is typically configured in the scenario
-    // The scenario should send audio to this WebSocket URL
+    // The scenario gets this in the CallConnected webhook response and connects to it
     // No API call needed here - the scenario handles it
     
-    return { success: true, stream_url: webhookUrl };
+    return { success: true, stream_url: webhookUrl, token, expires_at: expiresAt };
   } catch (error) {
-    console.error('❌ Error starting Voximplant media stream:', error.message);
+    log.error('Error starting media stream', { callId, event: 'media.error', error });
     throw error;
   }
 }
 
 /**
- * Start OpenAI Realtime session using WebSocket
+ * Start the call's Realtime session on the profile's model backend, see ai-backend.js
+ * (OpenAI Realtime by default, or the speech-to-text -> chat -> text-to-speech pipeline)
+ * @param {string} callId - Voximplant call ID
+ * @param {string} callControlId - Voximplant session ID
+ * @param {Object} profile - Agent profile selected for the call
+ * @param {Object} [callInfo] - { direction, callerId, calleeId, mediaFormat, variables, outbound }
+ *   from the CallStarted webhook or the outbound call request
  */
-async function startOpenAIRealtimeSession(callId, callControlId) {
+async function startOpenAIRealtimeSession(callId, callControlId, profile, callInfo = {}) {
   try {
-    console.log(`🤖 Starting OpenAI Realtime session for ${callId}...`);
-
-    // Create WebSocket connection to OpenAI Realtime API
-      const ws = new WebSocket('wss://api.openai.com/v1/realtime?model=gpt-4o-mini-realtime-preview', {
-      headers: {
-        'Authorization': `Bearer ${OPENAI_API_KEY}`,
-        'OpenAI-Beta': 'realtime=v1'
-      }
-    });
-
     // Store session
-    sessions.set(callId, {
-      openaiWs: ws,
+    const session = {
+      backend: null, // Model backend (ai-backend.js) - set by connectOpenAI, replaced on every reconnect
       callControlId: callControlId,
+      profile: profile, // Agent profile - kept for the whole call even if profiles reload
+      direction: callInfo.direction || 'inbound',
+      callerId: callInfo.callerId || null,
+      calleeId: callInfo.calleeId || null,
+      variables: callInfo.variables || {}, // Call context filled into the instructions (plus caller lookup results)
+      caller: {}, // Caller lookup (CRM) result
+      // Outbound calls: { statusCallbackUrl, campaign, answeredAt, amd, failure, optedOut }
+      outbound: callInfo.outbound ? { answeredAt: null, amd: null, failure: null, optedOut: false, ...callInfo.outbound } : null,
       startedAt: new Date(),
       sessionReady: false, // Track if session is configured
+      // OpenAI connection lost mid-call: state 'connected' | 'reconnecting' | 'failed' (see handleOpenAIDisconnect)
+      openaiRecovery: {
+        state: 'connected',
+        attempts: 0, // Reconnect attempts in the current outage
+        since: null, // When the current outage started
+        timer: null, // Next attempt, then the hangup after the goodbye prompt
+        audio: [], // Caller audio from the outage: { chunk (OpenAI format), ms }
+        audioMs: 0,
+        disconnects: 0,
+        reconnects: 0
+      },
+      history: [], // Transcript turns ({ speaker, text }) - replayed into a new session after a reconnect
+      instructions: null, // Instructions sent in session.update (greeting responses build on them)
+      greetingSent: false, // Greeting handled (session.updated also fires after codec switches)
+      greetingAudio: null, // Promise<boolean> - pre-rendered greeting queued (greeting mode "audio")
+      digitCollector: null, // Keypad entry in progress (see handleDtmf)
+      // Answering machine detection: state 'detecting' | 'human' | 'machine' | 'unknown' | 'off' (see handleMachineDetection)
+      machineDetection: {
+        state: profile.answeringMachine.detect === 'always' || (profile.answeringMachine.detect === 'outbound' && callInfo.direction === 'outbound') ? 'detecting' : 'off',
+        detector: null,
+        result: null,
+        reason: null,
+        decidedAtMs: null,
+        beepAtMs: null,
+        action: null,
+        messageDue: false, // Beep heard (or timed out) - leave the voicemail once OpenAI is ready
+        messageStarted: false,
+        hangupMark: null, // Mark behind the voicemail - the call ends when it comes back
+        timer: null // Beep timeout, then the hangup after the voicemail
+      },
       telnyxWs: null, // Will be set when Telnyx WebSocket connects
-      pendingMediaStart: false, // Track if we need to start media stream when ready
+      mediaFormat: null, // Call's audio format (set below, updated by the media socket's start message)
+      audioPath: null, // Codec/resampling between the call and OpenAI
+      speechGate: null, // Local VAD / noise gate on caller audio (profile `vad`, see createSpeechGate)
+      gatedAudioMs: 0, // Caller audio the noise gate kept from the model
+      localTurnStartedAt: null, // Caller turn found by the local VAD, not committed yet
       hasActiveResponse: false, // Track if there's an active response in progress
-      audioQueue: [] // Buffer audio until WebSocket is ready
-    });
+      pacer: null, // Paced playout of agent audio, buffered until the media socket is ready (see createOutboundPacer)
+      pendingMarks: new Map(), // Mark name -> { queuedAt } for responses not yet played to the caller
+      responsesHeard: 0, // Responses the scenario confirmed it played to the end
+      playback: null, // Assistant item being played: { itemId, contentIndex, sentMs, startedAt }
+      interruptedItemId: null, // Assistant item cut off by barge-in (late audio is dropped)
+      toolCalls: [], // Log of every tool call made during the call
+      runningToolCalls: 0, // Tool handlers still executing
+      toolOutputsPending: false, // Tool outputs sent but no response requested for them yet
+      itemStartedAt: new Map(), // Conversation item ID -> when the turn started (for transcripts)
+      endRecorded: false, // Call end written to the call store
+      // Profiles can opt out of recording (e.g. numbers in jurisdictions that require consent)
+      recorder: RECORDING_ENABLED && profile.recording !== false ? new CallRecorder(callId) : null,
+      lifecycle: new CallStateMachine(callId, () => armInactivityTimer(callId, session)), // alerting -> connected -> streaming -> ended
+      inactivityTimer: null, // Ends calls stuck waiting on the scenario
+      connectedAt: null, // Call answered (CallConnected) - for time-to-first-audio
+      firstAudioSentAt: null // First agent audio sent to the caller
+    };
+    configureAudio(callId, session, callInfo.mediaFormat || DEFAULT_MEDIA_FORMAT);
+    sessions.set(callId, session);
+    armInactivityTimer(callId, session);
 
-    // WebSocket event handlers
-    ws.on('open', () => {
-      console.log(`✅ OpenAI Realtime WebSocket connected for ${callId}`);
-      
-      // Send session configuration
-      // Telnyx media streaming sends PCM16 at 8kHz (based on their docs)
-      // OpenAI Realtime requires PCM16 at 24kHz, so we need to configure for 24kHz
-      // However, we'll try pcm16 first and see if OpenAI can handle 8kHz
-      ws.send(JSON.stringify({
-        type: 'session.update',
-        session: {
-          modalities: ['text', 'audio'],
-          instructions: 'You are a helpful AI assistant. Be concise and natural in conversation.',
-          voice: 'alloy',
-          input_audio_format: 'pcm16', // Try PCM16 - OpenAI expects 24kHz but might accept 8kHz
-          input_audio_transcription: {
-            model: 'whisper-1'
-          },
-          output_audio_format: 'pcm16', // Output PCM16
-          turn_detection: {
-            type: 'server_vad',
-            threshold: 0.5,
-            prefix_padding_ms: 300,
-            silence_duration_ms: 500
-          },
-          temperature: 0.8,
-          max_response_output_tokens: 4096
-        }
-      }));
+    // A pre-rendered greeting doesn't need OpenAI - queue it now so it plays the moment the media socket connects
+    // (unless it has to wait for answering machine detection)
+    if (profile.greeting.mode === 'audio' && session.machineDetection.state === 'off') {
+      session.greetingAudio = queueGreetingAudio(callId, session, profile.greeting.audioFile);
+    }
+
+    // Look the other party up while OpenAI connects - bounded by CALLER_LOOKUP_TIMEOUT_MS, so it can't hold up the greeting
+    const callerLookup = lookupCaller({
+      phone: session.direction === 'outbound' ? session.calleeId : session.callerId,
+      callId,
+      direction: session.direction,
+      callerId: session.callerId,
+      calleeId: session.calleeId
     });
 
-    ws.on('message', (data) => {
-      try {
-        const message = JSON.parse(data.toString());
-        
-        switch (message.type) {
-          case 'session.updated':
-            // Session is now ready
-            console.log(`✅ OpenAI session configured for ${callId}`);
-            const session = sessions.get(callId);
-            if (session) {
-              session.sessionReady = true;
-              
-              // Send greeting immediately - create a simple user message to trigger AI response
-              // Using a minimal trigger phrase that will make the AI greet naturally
-              ws.send(JSON.stringify({
-                type: 'conversation.item.create',
-                item: {
-                  type: 'message',
-                  role: 'user',
-                  content: [
-                    {
-                      type: 'input_text',
-                      text: 'hello' // Simple trigger to get AI to respond with greeting
-                    }
-                  ]
-                }
-              }));
-              
-              console.log(`🎤 Sent trigger message for greeting (${callId})`);
-              
-              // If we have a pending media stream start, do it now
-              if (session.pendingMediaStart && session.pendingCallControlId) {
-                console.log(`🔄 Starting pending media stream for ${callId}`);
-                startMediaStream(session.pendingCallControlId).catch(error => {
-                  console.error(`❌ Error starting pending media stream for ${callId}:`, error);
-                });
-                session.pendingMediaStart = false;
-                session.pendingCallControlId = null;
-              }
-            }
-            break;
-          
-          case 'conversation.item.created':
-            // Conversation item was created, now request audio response
-            console.log(`✅ Conversation item created for ${callId}`, JSON.stringify(message).substring(0, 200));
-            const sessionForResponse = sessions.get(callId);
-            
-            // Only request response for user messages, and only if no active response exists
-            if (sessionForResponse && sessionForResponse.openaiWs && 
-                message.item && message.item.role === 'user' && 
-                !sessionForResponse.hasActiveResponse) {
-              // Request audio response
-              sessionForResponse.openaiWs.send(JSON.stringify({
-                type: 'response.create',
-                response: {
-                  modalities: ['audio', 'text'] // Must include both audio and text
-                }
-              }));
-              sessionForResponse.hasActiveResponse = true; // Mark as active
-              console.log(`🎤 Requested audio+text response for ${callId}`);
-            } else if (sessionForResponse && sessionForResponse.hasActiveResponse) {
-              console.log(`⚠️  Skipping response.create - already has active response for ${callId}`);
+    connectOpenAI(callId, session, callerLookup);
+
+  } catch (error) {
+    log.error('Error starting OpenAI session', { callId, event: 'openai.error', error });
+    recordOpenAIConnection(false);
+    endCall(callId, 'openai_error');
+  }
+}
+
+/**
+ * Connect the call's model backend (profile `backend`) and configure it from the call's profile
+ * Used for the first connection and for every reconnect (then the conversation so far is replayed)
+ * @param {string} callId - Call ID
+ * @param {Object} session - Call session
+ * @param {Promise<Object>} [callerLookup] - Caller lookup in progress (first connection only)
+ */
+function connectOpenAI(callId, session, callerLookup = null) {
+  const profile = session.profile;
+  log.info('Starting Realtime session', {
+    callId,
+    event: 'openai.connecting',
+    backend: profile.backend.type,
+    model: profile.backend.type === 'pipeline' ? profile.backend.llm.model : profile.model,
+    attempt: session.openaiRecovery.attempts
+  });
+
+  const backend = createBackend(profile, { callId });
+  session.backend = backend;
+  const connectingAt = Date.now();
+
+  // A connect that hangs (or a session that is never configured) neither closes nor errors - without this the call
+  // would wait forever instead of retrying or falling back. The attempt is dropped and counts as failed
+  let abandoned = false;
+  const connectTimer = setTimeout(() => {
+    if (sessions.get(callId) !== session || session.backend !== backend || session.sessionReady) {
+      return;
+    }
+    abandoned = true;
+    log.warn('Realtime backend not ready in time', { callId, event: 'openai.connect_timeout', timeoutMs: OPENAI_CONNECT_TIMEOUT_MS, attempt: session.openaiRecovery.attempts });
+    backend.close();
+    recordOpenAIConnection(false);
+    if (session.openaiRecovery.state === 'reconnecting') {
+      handleOpenAIDisconnect(callId, session);
+      return;
+    }
+    endCall(callId, 'openai_timeout');
+  }, OPENAI_CONNECT_TIMEOUT_MS);
+
+  // Backend event handlers
+  backend.on('open', async () => {
+    log.info('Realtime backend connected', { callId, event: 'openai.connected', latencyMs: Date.now() - connectingAt });
+
+    const caller = callerLookup ? await callerLookup : {};
+    if (!backend.isOpen) {
+      return;
+    }
+    if (Object.keys(caller).length > 0) {
+      session.caller = caller;
+      // Context given explicitly (outbound request, campaign row) wins over the CRM
+      session.variables = { ...caller, ...session.variables };
+      trackWrite(callStore.updateCall(callId, { caller }))
+        .catch(error => log.error('Error storing caller lookup', { callId, event: 'store.error', error }));
+    }
+    
+    // Send session configuration from the call's agent profile
+    // Audio format matches the call where possible (G.711 passes through), otherwise PCM16 24kHz
+    const sessionConfig = buildSessionConfig(profile, getToolDefinitions(getProfileToolNames(profile, session.direction)), session.audioPath.openaiFormat, {
+      direction: session.direction,
+      variables: session.variables
+    });
+    session.instructions = sessionConfig.instructions;
+    backend.configure(sessionConfig);
+
+    // A new session after a drop starts empty - give it the conversation so far
+    if (session.openaiRecovery.state === 'reconnecting') {
+      replayHistory(backend, session);
+    }
+  });
+
+  backend.on('event', (message) => {
+    // A backend replaced by a reconnect (or given up on) has nothing more to say about the call
+    if (session.backend !== backend || abandoned) {
+      return;
+    }
+    try {
+      switch (message.type) {
+        case 'session.updated':
+          // Session is now ready
+          log.debug('OpenAI session updated', { callId, event: 'openai.session_updated' });
+          if (sessions.get(callId) === session) {
+            if (!session.sessionReady) {
+              const setupMs = Date.now() - connectingAt;
+              log.info('OpenAI session ready', { callId, event: 'openai.ready', latencyMs: setupMs });
+              openaiSessionSetup.observe({}, setupMs / 1000);
+              recordOpenAIConnection(true);
             }
-            break;
-          
-          case 'response.created':
-            console.log(`🎬 Response created for ${callId}`, JSON.stringify(message, null, 2).substring(0, 500));
-            // Response is created, audio should start flowing soon
-            break;
-          
-          case 'response.output_item.added':
-            console.log(`📦 Response output item added for ${callId}:`, JSON.stringify(message).substring(0, 300));
-            break;
-          
-          case 'response.output_item.done':
-            console.log(`✅ Response output item done for ${callId}:`, JSON.stringify(message).substring(0, 300));
-            break;
-          
-          case 'response.output_item.added':
-            console.log(`📦 Response output item added for ${callId}`);
-            break;
-          
-          case 'response.output_item.done':
-            console.log(`✅ Response output item done for ${callId}`);
-            break;
-          
-          case 'response.audio_transcript.delta':
-            // Text transcript while audio is being generated
-            if (message.delta) {
-              process.stdout.write(message.delta);
+            session.sessionReady = true;
+            if (session.openaiRecovery.state === 'reconnecting') {
+              resumeAfterReconnect(callId, session);
             }
-            break;
-          
-          case 'response.audio_transcript.done':
-            console.log(`\n🤖 AI transcript: ${message.transcript}`);
-            break;
+            sendGreeting(callId, session).catch(error => {
+              log.error('Error sending greeting', { callId, event: 'greeting.error', error });
+            });
+          }
+          break;
+        
+        case 'conversation.item.created':
+          // Conversation item was created, now request audio response
+          log.debug('Conversation item created', { callId, event: 'openai.item_created', itemId: message.item?.id, role: message.item?.role, itemType: message.item?.type });
+          const sessionForResponse = sessions.get(callId);
           
-          case 'response.audio.delta':
-          case 'response.output_audio.delta':
-            // Audio chunk from OpenAI - SEND THIS TO TELNYX!
-            if (message.delta) {
-              try {
-                const audioBuffer = Buffer.from(message.delta, 'base64');
-                console.log(`📥 Received ${audioBuffer.length} bytes audio from OpenAI (${callId})`);
-                
-                // Resample 24kHz to 8kHz for Telnyx
-                const resampledAudio = resample24kHzTo8kHz(audioBuffer);
-                if (resampledAudio.length > 0) {
-                  // Send directly to Telnyx WebSocket if available
-                  sendAudioToTelnyx(callId, resampledAudio);
-                }
-              } catch (error) {
-                console.error(`❌ Error processing audio delta for ${callId}:`, error);
+          // Only request response for user messages, and only if no active response exists
+          if (sessionForResponse && sessionForResponse.backend && 
+              message.item && message.item.role === 'user' && 
+              !sessionForResponse.hasActiveResponse) {
+            // Request audio response
+            sessionForResponse.backend.createResponse();
+            sessionForResponse.hasActiveResponse = true; // Mark as active
+            log.debug('Requested response', { callId, event: 'openai.response_requested' });
+          } else if (sessionForResponse && sessionForResponse.hasActiveResponse) {
+            log.debug('Skipping response.create - response already active', { callId, event: 'openai.response_skipped' });
+          }
+          break;
+        
+        case 'response.created':
+          log.debug('Response created', { callId, event: 'openai.response_created', responseId: message.response?.id });
+          // Response is created, audio should start flowing soon
+          break;
+        
+        case 'response.output_item.added':
+          log.debug('Response output item added', { callId, event: 'openai.output_item_added', itemId: message.item?.id, itemType: message.item?.type });
+          markTurnStarted(callId, message.item?.id);
+          break;
+        
+        case 'response.output_item.done':
+          log.debug('Response output item done', { callId, event: 'openai.output_item_done', itemId: message.item?.id });
+          break;
+        
+        case 'response.audio_transcript.done':
+          log.debug('Agent transcript', { callId, event: 'transcript.agent', itemId: message.item_id, transcript: message.transcript });
+          recordTurn(callId, 'agent', message.transcript, message.item_id);
+          break;
+        
+        case 'conversation.item.input_audio_transcription.completed':
+          log.debug('Caller transcript', { callId, event: 'transcript.caller', itemId: message.item_id, transcript: message.transcript });
+          recordTurn(callId, 'caller', message.transcript, message.item_id);
+          break;
+        
+        case 'conversation.item.input_audio_transcription.failed':
+          log.warn('Caller transcription failed', { callId, event: 'transcript.failed', error: message.error?.message });
+          break;
+        
+        case 'response.audio.delta':
+        case 'response.output_audio.delta':
+          // Audio chunk from OpenAI - SEND THIS TO TELNYX!
+          if (message.delta) {
+            try {
+              const sessionForAudio = sessions.get(callId);
+              if (!sessionForAudio || message.item_id === sessionForAudio.interruptedItemId) {
+                break; // Caller interrupted this item - don't play the rest
               }
+              if (!sessionForAudio.playback || sessionForAudio.playback.itemId !== message.item_id) {
+                sessionForAudio.playback = {
+                  itemId: message.item_id,
+                  contentIndex: message.content_index || 0,
+                  sentMs: 0,
+                  startedAt: null
+                };
+              }
+              
+              const audioBuffer = Buffer.from(message.delta, 'base64');
+              log.trace('Audio from OpenAI', { callId, event: 'openai.audio_delta', bytes: audioBuffer.length });
+              
+              // Convert to the call's format (untouched if both sides use the same G.711 law)
+              const resampledAudio = sessionForAudio.audioPath.fromOpenAI(audioBuffer);
+              if (resampledAudio.length > 0) {
+                // Send directly to Telnyx WebSocket if available
+                sendAudioToTelnyx(callId, resampledAudio);
+              }
+            } catch (error) {
+              log.error('Error processing audio delta', { callId, event: 'audio.conversion_error', direction: 'outbound', error });
+              audioConversionErrors.inc({ direction: 'outbound' });
             }
-            break;
-          
-          case 'response.audio.done':
-            console.log(`🎵 Audio response complete for ${callId}`);
-            break;
-          
-          case 'response.done':
-            console.log(`✅ Response complete for ${callId}`, JSON.stringify(message, null, 2).substring(0, 500));
-            // Reset active response flag
-            const sessionDone = sessions.get(callId);
-            if (sessionDone) {
-              sessionDone.hasActiveResponse = false;
-            }
-            break;
-          
-          case 'error':
-            console.error(`❌ OpenAI error for ${callId}:`, JSON.stringify(message, null, 2));
-            break;
-          
-          case 'conversation.item.input_audio_buffer.speech_started':
-            console.log(`👤 User started speaking for ${callId}`);
-            break;
-          
-          case 'conversation.item.input_audio_buffer.speech_stopped':
-            console.log(`👤 User stopped speaking for ${callId}`);
-            break;
-          
-          case 'conversation.item.input_audio_buffer.committed':
-            console.log(`✅ Audio buffer committed for ${callId}`);
-            break;
-          
-          case 'error':
-            console.error(`❌ OpenAI error for ${callId}:`, JSON.stringify(message, null, 2));
-            break;
-          
-          default:
-            // Log ALL OpenAI messages for debugging (temporarily)
-            if (message.type) {
-              console.log(`ℹ️  OpenAI message: ${message.type} for ${callId}`, JSON.stringify(message).substring(0, 300));
+          }
+          break;
+        
+        case 'response.audio.done':
+          log.debug('Audio response complete', { callId, event: 'openai.audio_done' });
+          break;
+        
+        case 'response.done':
+          log.debug('Response complete', { callId, event: 'openai.response_done', responseId: message.response?.id, status: message.response?.status, usage: message.response?.usage });
+          // Reset active response flag
+          const sessionDone = sessions.get(callId);
+          if (sessionDone) {
+            sessionDone.hasActiveResponse = false;
+            const mark = queueResponseMark(callId, sessionDone, message.response?.id || `response_${Date.now()}`);
+            if (sessionDone.machineDetection.messageStarted) {
+              hangUpAfterVoicemail(callId, sessionDone, mark);
+              break;
             }
-            break;
-        }
-      } catch (error) {
-        console.error(`❌ Error parsing OpenAI message for ${callId}:`, error);
+            // Tool results that arrived while the response was active still need an answer
+            requestToolResponse(callId);
+          }
+          break;
+        
+        case 'response.function_call_arguments.done':
+          // Model wants to call a tool - run it without blocking the message loop
+          handleFunctionCall(callId, message);
+          break;
+        
+        case 'error':
+          log.error('OpenAI error event', { callId, event: 'openai.error_event', code: message.error?.code, errorType: message.error?.type, error: message.error?.message });
+          openaiErrors.inc({ code: message.error?.code || message.error?.type || 'unknown' });
+          break;
+        
+        case 'input_audio_buffer.speech_started':
+          log.debug('Caller started speaking', { callId, event: 'vad.speech_started' });
+          markTurnStarted(callId, message.item_id);
+          handleBargeIn(callId);
+          break;
+        
+        case 'input_audio_buffer.speech_stopped':
+          log.debug('Caller stopped speaking', { callId, event: 'vad.speech_stopped' });
+          break;
+        
+        case 'input_audio_buffer.committed':
+          log.debug('Audio buffer committed', { callId, event: 'openai.audio_committed' });
+          // A turn the local VAD found gets its item ID now
+          const sessionForTurn = sessions.get(callId);
+          if (sessionForTurn?.localTurnStartedAt) {
+            markTurnStarted(callId, message.item_id, sessionForTurn.localTurnStartedAt);
+            sessionForTurn.localTurnStartedAt = null;
+          }
+          break;
+        
+        default:
+          if (message.type) {
+            log.trace(`OpenAI message ${message.type}`, { callId, event: 'openai.message', messageType: message.type }, 1);
+          }
+          break;
       }
+    } catch (error) {
+      log.error('Error handling Realtime event', { callId, event: 'openai.message_error', error });
+    }
+  });
+
+  backend.on('error', (error) => {
+    log.error('Realtime backend error', { callId, event: 'openai.socket_error', error });
+  });
+
+  backend.on('close', (code) => {
+    log.info('Realtime backend closed', { callId, event: 'openai.closed', code });
+    websocketCloses.inc({ socket: 'openai', code });
+    clearTimeout(connectTimer);
+    if (sessions.get(callId) !== session || session.backend !== backend || abandoned) {
+      return;
+    }
+
+    // Closed under a live call before the session came up - counts against OpenAI health
+    const wasReady = session.sessionReady;
+    if (!wasReady) {
+      recordOpenAIConnection(false);
+    }
+    // Mid-call (or a reconnect attempt that failed) - keep the caller on the line and try again
+    if (wasReady || session.openaiRecovery.state === 'reconnecting') {
+      handleOpenAIDisconnect(callId, session);
+      return;
+    }
+    endCall(callId, 'openai_closed');
+  });
+
+  backend.connect();
+}
+
+/**
+ * The OpenAI socket dropped under a live call - reconnect with backoff, or fall back once the attempts run out
+ * The caller hears the profile's recovery message once per outage; their audio is buffered meanwhile (handleInboundAudio)
+ * @param {string} callId - Call ID
+ * @param {Object} session - Call session
+ */
+function handleOpenAIDisconnect(callId, session) {
+  const recovery = session.openaiRecovery;
+  session.sessionReady = false;
+  session.hasActiveResponse = false;
+  session.toolOutputsPending = false;
+  session.playback = null; // Its item is gone with the old session - nothing to truncate on barge-in
+  session.pacer.endResponse(); // No more audio is coming for it - not an underrun
+
+  // Half a voicemail can't be picked up again
+  if (session.machineDetection.messageStarted) {
+    endCall(callId, 'openai_closed');
+    return;
+  }
+
+  if (recovery.state !== 'reconnecting') {
+    recovery.state = 'reconnecting';
+    recovery.attempts = 0;
+    recovery.since = Date.now();
+    recovery.audio = [];
+    recovery.audioMs = 0;
+    recovery.disconnects++;
+    log.warn('OpenAI disconnected mid-call - reconnecting', { callId, event: 'openai.disconnected', disconnects: recovery.disconnects });
+
+    const { message } = buildRecoveryMessages(session.profile, session.variables);
+    if (message) {
+      sendControlMessage(callId, { event: 'say', text: message });
+    }
+  }
+
+  if (recovery.attempts >= OPENAI_RECONNECT_ATTEMPTS) {
+    failOpenAIRecovery(callId, session);
+    return;
+  }
+
+  recovery.attempts++;
+  const delayMs = Math.min(OPENAI_RECONNECT_DELAY_MS * 2 ** (recovery.attempts - 1), OPENAI_RECONNECT_MAX_DELAY_MS);
+  recovery.timer = setTimeout(() => {
+    if (sessions.get(callId) !== session) {
+      return;
+    }
+    try {
+      connectOpenAI(callId, session);
+    } catch (error) {
+      log.error('Error reconnecting to OpenAI', { callId, event: 'openai.error', error });
+      recordOpenAIConnection(false);
+      handleOpenAIDisconnect(callId, session);
+    }
+  }, delayMs);
+}
+
+/**
+ * Replay the conversation so far into a new session (the most recent turns, each trimmed)
+ * @param {Object} backend - New model backend
+ * @param {Object} session - Call session
+ */
+function replayHistory(backend, session) {
+  const turns = session.history.slice(-RECOVERY_HISTORY_TURNS);
+  const omitted = session.history.length - turns.length;
+
+  const items = turns.map(turn => {
+    const text = turn.text.length > RECOVERY_HISTORY_TURN_CHARS ? `${turn.text.slice(0, RECOVERY_HISTORY_TURN_CHARS)}…` : turn.text;
+    return turn.speaker === 'agent'
+      ? { type: 'message', role: 'assistant', content: [{ type: 'text', text }] }
+      : { type: 'message', role: 'user', content: [{ type: 'input_text', text }] };
+  });
+  if (omitted > 0) {
+    items.unshift({
+      type: 'message',
+      role: 'system',
+      content: [{ type: 'input_text', text: `This call started earlier - ${omitted} earlier turn(s) of the conversation are not shown.` }]
     });
+  }
+
+  for (const item of items) {
+    backend.addItem(item);
+  }
+}
+
+/**
+ * A reconnect came up - send the caller audio from the gap and let the model pick the conversation back up
+ * @param {string} callId - Call ID
+ * @param {Object} session - Call session
+ */
+function resumeAfterReconnect(callId, session) {
+  const recovery = session.openaiRecovery;
+  log.info('OpenAI session recovered', { callId, event: 'openai.recovered', attempts: recovery.attempts, latencyMs: Date.now() - recovery.since, bufferedMs: recovery.audioMs });
+  openaiReconnects.inc({ result: 'ok' });
+
+  recovery.state = 'connected';
+  recovery.attempts = 0;
+  recovery.reconnects++;
+  clearTimeout(recovery.timer);
+
+  for (const { chunk } of recovery.audio) {
+    session.backend.appendAudio(chunk);
+  }
+  recovery.audio = [];
+  recovery.audioMs = 0;
+
+  // Before the greeting (e.g. still detecting an answering machine) sendGreeting opens the call as usual
+  if (session.greetingSent) {
+    requestResponse(callId, session, 'The line dropped for a few seconds and the caller was asked to hold. Thank them briefly for waiting and continue the conversation where it left off.');
+  }
+}
+
+/**
+ * Reconnecting gave up - transfer the caller (profile fallback 'transfer') or say goodbye and hang up
+ * @param {string} callId - Call ID
+ * @param {Object} session - Call session
+ */
+function failOpenAIRecovery(callId, session) {
+  const recovery = session.openaiRecovery;
+  const settings = buildRecoveryMessages(session.profile, session.variables);
+  recovery.state = 'failed';
+  recovery.audio = [];
+  recovery.audioMs = 0;
+  openaiReconnects.inc({ result: 'failed' });
+  log.error(`OpenAI reconnect failed - falling back to ${settings.fallback}`, { callId, event: 'openai.recovery_failed', attempts: recovery.attempts, latencyMs: Date.now() - recovery.since });
+
+  if (settings.fallback === 'transfer') {
+    try {
+      if (settings.fallbackMessage) {
+        sendControlMessage(callId, { event: 'say', text: settings.fallbackMessage });
+      }
+      transferCall(callId, { reason: 'openai_unavailable' });
+      return;
+    } catch (error) {
+      log.warn('Fallback transfer failed - hanging up', { callId, event: 'openai.recovery_transfer_failed', error: error.message });
+    }
+  }
+  hangUpAfterRecoveryFailure(callId, session, settings.fallback === 'hangup' ? settings.fallbackMessage : null);
+}
+
+/**
+ * Say goodbye (the scenario hangs up when the prompt ends) - or hang up right away when there is nothing to say
+ * @param {string} callId - Call ID
+ * @param {Object} session - Call session
+ * @param {string|null} message - Goodbye prompt
+ */
+function hangUpAfterRecoveryFailure(callId, session, message) {
+  if (!message || !sendControlMessage(callId, { event: 'say', text: message, hangup: true })) {
+    sendControlMessage(callId, { event: 'hangup' });
+    endCall(callId, 'openai_unavailable');
+    return;
+  }
+
+  clearTimeout(session.openaiRecovery.timer);
+  session.openaiRecovery.timer = setTimeout(() => {
+    sendControlMessage(callId, { event: 'hangup' });
+    endCall(callId, 'openai_unavailable');
+  }, RECOVERY_HANGUP_TIMEOUT_MS);
+}
+
+/**
+ * Answering machine detector event for a call
+ * @param {string} callId - Call ID
+ * @param {Object} session - Call session
+ * @param {string} type - 'result' or 'beep'
+ * @param {Object} details - { result, reason, atMs } or { frequency, atMs }
+ */
+function handleMachineDetection(callId, session, type, details) {
+  const detection = session.machineDetection;
+  if (sessions.get(callId) !== session) {
+    return;
+  }
+
+  if (type === 'beep') {
+    detection.beepAtMs = detection.beepAtMs ?? details.atMs;
+    log.info('Answering machine beep', { callId, event: 'amd.beep', frequency: details.frequency, atMs: details.atMs });
+    if (detection.state === 'machine' && detection.action === 'voicemail') {
+      leaveVoicemail(callId, session);
+    }
+    return;
+  }
+
+  if (detection.state !== 'detecting') {
+    return;
+  }
+  applyMachineResult(callId, session, details.result, details.reason, details.atMs);
+}
+
+/**
+ * Act on an answering machine decision (from the detector, or the scenario's AMD if it answers first)
+ * @param {string} callId - Call ID
+ * @param {Object} session - Call session
+ * @param {string} result - 'human', 'machine' or 'unknown'
+ * @param {string} reason - Which rule decided
+ * @param {number} atMs - Audio analysed before the decision
+ */
+function applyMachineResult(callId, session, result, reason, atMs) {
+  const detection = session.machineDetection;
+  const settings = session.profile.answeringMachine;
+
+  detection.state = result;
+  detection.result = result;
+  detection.reason = reason;
+  detection.decidedAtMs = atMs;
+  detection.action = result === 'machine' ? settings.action : 'continue';
+  log.info('Answering machine detection', { callId, event: 'amd.result', result, reason, atMs, action: detection.action });
+
+  recordMachineDetection(callId, session);
+  if (session.outbound && !session.outbound.amd) {
+    session.outbound.amd = { result, confidence: null, source: 'server' };
+    notifyCallStatus(callId, 'amd');
+  }
+
+  if (result !== 'machine' || detection.action === 'continue') {
+    // Only the beep still matters once the call goes ahead as normal
+    detection.detector?.stop();
+    if (session.sessionReady) {
+      sendGreeting(callId, session).catch(error => {
+        log.error('Error sending greeting', { callId, event: 'greeting.error', error });
+      });
+    }
+    return;
+  }
+
+  if (detection.action === 'hangup') {
+    sendControlMessage(callId, { event: 'hangup' });
+    endCall(callId, 'answering_machine');
+    return;
+  }
+
+  // Voicemail: the beep may already have been heard; otherwise don't wait for it forever
+  if (detection.beepAtMs !== null) {
+    leaveVoicemail(callId, session);
+    return;
+  }
+  detection.timer = setTimeout(() => {
+    log.info('No beep heard - leaving the message anyway', { callId, event: 'amd.beep_timeout', timeoutMs: settings.beepTimeoutMs });
+    leaveVoicemail(callId, session);
+  }, settings.beepTimeoutMs);
+}
+
+/**
+ * Store the detection result on the call record
+ * @param {string} callId - Call ID
+ * @param {Object} session - Call session
+ */
+function recordMachineDetection(callId, session) {
+  const { result, reason, decidedAtMs, beepAtMs, action, messageStarted } = session.machineDetection;
+  trackWrite(callStore.updateCall(callId, {
+    answeringMachine: { result, reason, decidedAtMs, beepAtMs, action, voicemailLeft: messageStarted }
+  })).catch(error => log.error('Error storing answering machine result', { callId, event: 'store.error', error }));
+}
+
+/**
+ * Speak the profile's voicemail message (or one the model writes), then hang up
+ * @param {string} callId - Call ID
+ * @param {Object} session - Call session
+ */
+function leaveVoicemail(callId, session) {
+  const detection = session.machineDetection;
+  if (detection.messageStarted || sessions.get(callId) !== session) {
+    return;
+  }
+  clearTimeout(detection.timer);
+  detection.detector?.stop();
+
+  if (!session.sessionReady) {
+    detection.messageDue = true; // sendGreeting leaves it when OpenAI is ready
+    return;
+  }
+  detection.messageDue = false;
+  session.greetingSent = true;
+
+  const message = buildVoicemailMessage(session.profile, session.variables);
+  const started = requestResponse(callId, session, message
+    ? `You reached voicemail and the recording has started. Say exactly this, word for word, and nothing else: "${message}"`
+    : 'You reached voicemail and the recording has started. Leave a short message: who you are, why you called and how to reach you, then say goodbye.');
+  if (!started) {
+    endCall(callId, 'answering_machine');
+    return;
+  }
+
+  detection.messageStarted = true;
+  recordMachineDetection(callId, session);
+  log.info('Leaving voicemail', { callId, event: 'amd.voicemail' });
+}
+
+/**
+ * The voicemail response is done - hang up once the caller's side has played it
+ * (when its mark comes back, or when the audio still queued should have played for scenarios that don't echo marks)
+ * @param {string} callId - Call ID
+ * @param {Object} session - Call session
+ * @param {string|null} mark - Mark queued behind the voicemail (see queueResponseMark)
+ */
+function hangUpAfterVoicemail(callId, session, mark) {
+  const remainingMs = session.pacer.bufferedMs;
+
+  session.machineDetection.hangupMark = mark;
+  clearTimeout(session.machineDetection.timer);
+  session.machineDetection.timer = setTimeout(() => {
+    sendControlMessage(callId, { event: 'hangup' });
+    endCall(callId, 'voicemail_left');
+  }, remainingMs + 500);
+}
+
+/**
+ * Open the call as the profile's greeting mode says (see normalizeGreeting in agent-profiles.js)
+ * Runs once per call, when the OpenAI session is first configured
+ * @param {string} callId - Call ID
+ * @param {Object} session - Call session
+ */
+async function sendGreeting(callId, session) {
+  // Reached a machine and the beep came before OpenAI was ready - the voicemail replaces the greeting
+  if (session.machineDetection.messageDue) {
+    leaveVoicemail(callId, session);
+    return;
+  }
+  // Talking over a voicemail greeting is what detection is for - greet once it says human
+  const detection = session.machineDetection;
+  if (session.greetingSent || (['detecting', 'machine'].includes(detection.state) && detection.action !== 'continue')) {
+    return;
+  }
+  session.greetingSent = true;
+
+  // Filled now, so caller lookup results can be used in the greeting
+  const greeting = buildGreeting(session.profile, session.variables);
+
+  if (greeting.mode === 'wait') {
+    log.info('Waiting for the caller to speak first', { callId, event: 'greeting.wait' });
+    return;
+  }
+
+  if (greeting.mode === 'audio' && !session.greetingAudio) {
+    session.greetingAudio = queueGreetingAudio(callId, session, greeting.audioFile);
+  }
+  if (greeting.mode === 'audio' && await session.greetingAudio) {
+    // Already playing - tell the model what it said, so it doesn't greet a second time
+    if (greeting.text && session.backend.isOpen) {
+      session.backend.addItem({
+        type: 'message',
+        role: 'assistant',
+        content: [{ type: 'text', text: greeting.text }]
+      });
+      recordTurn(callId, 'agent', greeting.text, null);
+    }
+    return;
+  }
+
+  // Audio greetings that couldn't be loaded fall back to their text, or to a generated greeting
+  if (greeting.text && greeting.mode !== 'generated') {
+    requestResponse(callId, session, `Start the call by saying exactly this, word for word, and nothing else: "${greeting.text}"`);
+    log.info('Requested scripted greeting', { callId, event: 'greeting.scripted' });
+    return;
+  }
+
+  requestResponse(callId, session, `Start the call now. ${greeting.instructions}`);
+  log.info('Requested generated greeting', { callId, event: 'greeting.generated' });
+}
+
+/**
+ * Ask the model for a response the server starts (greeting, voicemail), on top of the session's instructions
+ * (response-level instructions replace the session's for that response)
+ * @param {string} callId - Call ID
+ * @param {Object} session - Call session
+ * @param {string} responseInstructions - What to say
+ * @returns {boolean} - True if the response was requested
+ */
+function requestResponse(callId, session, responseInstructions) {
+  if (!session.backend.isOpen || session.hasActiveResponse) {
+    log.warn(`Cannot start a response - ${session.hasActiveResponse ? 'response already active' : 'OpenAI not connected'}`, { callId, event: 'openai.response_blocked' });
+    return false;
+  }
+
+  session.backend.createResponse({ instructions: `${session.instructions}\n\n${responseInstructions}` });
+  session.hasActiveResponse = true;
+  return true;
+}
+
+/**
+ * Queue a pre-rendered greeting for the caller (sent as soon as the media socket connects)
+ * @param {string} callId - Call ID
+ * @param {Object} session - Call session
+ * @param {string} file - WAV file in GREETINGS_DIR
+ * @returns {Promise<boolean>} - True if the greeting was queued
+ */
+async function queueGreetingAudio(callId, session, file) {
+  let audio;
+  try {
+    audio = await loadGreetingAudio(file, session.mediaFormat);
+  } catch (error) {
+    log.error('Could not load greeting audio', { callId, event: 'greeting.audio_error', file, error: error.message });
+    return false;
+  }
+  if (sessions.get(callId) !== session) {
+    return false; // Call ended while the file loaded
+  }
+
+  // No conversation item behind it - barge-in still clears it, but has nothing to truncate
+  session.playback = { itemId: null, contentIndex: 0, sentMs: 0, startedAt: null };
+
+  sendAudioToTelnyx(callId, audio);
+  queueResponseMark(callId, session, 'greeting');
+
+  log.info('Queued greeting audio', { callId, event: 'greeting.audio', file, durationMs: Math.round(audio.length / bytesPerMs(session.mediaFormat)) });
+  return true;
+}
+
+/**
+ * Remember when a conversation item started, so its turn gets the right timestamp
+ * even though its transcript arrives later
+ * @param {string} callId - Call ID
+ * @param {string} itemId - Conversation item ID
+ * @param {Date} [startedAt] - When it started (default now)
+ */
+function markTurnStarted(callId, itemId, startedAt = new Date()) {
+  const session = sessions.get(callId);
+  if (session && itemId && !session.itemStartedAt.has(itemId)) {
+    session.itemStartedAt.set(itemId, startedAt);
+  }
+}
+
+/**
+ * Store a transcript turn
+ * @param {string} callId - Call ID
+ * @param {string} speaker - 'caller' or 'agent'
+ * @param {string} text - Transcript text
+ * @param {string} itemId - Conversation item ID
+ */
+function recordTurn(callId, speaker, text, itemId) {
+  const session = sessions.get(callId);
+  if (!session || !text) {
+    return;
+  }
+
+  const endedAt = new Date();
+  const startedAt = session.itemStartedAt.get(itemId) || endedAt;
+  session.itemStartedAt.delete(itemId);
+
+  const turn = {
+    speaker,
+    text: text.trim(),
+    itemId: itemId || null,
+    startedAt: startedAt.toISOString(),
+    endedAt: endedAt.toISOString(),
+    offsetMs: startedAt - session.startedAt
+  };
+  if (speaker === 'agent' && itemId && itemId === session.interruptedItemId) {
+    turn.interrupted = true; // Caller barged in - they didn't hear all of it
+  }
+  session.history.push({ speaker, text: turn.text });
+
+  trackWrite(callStore.appendTurn(callId, turn)).catch(error => {
+    log.error('Error storing transcript turn', { callId, event: 'store.error', error });
+  });
+}
+
+/**
+ * Write the end of the call to the call store (once per call)
+ * @param {string} callId - Call ID
+ * @param {Object} session - Call session
+ * @param {string} reason - Why the call ended
+ */
+function recordCallEnded(callId, session, reason) {
+  if (session.endRecorded) {
+    return;
+  }
+  session.endRecorded = true;
+
+  const endedAt = new Date();
+  trackWrite(callStore.updateCall(callId, {
+    endedAt: endedAt.toISOString(),
+    durationMs: endedAt - session.startedAt,
+    endReason: reason,
+    toolCalls: session.toolCalls,
+    transfer: session.transfer || null,
+    openaiDisconnects: session.openaiRecovery.disconnects,
+    openaiReconnects: session.openaiRecovery.reconnects,
+    gatedAudioMs: Math.round(session.gatedAudioMs),
+    outboundAudio: { ...session.pacer.toJSON(), responsesHeard: session.responsesHeard }
+  })).catch(error => log.error('Error storing end of call', { callId, event: 'store.error', error }));
+
+  if (session.recorder) {
+    trackWrite(session.recorder.finish()
+      .then(recording => recording && callStore.updateCall(callId, { recording })))
+      .catch(error => log.error('Error saving recording', { callId, event: 'recording.error', error }));
+  }
+}
+
+/**
+ * Tool names offered to the model for a profile (profile tools plus built-ins it has configured)
+ * @param {Object} profile - Agent profile
+ * @param {string} [direction] - 'outbound' adds opt_out
+ * @returns {string[]} - Tool names
+ */
+function getProfileToolNames(profile, direction = 'inbound') {
+  const names = [...profile.tools];
+  if (profile.transfer && profile.transfer.target) {
+    names.push('transfer_call');
+  }
+  if (direction === 'outbound') {
+    names.push('opt_out');
+  }
+  if (profile.dtmf.mode !== 'off') {
+    names.push('collect_digits');
+  }
+  return names;
+}
+
+/**
+ * Caller pressed a key
+ * A collect_digits request gets it first; otherwise the profile's dtmf mode decides:
+ * 'conversation' collects an entry for the model, 'ivr' picks a menu option, 'off' ignores it
+ * @param {string} callId - Call ID
+ * @param {string} digit - 0-9, *, #, A-D
+ */
+function handleDtmf(callId, digit) {
+  const session = sessions.get(callId);
+  if (!session) {
+    return;
+  }
+
+  if (session.digitCollector) {
+    session.digitCollector.push(digit);
+    return;
+  }
+
+  const settings = session.profile.dtmf;
+  if (settings.mode === 'off') {
+    log.debug('Ignoring key press - keypad input is off', { callId, event: 'dtmf.ignored' });
+    return;
+  }
+
+  // A key press interrupts the agent like speech does
+  handleBargeIn(callId);
+
+  if (settings.mode === 'ivr') {
+    handleMenuKey(callId, session, digit);
+    return;
+  }
+
+  session.digitCollector = new DigitCollector(settings, (digits, reason) => {
+    session.digitCollector = null;
+    if (reason !== 'cancelled' && digits) {
+      log.info('Keypad entry', { callId, event: 'dtmf.entry', digitCount: digits.length, reason });
+      // The model needs the digits; the transcript gets the count only (they may be a PIN)
+      sendKeypadMessage(callId, session, `The caller pressed: ${digits}`, `The caller entered ${digits.length} digit(s)`);
+    }
+  });
+  session.digitCollector.push(digit);
+}
+
+/**
+ * IVR mode - run the menu option for a key
+ * @param {string} callId - Call ID
+ * @param {Object} session - Call session
+ * @param {string} digit - Key pressed
+ */
+function handleMenuKey(callId, session, digit) {
+  const option = session.profile.dtmf.menu[digit];
+  if (!option) {
+    log.info('Key is not a menu option', { callId, event: 'dtmf.menu_invalid', digit });
+    sendKeypadMessage(callId, session, `The caller pressed ${digit}, which is not a menu option.`);
+    return;
+  }
+
+  log.info('Menu option chosen', { callId, event: 'dtmf.menu', digit, label: option.label });
+
+  if (option.action === 'transfer') {
+    try {
+      transferCall(callId, { target: option.target, reason: `keypad menu: ${option.label}` });
+      return;
+    } catch (error) {
+      log.error('Menu transfer failed', { callId, event: 'dtmf.menu_error', error: error.message });
+      sendKeypadMessage(callId, session, `The caller pressed ${digit} (${option.label}), but the transfer failed: ${error.message}`);
+      return;
+    }
+  }
+
+  sendKeypadMessage(callId, session, `The caller pressed ${digit}: ${option.label}.${option.instructions ? ` ${option.instructions}` : ''}`);
+}
+
+/**
+ * Give keypad input to the model as a caller message (which triggers a response)
+ * @param {string} callId - Call ID
+ * @param {Object} session - Call session
+ * @param {string} text - What was pressed, without the [Keypad] prefix
+ * @param {string} [transcriptText] - What the stored transcript says instead (digits masked)
+ */
+function sendKeypadMessage(callId, session, text, transcriptText = text) {
+  if (sessions.get(callId) !== session || !session.sessionReady || !session.backend.isOpen) {
+    log.warn('Dropping keypad input - OpenAI session not ready', { callId, event: 'dtmf.dropped' });
+    return;
+  }
+
+  session.backend.addItem({
+    type: 'message',
+    role: 'user',
+    content: [{ type: 'input_text', text: `[Keypad] ${text}` }]
+  });
+  recordTurn(callId, 'caller', `[Keypad] ${transcriptText}`, null);
+}
+
+/**
+ * Send a control message to the VoxEngine scenario over the media WebSocket
+ * @param {string} callId - Call ID
+ * @param {Object} message - Control message ({ event, ... })
+ * @returns {boolean} - True if the message was sent
+ */
+function sendControlMessage(callId, message) {
+  const session = sessions.get(callId);
+  if (!session || !session.telnyxWs || session.telnyxWs.readyState !== WebSocket.OPEN) {
+    log.warn(`Cannot send ${message.event} to scenario - media WebSocket not connected`, { callId, event: 'media.control_failed', control: message.event });
+    return false;
+  }
+
+  session.telnyxWs.send(JSON.stringify(message));
+  return true;
+}
+
+/**
+ * Ask the VoxEngine scenario to transfer the caller to a human
+ * Target and mode come from the call's profile unless overridden (admin API)
+ * @param {string} callId - Call ID
+ * @param {Object} options - { target, type, mode, callerId, summary, reason }
+ * @returns {Object} - Transfer request that was sent
+ */
+function transferCall(callId, options = {}) {
+  const session = sessions.get(callId);
+  if (!session) {
+    throw new Error('Call not found');
+  }
+  if (session.transfer && session.transfer.status !== 'failed') {
+    throw new Error(`Transfer already ${session.transfer.status}`);
+  }
+
+  const defaults = session.profile.transfer || {};
+  const transfer = {
+    target: options.target || defaults.target,
+    type: options.type || defaults.type || 'pstn', // 'pstn' (phone number) or 'user' (Voximplant user)
+    mode: options.mode || defaults.mode || 'cold', // 'cold' or 'warm' (summary spoken to the human first)
+    callerId: options.callerId || defaults.callerId || null,
+    summary: options.summary || null
+  };
+
+  if (!transfer.target) {
+    throw new Error('No transfer target configured');
+  }
+
+  if (!sendControlMessage(callId, { event: 'transfer', transfer })) {
+    throw new Error('Media WebSocket not connected');
+  }
+
+  session.transfer = {
+    ...transfer,
+    reason: options.reason || null,
+    status: 'requested',
+    requestedAt: new Date().toISOString()
+  };
+  log.info('Transfer requested', { callId, event: 'transfer.requested', target: transfer.target, mode: transfer.mode });
+
+  return transfer;
+}
+
+/**
+ * Transfer bridged the caller to the human - the AI is no longer needed
+ * @param {string} callId - Call ID
+ */
+function handleTransferCompleted(callId) {
+  const session = sessions.get(callId);
+  if (!session) {
+    return;
+  }
+
+  log.info('Transfer completed', { callId, event: 'transfer.completed' });
+  if (session.transfer) {
+    session.transfer.status = 'completed';
+  }
+  endCall(callId, 'transferred');
+}
+
+/**
+ * Transfer failed (busy, no answer, ...) - let the model tell the caller
+ * @param {string} callId - Call ID
+ * @param {string} reason - Failure reason reported by the scenario
+ */
+function handleTransferFailed(callId, reason) {
+  const session = sessions.get(callId);
+  if (!session) {
+    return;
+  }
+
+  log.warn('Transfer failed', { callId, event: 'transfer.failed', reason });
+  if (session.transfer) {
+    session.transfer.status = 'failed';
+  }
+
+  // Fallback transfer after OpenAI went away - there is no agent left to keep helping
+  if (session.openaiRecovery.state === 'failed') {
+    hangUpAfterRecoveryFailure(callId, session, buildRecoveryMessages(session.profile, session.variables).fallbackMessage);
+    return;
+  }
+
+  if (session.backend && session.backend.isOpen) {
+    session.backend.addItem({
+      type: 'message',
+      role: 'system',
+      content: [
+        {
+          type: 'input_text',
+          text: `The transfer to a human agent failed (${reason || 'no answer'}). Apologize to the caller and offer to keep helping.`
+        }
+      ]
+    });
+    // Same path as tool outputs, so the response waits for any active one to finish
+    session.toolOutputsPending = true;
+    requestToolResponse(callId);
+  }
+}
+
+/**
+ * Execute a tool the model called and send the result back to OpenAI
+ * @param {string} callId - Call ID
+ * @param {Object} message - response.function_call_arguments.done event ({ call_id, name, arguments })
+ */
+async function handleFunctionCall(callId, message) {
+  const session = sessions.get(callId);
+  if (!session) {
+    return;
+  }
+
+  log.info(`Tool call ${message.name}`, { callId, event: 'tool.call', tool: message.name });
+  log.debug('Tool arguments', { callId, event: 'tool.arguments', tool: message.name, arguments: message.arguments });
+  session.runningToolCalls++;
+  const backend = session.backend; // The call ID belongs to this backend's session
+
+  const startedAt = new Date();
+  const result = await executeTool(message.name, message.arguments, {
+    callId,
+    session,
+    profile: session.profile,
+    caller: session.caller,
+    variables: session.variables
+  });
+  session.runningToolCalls--;
 
-    ws.on('error', (error) => {
-      console.error(`❌ OpenAI WebSocket error for ${callId}:`, error);
-    });
+  session.toolCalls.push({
+    name: message.name,
+    toolCallId: message.call_id,
+    arguments: message.arguments,
+    output: redactToolOutput(message.name, result.output),
+    error: result.error,
+    startedAt: startedAt.toISOString(),
+    durationMs: result.durationMs
+  });
 
-    ws.on('close', () => {
-      console.log(`🔌 OpenAI WebSocket closed for ${callId}`);
-      const session = sessions.get(callId);
-      if (session && session.openaiWs === ws) {
-        sessions.delete(callId);
-      }
-    });
+  if (result.error) {
+    log.error(`Tool ${message.name} failed`, { callId, event: 'tool.error', tool: message.name, durationMs: result.durationMs, error: result.error });
+  } else {
+    log.info(`Tool ${message.name} finished`, { callId, event: 'tool.done', tool: message.name, durationMs: result.durationMs });
+  }
 
-  } catch (error) {
-    console.error(`❌ Error starting OpenAI session for ${callId}:`, error);
-    sessions.delete(callId);
+  // Call may have ended while the tool was running
+  if (sessions.get(callId) !== session || !session.sessionReady || !session.backend.isOpen) {
+    return;
+  }
+
+  // OpenAI reconnected meanwhile - the new session doesn't know the call ID, so the result goes in as a note
+  const item = session.backend === backend
+    ? { type: 'function_call_output', call_id: message.call_id, output: JSON.stringify(result.output) }
+    : {
+      type: 'message',
+      role: 'system',
+      content: [{ type: 'input_text', text: `Result of the ${message.name} tool (called before the connection dropped): ${JSON.stringify(result.output)}` }]
+    };
+  session.backend.addItem(item);
+  session.toolOutputsPending = true;
+
+  requestToolResponse(callId);
+}
+
+/**
+ * Ask the model to respond to tool outputs
+ * Waits until every running tool has finished and the current response is done,
+ * since OpenAI rejects response.create while a response is active
+ * @param {string} callId - Call ID
+ */
+function requestToolResponse(callId) {
+  const session = sessions.get(callId);
+  if (!session || !session.toolOutputsPending || session.runningToolCalls > 0 || session.hasActiveResponse) {
+    return;
+  }
+  if (!session.backend.isOpen) {
+    return;
   }
+
+  session.backend.createResponse();
+  session.hasActiveResponse = true;
+  session.toolOutputsPending = false;
+  log.debug('Requested response to tool output', { callId, event: 'tool.response_requested' });
 }
 
 /**
  * Send audio to Voximplant call
  * Voximplant audio format depends on scenario configuration
  * Typically: JSON with base64-encoded PCM16 audio
- * Audio is already resampled to 8kHz PCM16
+ * Audio is already converted to the call's format (see audio-path.js), and is paced out
+ * in 20ms frames once the media socket is open (see createOutboundPacer)
  */
 async function sendAudioToTelnyx(callId, audioBuffer) {
   // Function name kept for compatibility, but now handles Voximplant
   try {
     const session = sessions.get(callId);
     if (!session) {
-      console.warn(`⚠️  No session found for ${callId}`);
+      log.warn('No session for agent audio', { callId, event: 'audio.no_session' });
       return;
     }
 
@@ -594,275 +2065,659 @@ async function sendAudioToTelnyx(callId, audioBuffer) {
       return;
     }
 
-    // If Voximplant WebSocket is available, send audio
-    // Format depends on Voximplant scenario configuration
-    if (session.telnyxWs && session.telnyxWs.readyState === WebSocket.OPEN) {
-      const payload = audioBuffer.toString('base64');
-      
-      // Voximplant may use different formats - try common ones
-      // Format 1: { event: "media", media: { payload: "<base64>" } }
-      // Format 2: { type: "audio", data: "<base64>" }
-      // Format 3: Raw binary PCM
-      const message = JSON.stringify({
-        event: 'media',
-        media: {
-          payload
+    session.pacer.push(audioBuffer);
+    log.trace('Queued agent audio', { callId, event: 'media.audio_queued', bytes: audioBuffer.length, bufferedMs: Math.round(session.pacer.bufferedMs) });
+
+  } catch (error) {
+    log.error('Error sending audio to the scenario', { callId, event: 'media.error', error });
+  }
+}
+
+/**
+ * Send one audio chunk to the scenario and account for it in the playback position
+ * Format: { event: "media", media: { payload: "<base64 audio in the call's format>" } }
+ * @param {Object} session - Call session (telnyxWs must be open)
+ * @param {Buffer} audioBuffer - Audio in the call's format
+ */
+function sendMediaFrame(session, audioBuffer) {
+  session.telnyxWs.send(JSON.stringify({
+    event: 'media',
+    media: {
+      payload: audioBuffer.toString('base64')
+    }
+  }));
+  audioBytes.inc({ direction: 'outbound' }, audioBuffer.length);
+
+  if (!session.firstAudioSentAt) {
+    session.firstAudioSentAt = Date.now();
+    if (session.connectedAt) {
+      timeToFirstAudio.observe({ direction: session.direction }, (session.firstAudioSentAt - session.connectedAt) / 1000);
+    }
+  }
+
+  // Record what is actually sent to the caller (not audio dropped by barge-in)
+  if (session.recorder) {
+    session.recorder.writeAgent(decodeAudio(audioBuffer, session.mediaFormat));
+  }
+
+  // Track how much of the current assistant item has been sent, for truncation on barge-in
+  if (session.playback) {
+    if (!session.playback.startedAt) {
+      session.playback.startedAt = Date.now();
+    }
+    session.playback.sentMs += audioBuffer.length / bytesPerMs(session.mediaFormat);
+  }
+}
+
+/**
+ * Outbound pacer for a call: frames go to the media socket, marks follow the responses they end
+ * @param {string} callId - Call ID
+ * @param {Object} session - Call session (mediaFormat set)
+ * @returns {OutboundPacer} - Pacer
+ */
+function createOutboundPacer(callId, session) {
+  return new OutboundPacer(session.mediaFormat, {}, (type, details) => {
+    const mediaOpen = session.telnyxWs && session.telnyxWs.readyState === WebSocket.OPEN;
+    switch (type) {
+      case 'frame':
+        if (mediaOpen) {
+          sendMediaFrame(session, details.audio);
         }
-      });
-      
-      session.telnyxWs.send(message);
-      console.log(`📤 Sent ${audioBuffer.length} bytes audio to Voximplant WebSocket (${callId})`);
-      
-      // If there's queued audio, send it now
-      if (session.audioQueue && session.audioQueue.length > 0) {
-        console.log(`📤 Flushing ${session.audioQueue.length} queued audio chunks for ${callId}`);
-        const queue = session.audioQueue;
-        session.audioQueue = [];
-        queue.forEach(queuedBuffer => {
-          const queuedPayload = queuedBuffer.toString('base64');
-          const queuedMessage = JSON.stringify({
-            event: 'media',
-            media: { payload: queuedPayload }
-          });
-          session.telnyxWs.send(queuedMessage);
-        });
-      }
-      return;
+        break;
+
+      case 'mark':
+        if (mediaOpen) {
+          session.telnyxWs.send(JSON.stringify({ event: 'mark', mark: { name: details.name } }));
+        }
+        break;
+
+      case 'underrun':
+        log.debug('Agent audio ran out mid-response', { callId, event: 'media.underrun', underruns: details.underruns });
+        outboundUnderruns.inc();
+        break;
+
+      case 'overflow':
+        log.warn('Outbound audio buffer full - dropped agent audio', { callId, event: 'media.overflow', droppedMs: details.droppedMs });
+        outboundAudioDropped.inc({}, details.droppedMs / 1000);
+        break;
+    }
+  });
+}
+
+/**
+ * A response's audio is complete - queue a mark behind it, so the scenario says when the caller has heard it
+ * @param {string} callId - Call ID
+ * @param {Object} session - Call session
+ * @param {string} name - Mark name (the response ID)
+ * @returns {string|null} - Mark name, or null if the response had no audio left to play
+ */
+function queueResponseMark(callId, session, name) {
+  if (!session.pacer.endResponse(name)) {
+    return null;
+  }
+  session.pendingMarks.set(name, { queuedAt: Date.now() });
+  log.debug('Queued response mark', { callId, event: 'media.mark_queued', mark: name, bufferedMs: Math.round(session.pacer.bufferedMs) });
+  return name;
+}
+
+/**
+ * The scenario played everything up to a mark - the caller has heard that response
+ * @param {string} callId - Call ID
+ * @param {string} name - Mark name
+ */
+function handleMarkReached(callId, name) {
+  const session = sessions.get(callId);
+  const pending = session?.pendingMarks.get(name);
+  if (!pending) {
+    log.debug('Mark reached', { callId, event: 'media.mark', mark: name });
+    return;
+  }
+  session.pendingMarks.delete(name);
+  session.responsesHeard++;
+  log.info('Caller heard the response', { callId, event: 'playback.heard', mark: name, playoutMs: Date.now() - pending.queuedAt });
+
+  if (name === session.machineDetection.hangupMark) {
+    clearTimeout(session.machineDetection.timer);
+    sendControlMessage(callId, { event: 'hangup' });
+    endCall(callId, 'voicemail_left');
+  }
+}
+
+/**
+ * Caller started speaking - interrupt the AI (barge-in)
+ * Drops queued audio, flushes the scenario's playback, cancels the response and
+ * truncates the assistant item to what the caller actually heard
+ * @param {string} callId - Call ID
+ */
+function handleBargeIn(callId) {
+  const session = sessions.get(callId);
+  if (!session) {
+    return;
+  }
+
+  const playback = session.playback;
+  const playedMs = playback && playback.startedAt
+    ? Math.floor(Math.min(playback.sentMs, Date.now() - playback.startedAt))
+    : 0;
+  const stillPlaying = playback && playedMs < playback.sentMs;
+
+  if (!session.hasActiveResponse && !stillPlaying && session.pacer.bufferedMs === 0) {
+    return; // AI wasn't talking - nothing to interrupt
+  }
+
+  log.info('Barge-in - interrupting the agent', { callId, event: 'audio.barge_in', playedMs });
+
+  // Drop audio that hasn't reached the scenario yet and flush what it is playing
+  session.pacer.clear();
+  session.pendingMarks.clear();
+  session.audioPath.resetOutbound(); // Don't carry the cut-off answer's filter tail into the next one
+  if (session.telnyxWs && session.telnyxWs.readyState === WebSocket.OPEN) {
+    session.telnyxWs.send(JSON.stringify({ event: 'clear' }));
+  }
+
+  if (!session.backend.isOpen) {
+    return;
+  }
+
+  if (session.hasActiveResponse) {
+    session.backend.cancel();
+  }
+
+  if (playback && playback.itemId) {
+    // Ignore any audio still in flight for the interrupted item
+    session.interruptedItemId = playback.itemId;
+
+    // Make the model's memory of its answer match what the caller heard
+    session.backend.truncate(playback.itemId, playback.contentIndex, playedMs);
+  }
+
+  session.playback = null;
+}
+
+/**
+ * Set up a call's audio for its media format: pick the OpenAI codec and build the conversion path
+ * Called when the session is created and again if the media stream announces a different format
+ * @param {string} callId - Call ID
+ * @param {Object} session - Call session
+ * @param {Object} legFormat - Call's media format
+ */
+function configureAudio(callId, session, legFormat) {
+  const previousFormat = session.mediaFormat;
+  const previousPath = session.audioPath;
+
+  if (previousPath && previousFormat.encoding === legFormat.encoding && previousFormat.sampleRate === legFormat.sampleRate) {
+    return;
+  }
+
+  let openaiFormat = negotiateCodec(legFormat, session.profile.audioCodec || AUDIO_CODEC_MODE);
+
+  // Responses already under way keep their output format - only switch OpenAI before any answer audio exists
+  const answerInProgress = session.hasActiveResponse || session.playback || session.pacer?.bufferedMs > 0;
+  if (previousPath && openaiFormat !== previousPath.openaiFormat && answerInProgress) {
+    log.warn('Keeping OpenAI audio format - response already in progress', { callId, event: 'audio.codec_kept', openaiFormat: previousPath.openaiFormat });
+    openaiFormat = previousPath.openaiFormat;
+  }
+
+  session.mediaFormat = legFormat;
+  session.audioPath = new AudioPath(legFormat, openaiFormat);
+  session.speechGate = createSpeechGate(callId, session);
+
+  // Audio queued before the stream announced its format was converted for the old one
+  if (!session.pacer) {
+    session.pacer = createOutboundPacer(callId, session);
+  } else {
+    session.pacer.setFormat(legFormat, chunk => convertCallAudio(chunk, previousFormat, legFormat));
+  }
+
+  if (session.recorder) {
+    session.recorder.setSampleRate(legFormat.sampleRate);
+  }
+
+  if (previousPath && openaiFormat !== previousPath.openaiFormat && session.backend?.isOpen) {
+    session.backend.configure({
+      input_audio_format: openaiFormat,
+      output_audio_format: openaiFormat
+    });
+  }
+
+  log.info('Audio path configured', {
+    callId,
+    event: 'audio.configured',
+    encoding: legFormat.encoding,
+    sampleRate: legFormat.sampleRate,
+    openaiFormat,
+    mode: session.audioPath.mode
+  });
+}
+
+/**
+ * Log a frame that doesn't follow the media protocol
+ * The first one and then every 100th are logged, so a misbehaving scenario can't flood the logs
+ * @param {Object} wsInfo - Media socket info from wsCallMap
+ * @param {Error} error - Why the frame was rejected
+ */
+function logRejectedFrame(wsInfo, error) {
+  wsInfo.rejectedFrames++;
+  rejectedMediaFrames.inc();
+  if (wsInfo.rejectedFrames === 1 || wsInfo.rejectedFrames % 100 === 0) {
+    log.warn('Rejected media frame', { callId: wsInfo.callId, event: 'media.frame_rejected', count: wsInfo.rejectedFrames, error: error.message });
+  }
+}
+
+/**
+ * Bind a media socket to its call session (and start playing audio queued before it connected)
+ * @param {WebSocket} ws - Media socket
+ * @param {Object} wsInfo - Media socket info from wsCallMap
+ * @returns {Object|null} - Call session, or null if no call matches yet
+ */
+function attachMediaSocket(ws, wsInfo) {
+  // wsInfo.callId comes from the stream token, so the session is looked up, never guessed
+  const session = sessions.get(wsInfo.callId);
+  if (session && !session.telnyxWs) {
+    session.telnyxWs = ws; // Keep variable name for compatibility
+    session.lifecycle.transition(CALL_STATES.STREAMING, 'media socket attached');
+
+    // No start message yet - assume the format announced in CallStarted
+    if (wsInfo.format) {
+      configureAudio(wsInfo.callId, session, wsInfo.format);
+    } else {
+      wsInfo.format = session.mediaFormat;
     }
+    log.info('Media socket attached', { callId: wsInfo.callId, event: 'media.attached', encoding: wsInfo.format.encoding, sampleRate: wsInfo.format.sampleRate });
 
-    // WebSocket not available - buffer audio for later
-    if (!session.audioQueue) {
-      session.audioQueue = [];
+    // Queued audio starts playing now
+    if (ws.readyState === WebSocket.OPEN) {
+      session.pacer.start();
     }
-    session.audioQueue.push(audioBuffer);
-    
-    // Log occasionally to avoid spam
-    if (session.audioQueue.length === 1 || session.audioQueue.length % 10 === 0) {
-      console.log(`⏳ Buffering audio for ${callId} (${session.audioQueue.length} chunks) - Voximplant WebSocket not ready`);
+  }
+
+  return session || null;
+}
+
+/**
+ * Scenario started the stream - apply the negotiated audio format
+ * @param {WebSocket} ws - Media socket
+ * @param {Object} wsInfo - Media socket info from wsCallMap
+ * @param {Object} frame - Parsed start frame ({ callId, format })
+ */
+function handleMediaStart(ws, wsInfo, frame) {
+  // The token decides which call this is - a different callId in the start message is a scenario bug
+  if (frame.callId && frame.callId !== wsInfo.callId) {
+    log.warn('Start message callId does not match the stream token - using the token', { callId: wsInfo.callId, event: 'media.callid_mismatch', startCallId: frame.callId });
+  }
+  wsInfo.format = frame.format;
+
+  log.info('Media stream started', { callId: wsInfo.callId, event: 'media.start', encoding: frame.format.encoding, sampleRate: frame.format.sampleRate });
+
+  const session = attachMediaSocket(ws, wsInfo);
+  if (session && session.telnyxWs === ws) {
+    configureAudio(wsInfo.callId, session, frame.format);
+  }
+}
+
+/**
+ * Caller audio from the scenario - decode and forward to OpenAI
+ * @param {WebSocket} ws - Media socket
+ * @param {Object} wsInfo - Media socket info from wsCallMap
+ * @param {Buffer} payload - Audio in the negotiated format
+ */
+function handleInboundAudio(ws, wsInfo, payload) {
+  const session = attachMediaSocket(ws, wsInfo);
+  if (!session || !session.backend) {
+    // Don't log every time - too noisy
+    return;
+  }
+
+  try {
+    validateAudioPayload(payload, session.mediaFormat);
+  } catch (error) {
+    logRejectedFrame(wsInfo, error);
+    return;
+  }
+  audioBytes.inc({ direction: 'inbound' }, payload.length);
+
+  // Record caller audio before resampling (as the caller said it)
+  const detection = session.machineDetection;
+  const pcm = session.recorder || detection.state !== 'off' || session.speechGate ? decodeAudio(payload, session.mediaFormat) : null;
+  if (session.recorder) {
+    session.recorder.writeCaller(pcm);
+  }
+
+  if (detection.state === 'detecting' || (detection.state === 'machine' && detection.action === 'voicemail' && !detection.messageStarted)) {
+    if (!detection.detector) {
+      detection.detector = new AnsweringMachineDetector(session.mediaFormat.sampleRate, session.profile.answeringMachine,
+        (type, details) => handleMachineDetection(wsInfo.callId, session, type, details));
+    }
+    detection.detector.process(pcm);
+  }
+
+  // OpenAI is reconnecting - keep what the caller says for the new session
+  if (session.openaiRecovery.state === 'reconnecting') {
+    bufferRecoveryAudio(wsInfo.callId, session, payload);
+    return;
+  }
+
+  // Wait for session to be ready before sending audio
+  if (!session.sessionReady) {
+    // Don't log every time - too noisy
+    return;
+  }
+
+  // The model doesn't hear an answering machine (its greeting would get a reply)
+  if (detection.state === 'detecting' || (detection.state === 'machine' && detection.action !== 'continue')) {
+    return;
+  }
+
+  // Convert to the session's OpenAI format (untouched if both sides use the same G.711 law)
+  try {
+    const resampledBuffer = session.audioPath.toOpenAI(payload);
+
+    // Local VAD: finds turns, and with the noise gate holds back audio between them
+    let chunks = [resampledBuffer];
+    const gate = session.speechGate;
+    if (gate) {
+      const gatedMs = gate.gatedMs;
+      chunks = gate.process(pcm, resampledBuffer);
+      if (gate.gatedMs > gatedMs) {
+        session.gatedAudioMs += gate.gatedMs - gatedMs;
+        inboundAudioGated.inc({}, (gate.gatedMs - gatedMs) / 1000);
+      }
+    }
+
+    // Send to the model backend
+    for (const chunk of chunks) {
+      if (chunk.length > 0 && session.backend.appendAudio(chunk)) {
+        log.trace('Sent caller audio to OpenAI', { callId: wsInfo.callId, event: 'openai.audio_in', bytes: chunk.length });
+      }
     }
+  } catch (error) {
+    log.error('Error converting caller audio', { callId: wsInfo.callId, event: 'audio.conversion_error', direction: 'inbound', error });
+    audioConversionErrors.inc({ direction: 'inbound' });
+  }
+}
+
+/**
+ * Local VAD for a call's inbound audio, if its profile uses it (noise gate or local turn detection)
+ * @param {string} callId - Call ID
+ * @param {Object} session - Call session (mediaFormat set)
+ * @returns {SpeechGate|null} - Gate, or null
+ */
+function createSpeechGate(callId, session) {
+  const vad = session.profile.vad;
+  if (!vad.noiseGate && vad.turnDetection !== 'local') {
+    return null;
+  }
+  return new SpeechGate(session.mediaFormat.sampleRate, {
+    ...vad,
+    gate: vad.noiseGate,
+    hangoverMs: vad.turnDetection === 'server' ? VAD_GATE_HANGOVER_MS : 0
+  }, (type, details) => handleLocalTurn(callId, session, type, details));
+}
 
+/**
+ * Caller turns found by the local VAD - with local turn detection they drive barge-in and the commit
+ * @param {string} callId - Call ID
+ * @param {Object} session - Call session
+ * @param {string} type - 'speech_started' or 'speech_stopped'
+ * @param {Object} details - { atMs, audio }
+ */
+function handleLocalTurn(callId, session, type, details) {
+  if (session.profile.vad.turnDetection !== 'local' || !session.backend?.isOpen) {
+    return;
+  }
+
+  if (type === 'speech_started') {
+    log.debug('Caller started speaking (local VAD)', { callId, event: 'vad.speech_started', source: 'local' });
+    session.localTurnStartedAt = new Date();
+    handleBargeIn(callId);
+    return;
+  }
+
+  log.debug('Caller stopped speaking (local VAD)', {
+    callId,
+    event: 'vad.speech_stopped',
+    source: 'local',
+    durationMs: Math.round(details.audio.length / bytesPerMs({ encoding: 'pcm16', sampleRate: session.mediaFormat.sampleRate }))
+  });
+  session.backend.commit();
+}
+
+/**
+ * Keep caller audio (in the OpenAI format) while OpenAI reconnects - only the last OPENAI_RECONNECT_BUFFER_MS
+ * @param {string} callId - Call ID
+ * @param {Object} session - Call session
+ * @param {Buffer} payload - Caller audio in the call's format
+ */
+function bufferRecoveryAudio(callId, session, payload) {
+  const recovery = session.openaiRecovery;
+  try {
+    const chunk = session.audioPath.toOpenAI(payload);
+    if (chunk.length === 0) {
+      return;
+    }
+    const ms = payload.length / bytesPerMs(session.mediaFormat);
+    recovery.audio.push({ chunk, ms });
+    recovery.audioMs += ms;
   } catch (error) {
-    console.error(`❌ Error sending audio to Telnyx for ${callId}:`, error.response?.data || error.message);
+    log.error('Error converting caller audio', { callId, event: 'audio.conversion_error', direction: 'inbound', error });
+    audioConversionErrors.inc({ direction: 'inbound' });
+    return;
+  }
+
+  while (recovery.audioMs > OPENAI_RECONNECT_BUFFER_MS && recovery.audio.length > 1) {
+    recovery.audioMs -= recovery.audio.shift().ms;
   }
 }
 
 /**
  * WebSocket server for Voximplant media streaming
  */
-const wss = new WebSocketServer({ 
-  server: server,
-  path: '/media-stream-ws'
+// Upgrades are authenticated before the socket is accepted, so unsigned clients never get a WebSocket
+const wss = new WebSocketServer({ noServer: true });
+
+/**
+ * Refuse a WebSocket upgrade with a plain HTTP response
+ * @param {Object} socket - Raw socket of the upgrade request
+ * @param {number} status - HTTP status
+ * @param {string} message - Status text
+ */
+function rejectUpgrade(socket, status, message) {
+  socket.write(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+  socket.destroy();
+}
+
+server.on('upgrade', (req, socket, head) => {
+  let url;
+  try {
+    url = new URL(req.url, `http://${req.headers.host}`);
+  } catch (error) {
+    return rejectUpgrade(socket, 400, 'Bad Request');
+  }
+
+  if (url.pathname !== '/media-stream-ws') {
+    return rejectUpgrade(socket, 404, 'Not Found');
+  }
+
+  // Same client IP express uses (right-most forwarded address added by our trusted proxy)
+  const forwarded = (req.headers['x-forwarded-for'] || '').split(',').map(ip => ip.trim()).filter(Boolean);
+  const source = TRUST_PROXY > 0 && forwarded.length > 0
+    ? forwarded[Math.max(forwarded.length - TRUST_PROXY, 0)]
+    : req.socket.remoteAddress;
+
+  if (!upgradeLimiter.allow(source)) {
+    log.warn('Rate limited media WebSocket upgrade', { event: 'media.rate_limited', source });
+    return rejectUpgrade(socket, 429, 'Too Many Requests');
+  }
+
+  const error = verifyUpgrade(url);
+  if (error) {
+    log.warn('Rejected media WebSocket upgrade', { event: 'media.upgrade_rejected', source, error });
+    return rejectUpgrade(socket, 401, 'Unauthorized');
+  }
+
+  wss.handleUpgrade(req, socket, head, ws => {
+    wss.emit('connection', ws, req);
+  });
 });
 
 // Map WebSocket connections to call IDs
 const wsCallMap = new Map();
 
 wss.on('connection', (ws, req) => {
-  console.log('🔌 Telnyx WebSocket connection established');
-  console.log(`🔍 WebSocket URL: ${req.url}`);
-  console.log(`🔍 WebSocket headers:`, JSON.stringify(req.headers, null, 2));
-  
-  // Try to extract call ID from query string
-  let callId = null;
+  // The stream token (from the CallConnected webhook response) is the only way to say which call this is
+  let token = null;
   try {
     const url = new URL(req.url, `http://${req.headers.host}`);
-    callId = url.searchParams.get('call_id');
-    console.log(`🔍 Extracted call_id from URL: ${callId}`);
+    token = url.searchParams.get('token');
   } catch (error) {
-    console.warn('⚠️  Could not parse WebSocket URL:', error);
+    log.warn('Could not parse media WebSocket URL', { event: 'media.bad_url', error });
   }
-  
-  // Store WebSocket with a temporary ID if we don't have call_id yet
-  const wsId = `ws_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-  wsCallMap.set(ws, { callId, wsId });
-  
-  console.log(`🎵 Voximplant media stream WebSocket connected (call: ${callId || 'pending'})`);
-  
-  // Voximplant may send initial connection message - handle it
-  // Some providers send JSON control messages first
 
-  // Voximplant WebSocket connection established
-  // Audio format may vary - we'll handle both JSON and binary
-  try {
-    console.log(`✅ WebSocket ready to receive audio from Voximplant`);
-  } catch (error) {
-    console.error('❌ Error in WebSocket connection setup:', error);
+  const redeemed = redeemStreamToken(token);
+  if (redeemed.error) {
+    log.warn('Rejected media WebSocket', { event: 'media.token_rejected', source: req.socket.remoteAddress, error: redeemed.error });
+    ws.close(redeemed.code, redeemed.error);
+    return;
   }
 
-  ws.on('message', (data) => {
-    try {
-      // Telnyx sends binary PCM audio data - check if it's binary or JSON
-      let audioBuffer = null;
-      
-      if (Buffer.isBuffer(data)) {
-        // Binary PCM audio data
-        audioBuffer = data;
-      } else if (typeof data === 'string') {
-        // Could be JSON message - try to parse
-        try {
-          const jsonMessage = JSON.parse(data);
-          console.log(`📨 Voximplant JSON message:`, jsonMessage);
-          // Handle JSON messages if needed (e.g., connection status)
-          return;
-        } catch (e) {
-          // Not JSON, treat as binary
-          audioBuffer = Buffer.from(data, 'binary');
-        }
-      } else {
-        // Convert to buffer
-        audioBuffer = Buffer.from(data);
-      }
-      
-      if (!audioBuffer || audioBuffer.length === 0) {
-        return;
-      }
-      
-      const wsInfo = wsCallMap.get(ws);
-      let activeCallId = wsInfo?.callId;
-      
-      // If we don't have call_id yet, try to find it from active sessions
-      if (!activeCallId) {
-        // Try to find the most recent session without a WebSocket
-        for (const [id, session] of sessions.entries()) {
-          if (!session.telnyxWs) {
-            activeCallId = id;
-            session.telnyxWs = ws;
-            wsInfo.callId = id;
-            console.log(`🔗 Matched WebSocket to call: ${id}`);
-            break;
-          }
-        }
-      } else {
-        // We have call_id, make sure session has the WebSocket reference
-        const session = sessions.get(activeCallId);
-        if (session && !session.telnyxWs) {
-          session.telnyxWs = ws; // Keep variable name for compatibility
-          console.log(`🔗 Stored Voximplant WebSocket in session for ${activeCallId}`);
-          
-          // If there's queued audio, flush it now
-          if (session.audioQueue && session.audioQueue.length > 0 && ws.readyState === WebSocket.OPEN) {
-            console.log(`📤 Flushing ${session.audioQueue.length} queued audio chunks for ${activeCallId}`);
-            const queue = session.audioQueue;
-            session.audioQueue = [];
-            queue.forEach(queuedBuffer => {
-              const queuedPayload = queuedBuffer.toString('base64');
-              const queuedMessage = JSON.stringify({
-                event: 'media',
-                media: { payload: queuedPayload }
-              });
-              ws.send(queuedMessage);
-            });
-          }
-        }
-      }
-      
-      if (!activeCallId) {
-        // Don't log every time - too noisy
-        return;
-      }
+  const callId = redeemed.callId;
+  const existing = sessions.get(callId)?.telnyxWs;
+  if (existing && existing.readyState === WebSocket.OPEN) {
+    log.warn('Rejected second media WebSocket', { callId, event: 'media.busy' });
+    ws.close(STREAM_CLOSE_CODES.busy, 'call already has a media stream');
+    return;
+  }
 
-      const session = sessions.get(activeCallId);
-      if (!session || !session.openaiWs) {
-        // Don't log every time - too noisy
-        return;
-      }
+  // Audio format comes from the scenario's start message (or the call's CallStarted webhook)
+  const wsId = `ws_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  wsCallMap.set(ws, { callId, wsId, format: null, rejectedFrames: 0 });
+  
+  log.info('Media WebSocket connected', { callId, event: 'media.connected' });
 
-      // Wait for session to be ready before sending audio
-      if (!session.sessionReady) {
-        // Don't log every time - too noisy
-        return;
-      }
+  ws.on('message', (data, isBinary) => {
+    const wsInfo = wsCallMap.get(ws);
 
-      // Voximplant sends audio (format depends on scenario configuration)
-      // Typically PCM16, 8kHz or 16kHz mono, 16-bit little-endian
-      // OpenAI Realtime requires PCM16 at 24kHz, so we need to resample
-      // Resample from 8kHz to 24kHz (or 16kHz to 24kHz if needed)
-      try {
-        const resampledBuffer = resample8kHzTo24kHz(audioBuffer);
-        if (resampledBuffer.length === 0) {
-          return;
-        }
+    let frame;
+    try {
+      frame = parseMediaFrame(data, isBinary);
+    } catch (error) {
+      logRejectedFrame(wsInfo, error);
+      return;
+    }
+
+    try {
+      switch (frame.event) {
+        case 'start':
+          handleMediaStart(ws, wsInfo, frame);
+          break;
         
-        // Convert to base64 for OpenAI
-        const audioBase64 = resampledBuffer.toString('base64');
+        case 'media':
+          handleInboundAudio(ws, wsInfo, frame.payload);
+          break;
         
-        // Send to OpenAI Realtime API
-        if (session.openaiWs.readyState === WebSocket.OPEN) {
-          session.openaiWs.send(JSON.stringify({
-            type: 'input_audio_buffer.append',
-            audio: audioBase64
-          }));
-          // Log occasionally to confirm audio is being sent
-          if (Math.random() < 0.01) {
-            console.log(`📤 Sent ${resampledBuffer.length} bytes resampled audio to OpenAI (${activeCallId})`);
-          }
-        }
-      } catch (error) {
-        console.error(`❌ Error processing/resampling audio for ${activeCallId}:`, error);
+        case 'mark':
+          handleMarkReached(wsInfo.callId, frame.name);
+          break;
+        
+        case 'dtmf':
+          handleDtmf(wsInfo.callId, frame.digit);
+          break;
+        
+        case 'stop':
+          log.info('Media stream stopped by scenario', { callId: wsInfo.callId, event: 'media.stop' });
+          break;
       }
     } catch (error) {
-      console.error('❌ Error processing Telnyx message:', error);
+      log.error(`Error processing media ${frame.event} message`, { callId: wsInfo.callId, event: 'media.error', error });
     }
   });
 
-    ws.on('close', (code, reason) => {
-      const wsInfo = wsCallMap.get(ws);
-      const callId = wsInfo?.callId;
-      console.log(`🔌 Voximplant WebSocket closed (call: ${callId || 'unknown'}, code: ${code}, reason: ${reason?.toString() || 'none'})`);
+  ws.on('close', (code, reason) => {
+    const wsInfo = wsCallMap.get(ws);
+    const callId = wsInfo?.callId;
+    log.info('Media WebSocket closed', { callId, event: 'media.closed', code, reason: reason?.toString() || null });
+    websocketCloses.inc({ socket: 'media', code });
     
     if (callId) {
       const session = sessions.get(callId);
-      if (session) {
+      if (session && session.telnyxWs === ws) {
         session.telnyxWs = null;
+        session.pacer.stop(); // Held until a new socket attaches
+        session.lifecycle.transition(CALL_STATES.CONNECTED, 'media socket closed');
       }
     }
     
     wsCallMap.delete(ws);
   });
 
-    ws.on('error', (error) => {
-      const wsInfo = wsCallMap.get(ws);
-      const callId = wsInfo?.callId || 'unknown';
-      console.error(`❌ Voximplant WebSocket error (call: ${callId}):`, error);
-    });
+  ws.on('error', (error) => {
+    const wsInfo = wsCallMap.get(ws);
+    const callId = wsInfo?.callId || 'unknown';
+    log.error('Media WebSocket error', { callId, event: 'media.socket_error', error });
+  });
 
   ws.on('pong', () => {
-    console.log(`🏓 Received pong from Telnyx WebSocket`);
+    log.debug('Media WebSocket pong', { event: 'media.pong' });
   });
 });
 
 // Start server
 server.listen(PORT, '0.0.0.0', () => {
-    console.log(`🚀 Tavari Voice Agent server running on port ${PORT}`);
+    campaigns.start();
     const PUBLIC_URL = process.env.RAILWAY_PUBLIC_DOMAIN || `http://localhost:${PORT}`;
-  
-    console.log(`📞 Voximplant Webhook: POST ${PUBLIC_URL}/webhook`);
-    console.log(`🎵 Media stream WebSocket: wss://${PUBLIC_URL.replace('http://', '').replace('https://', '')}/media-stream-ws`);
-    console.log(`❤️  Health check: GET ${PUBLIC_URL}/health`);
-    console.log(`\n✅ Ready to receive Voximplant calls!`);
-    console.log(`🔧 Environment: RAILWAY_PUBLIC_DOMAIN=${process.env.RAILWAY_PUBLIC_DOMAIN || 'not set'}`);
-    console.log(`📋 Configure this webhook URL in your Voximplant application/scenario`);
+
+    log.info(`Tavari Voice Agent server running on port ${PORT}`, {
+      event: 'server.listening',
+      port: PORT,
+      webhookUrl: `${PUBLIC_URL}/webhook`,
+      mediaStreamUrl: `wss://${PUBLIC_URL.replace('http://', '').replace('https://', '')}/media-stream-ws`,
+      healthUrl: `${PUBLIC_URL}/health`,
+      railwayPublicDomain: process.env.RAILWAY_PUBLIC_DOMAIN || null
+    });
 });
 
 // Graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('🛑 SIGTERM received, shutting down gracefully...');
-  // Close all OpenAI sessions
-  sessions.forEach((session, callId) => {
-    if (session.openaiWs) {
-      session.openaiWs.close();
-    }
-  });
-  process.exit(0);
-});
+let shuttingDown = false;
 
-process.on('SIGINT', () => {
-  console.log('🛑 SIGINT received, shutting down gracefully...');
-  sessions.forEach((session, callId) => {
-    if (session.openaiWs) {
-      session.openaiWs.close();
-    }
+/**
+ * End every call, then exit once their records and recordings are written (or SHUTDOWN_TIMEOUT_MS has passed)
+ * A second signal exits straight away
+ * @param {string} signal - Signal received
+ */
+async function shutdown(signal) {
+  if (shuttingDown) {
+    log.warn(`${signal} received again, exiting now`, { event: 'server.shutdown_forced', pendingWrites: pendingWrites.size });
+    process.exit(1);
+  }
+  shuttingDown = true;
+  log.info(`${signal} received, shutting down`, { event: 'server.shutdown', activeCalls: sessions.size });
+
+  // No new calls or campaign dials
+  server.close();
+  campaigns.stop();
+
+  // End every call - closes OpenAI and media sockets, writes the end of the call and finishes its recording
+  for (const callId of Array.from(sessions.keys())) {
+    endCall(callId, 'shutdown');
+  }
+
+  // A finished recording adds its own store write, so wait until nothing new turns up
+  let timer;
+  const timedOut = new Promise(resolve => {
+    timer = setTimeout(() => resolve(true), SHUTDOWN_TIMEOUT_MS);
   });
+  const settled = (async () => {
+    while (pendingWrites.size > 0) {
+      await Promise.allSettled(pendingWrites);
+    }
+    return false;
+  })();
+  if (await Promise.race([settled, timedOut])) {
+    log.warn('Shutdown timed out - some call records or recordings were not saved', { event: 'server.shutdown_timeout', pendingWrites: pendingWrites.size, timeoutMs: SHUTDOWN_TIMEOUT_MS });
+  }
+  clearTimeout(timer);
   process.exit(0);
-});
+}
 
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
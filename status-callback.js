@@ -0,0 +1,37 @@
+// status-callback.js
+// Status webhooks for outbound calls, POSTed to the statusCallbackUrl given to POST /calls/outbound
+// Signed like incoming webhooks (X-Tavari-Timestamp / X-Tavari-Signature) when WEBHOOK_SECRET is set
+
+import axios from 'axios';
+import { signPayload, WEBHOOK_AUTH_ENABLED } from './webhook-auth.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('status-callback');
+
+const STATUS_CALLBACK_TIMEOUT_MS = parseInt(process.env.STATUS_CALLBACK_TIMEOUT_MS || '5000', 10);
+
+/**
+ * Send one status update - never throws, failures are logged
+ * @param {string} url - Status callback URL
+ * @param {Object} status - { callId, status, ... }
+ * @returns {Promise<boolean>} - True if the receiver answered 2xx
+ */
+export async function sendStatusCallback(url, status) {
+  const body = JSON.stringify({ ...status, timestamp: new Date().toISOString() });
+  const headers = { 'Content-Type': 'application/json' };
+
+  if (WEBHOOK_AUTH_ENABLED) {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    headers['X-Tavari-Timestamp'] = timestamp;
+    headers['X-Tavari-Signature'] = signPayload(timestamp, body);
+  }
+
+  try {
+    await axios.post(url, body, { headers, timeout: STATUS_CALLBACK_TIMEOUT_MS });
+    log.debug(`Status "${status.status}" sent`, { callId: status.callId, event: 'status_callback.sent', status: status.status });
+    return true;
+  } catch (error) {
+    log.error(`Status callback "${status.status}" failed`, { callId: status.callId, event: 'status_callback.error', status: status.status, error: error.message });
+    return false;
+  }
+}
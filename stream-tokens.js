@@ -0,0 +1,110 @@
+// stream-tokens.js
+// Signed, single-use tokens binding a media WebSocket to exactly one call
+// Issued when the call connects (startVoximplantMediaStream), redeemed when /media-stream-ws connects
+
+import crypto from 'crypto';
+
+// Without a configured secret, tokens only survive until restart - fine, calls don't either
+const STREAM_TOKEN_SECRET = process.env.STREAM_TOKEN_SECRET || crypto.randomBytes(32).toString('hex');
+const STREAM_TOKEN_TTL_MS = parseInt(process.env.STREAM_TOKEN_TTL_MS || '60000', 10);
+
+/**
+ * WebSocket close codes for media sockets the server closes (4000-4999 is reserved for applications)
+ */
+export const STREAM_CLOSE_CODES = {
+  ended: 4000, // Server ended the call - the scenario hangs up
+  missing: 4400, // No token in the URL
+  invalid: 4401, // Malformed or bad signature
+  expired: 4408, // Older than STREAM_TOKEN_TTL_MS
+  used: 4409, // Already redeemed (or issued before a restart)
+  busy: 4429 // Call already has a media socket
+};
+
+// nonce -> { callId, expiresAt } for tokens issued and not yet used
+const outstanding = new Map();
+
+function sign(data) {
+  return crypto.createHmac('sha256', STREAM_TOKEN_SECRET).update(data).digest('base64url');
+}
+
+/**
+ * Forget expired tokens that were never used
+ */
+function sweepExpired() {
+  const now = Date.now();
+  for (const [nonce, token] of outstanding) {
+    if (token.expiresAt <= now) {
+      outstanding.delete(nonce);
+    }
+  }
+}
+
+/**
+ * Issue a token for a call's media stream
+ * @param {string} callId - Call ID
+ * @returns {{ token: string, expiresAt: number }} - Token (URL-safe) and expiry timestamp
+ */
+export function issueStreamToken(callId) {
+  sweepExpired();
+
+  const nonce = crypto.randomBytes(16).toString('base64url');
+  const expiresAt = Date.now() + STREAM_TOKEN_TTL_MS;
+  const payload = Buffer.from(JSON.stringify({ c: callId, n: nonce, e: expiresAt })).toString('base64url');
+
+  outstanding.set(nonce, { callId, expiresAt });
+
+  return { token: `${payload}.${sign(payload)}`, expiresAt };
+}
+
+/**
+ * Redeem a token - succeeds once per token
+ * @param {string} token - Token from the media socket URL
+ * @returns {{ callId: string }|{ error: string, code: number }} - Call the socket belongs to, or why it was rejected
+ */
+export function redeemStreamToken(token) {
+  if (!token) {
+    return { error: 'missing stream token', code: STREAM_CLOSE_CODES.missing };
+  }
+
+  const [payload, signature] = String(token).split('.');
+  if (!payload || !signature) {
+    return { error: 'malformed stream token', code: STREAM_CLOSE_CODES.invalid };
+  }
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return { error: 'invalid stream token signature', code: STREAM_CLOSE_CODES.invalid };
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+  } catch (error) {
+    return { error: 'malformed stream token', code: STREAM_CLOSE_CODES.invalid };
+  }
+
+  if (claims.e <= Date.now()) {
+    outstanding.delete(claims.n);
+    return { error: 'stream token expired', code: STREAM_CLOSE_CODES.expired };
+  }
+
+  if (!outstanding.has(claims.n)) {
+    return { error: 'stream token already used', code: STREAM_CLOSE_CODES.used };
+  }
+
+  outstanding.delete(claims.n);
+  return { callId: claims.c };
+}
+
+/**
+ * Invalidate a call's unused tokens (call ended before its stream connected)
+ * @param {string} callId - Call ID
+ */
+export function revokeStreamTokens(callId) {
+  for (const [nonce, token] of outstanding) {
+    if (token.callId === callId) {
+      outstanding.delete(nonce);
+    }
+  }
+}
@@ -0,0 +1,31 @@
+// stub-speech.js
+// Canned speech shared by the offline stand-ins - the mock Realtime server and the pipeline's stub adapters
+// Replies are a warbling tone "spoken" for the length of their text; scripted responses say their script
+
+/**
+ * A 220Hz tone with a 4Hz "syllable" envelope
+ * @param {number} durationMs - Length of the audio
+ * @param {number} sampleRate - Sample rate (Hz)
+ * @returns {Buffer} - PCM16 mono audio
+ */
+export function toneAudio(durationMs, sampleRate) {
+  const samples = Math.round(sampleRate * durationMs / 1000);
+  const pcm = Buffer.alloc(samples * 2);
+  for (let i = 0; i < samples; i++) {
+    const t = i / sampleRate;
+    const envelope = 0.5 - 0.5 * Math.cos(2 * Math.PI * 4 * t);
+    pcm.writeInt16LE(Math.round(8000 * envelope * Math.sin(2 * Math.PI * 220 * t)), i * 2);
+  }
+  return pcm;
+}
+
+/**
+ * Script of a server-started response - greetings and voicemail append a "say exactly" instruction to the session
+ * instructions, so the last one wins
+ * @param {string} instructions - Instructions (or system message) of the response
+ * @returns {string|null} - Script, or null when the response is unscripted
+ */
+export function scriptedText(instructions) {
+  const scripts = [...(instructions || '').matchAll(/say(?:ing)? exactly[^"]*"([^"]+)"/gi)];
+  return scripts.length > 0 ? scripts[scripts.length - 1][1] : null;
+}
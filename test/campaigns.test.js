@@ -0,0 +1,91 @@
+// test/campaigns.test.js
+// Campaign queue: dialing, outcomes, pause / resume and completion (placeCall stubbed, files in a temp directory)
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// The logger reads LOG_LEVEL when it is first imported - keep every dial and outcome out of the test output
+process.env.LOG_LEVEL ??= 'warn';
+const { CampaignManager } = await import('../campaigns.js');
+
+const managers = [];
+
+after(async () => {
+  for (const manager of managers) {
+    // Let placeCall settle and the queued file writes finish before the directory goes
+    await new Promise(resolve => setImmediate(resolve));
+    while (manager.writes.size > 0) {
+      await Promise.allSettled(manager.writes.values());
+    }
+    fs.rmSync(manager.dir, { recursive: true, force: true });
+  }
+});
+
+/**
+ * @returns {Object} - { manager, placed } - placed: placeCall requests, in order
+ */
+function createManager() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'campaigns-'));
+  const placed = [];
+  const manager = new CampaignManager({
+    dir,
+    placeCall: async request => {
+      placed.push(request);
+      return { callId: `call_${placed.length}` };
+    }
+  });
+  manager.load();
+  managers.push(manager);
+  return { manager, placed };
+}
+
+/**
+ * @param {number} offsetMinutes - Minutes from now
+ * @returns {string} - "HH:MM" in UTC
+ */
+function clock(offsetMinutes) {
+  return new Date(Date.now() + offsetMinutes * 60000).toISOString().slice(11, 16);
+}
+
+// Open for the next hour whenever the test runs
+const OPEN_WINDOW = { start: clock(-60), end: clock(60) };
+
+test('a campaign completes once every contact has an outcome', () => {
+  const { manager, placed } = createManager();
+  const { id } = manager.createCampaign({ contacts: [{ phone: '+15550100001' }, { phone: '+15550100002' }], concurrency: 2, window: OPEN_WINDOW });
+  assert.equal(placed.length, 2);
+
+  manager.recordOutcome(placed[0].campaign, { callId: 'call_1', answered: true });
+  assert.equal(manager.getCampaign(id).status, 'running');
+  manager.recordOutcome(placed[1].campaign, { callId: 'call_2', answered: true });
+  assert.equal(manager.getCampaign(id).status, 'completed');
+});
+
+test('a campaign paused while its last contact is dialing completes on resume', () => {
+  const { manager, placed } = createManager();
+  const { id } = manager.createCampaign({ contacts: [{ phone: '+15550100001' }], window: OPEN_WINDOW });
+  assert.equal(placed.length, 1);
+
+  manager.setStatus(id, 'pause');
+  manager.recordOutcome(placed[0].campaign, { callId: 'call_1', answered: true });
+  assert.equal(manager.getCampaign(id).status, 'paused');
+
+  manager.setStatus(id, 'resume');
+  assert.equal(manager.getCampaign(id).status, 'completed');
+  assert.equal(placed.length, 1, 'nothing redialed');
+});
+
+test('a resumed campaign with contacts left keeps dialing', () => {
+  const { manager, placed } = createManager();
+  const { id } = manager.createCampaign({ contacts: [{ phone: '+15550100001' }, { phone: '+15550100002' }], window: OPEN_WINDOW });
+  manager.setStatus(id, 'pause');
+  manager.recordOutcome(placed[0].campaign, { callId: 'call_1', answered: true });
+
+  manager.setStatus(id, 'resume');
+  assert.equal(manager.getCampaign(id).status, 'running');
+  assert.equal(placed.length, 2);
+  assert.equal(placed[1].to, '+15550100002');
+});
@@ -0,0 +1,235 @@
+// test/concurrent-calls.test.js
+// Many simultaneous calls through the real server against the echo-mode mock Realtime server - each caller must
+// hear only their own audio back. G.711 u-law calls pass through untouched, so every call speaks its own byte value
+// and any other byte in its reply is audio from another call
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import crypto from 'crypto';
+import { once } from 'events';
+import fs from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import WebSocket from 'ws';
+
+const ROOT = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+const CALLS = 12;
+const FRAME_BYTES = 160; // 20ms of 8kHz u-law
+const SILENCE = 0xff;
+const SPEECH_FRAMES = 30;
+const SILENCE_FRAMES = 50;
+// The scenario's shared secret - webhooks and media socket upgrades are signed with it, as VOXENGINE_FINAL.js does
+const WEBHOOK_SECRET = 'concurrent-calls-test-secret';
+
+let mock;
+let server;
+let serverOutput = '';
+let baseUrl;
+let tempDir;
+
+/**
+ * @returns {Promise<number>} - A port nothing is listening on
+ */
+async function freePort() {
+  const probe = net.createServer().listen(0, '127.0.0.1');
+  await once(probe, 'listening');
+  const { port } = probe.address();
+  probe.close();
+  await once(probe, 'close');
+  return port;
+}
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * @param {string} payload - Raw webhook body or stream token
+ * @returns {Object} - { timestamp, signature }
+ */
+function sign(payload) {
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const signature = crypto.createHmac('sha256', WEBHOOK_SECRET).update(`${timestamp}.${payload}`).digest('hex');
+  return { timestamp, signature };
+}
+
+/**
+ * Send a signed webhook
+ * @param {Object} body - Webhook event
+ * @returns {Promise<Response>} - Server response
+ */
+function webhook(body) {
+  const raw = JSON.stringify(body);
+  const { timestamp, signature } = sign(raw);
+  return fetch(`${baseUrl}/webhook`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', 'X-Tavari-Timestamp': timestamp, 'X-Tavari-Signature': signature },
+    body: raw
+  });
+}
+
+/**
+ * @param {string} token - Stream token
+ * @returns {string} - Signed media socket URL for the token
+ */
+function streamUrl(token) {
+  const { timestamp, signature } = sign(token);
+  return `${baseUrl.replace('http', 'ws')}/media-stream-ws?token=${encodeURIComponent(token)}&ts=${timestamp}&sig=${signature}`;
+}
+
+/**
+ * Start a call and connect its media stream
+ * @param {string} callId - Call ID
+ * @returns {Promise<Object>} - { ws, token }
+ */
+async function connectCall(callId) {
+  await webhook({ event: 'CallStarted', callId, callerId: '+15551230000', calleeId: '+15550100000', encoding: 'ulaw', sampleRate: 8000 });
+  const stream = await (await webhook({ event: 'CallConnected', callId })).json();
+  assert.ok(stream.token, `${callId}: no stream token`);
+
+  const ws = new WebSocket(streamUrl(stream.token));
+  await once(ws, 'open');
+  ws.send(JSON.stringify({ event: 'start', start: { callId, encoding: 'ulaw', sampleRate: 8000, channels: 1 } }));
+  return { ws, token: stream.token };
+}
+
+/**
+ * Speak one turn (a constant byte, then silence) and collect the agent's reply until its mark
+ * @param {WebSocket} ws - Media socket
+ * @param {number} speechByte - u-law byte this caller speaks
+ * @returns {Promise<Buffer>} - Reply audio
+ */
+async function speakAndListen(ws, speechByte) {
+  const received = [];
+  const replied = new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`no reply mark for caller 0x${speechByte.toString(16)}`)), 20000);
+    ws.on('message', data => {
+      const message = JSON.parse(data.toString());
+      if (message.event === 'media') {
+        received.push(Buffer.from(message.media.payload, 'base64'));
+      } else if (message.event === 'mark' && received.length > 0) {
+        ws.send(JSON.stringify({ event: 'mark', mark: { name: message.mark.name } }));
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+  });
+
+  for (let i = 0; i < SPEECH_FRAMES + SILENCE_FRAMES; i++) {
+    const frame = Buffer.alloc(FRAME_BYTES, i < SPEECH_FRAMES ? speechByte : SILENCE);
+    ws.send(JSON.stringify({ event: 'media', media: { payload: frame.toString('base64') } }));
+    await delay(20);
+  }
+  await replied;
+  return Buffer.concat(received);
+}
+
+before(async () => {
+  // The logger reads LOG_LEVEL when it is first imported - keep the mock's per-session logs out of the test output
+  process.env.LOG_LEVEL ??= 'warn';
+  const { startMockRealtimeServer } = await import('../mock-realtime-server.js');
+  mock = startMockRealtimeServer({ port: 0, echo: true });
+  await once(mock, 'listening');
+
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'concurrent-calls-'));
+  const profilesDir = path.join(tempDir, 'profiles');
+  fs.mkdirSync(profilesDir);
+  fs.writeFileSync(path.join(profilesDir, 'default.json'), JSON.stringify({
+    id: 'default',
+    numbers: ['+15550100000'],
+    instructions: 'Echo test',
+    greeting: { mode: 'wait' }
+  }));
+
+  const port = await freePort();
+  baseUrl = `http://127.0.0.1:${port}`;
+  server = spawn(process.execPath, ['server.js'], {
+    cwd: ROOT,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      OPENAI_API_KEY: 'test',
+      OPENAI_REALTIME_URL: `ws://127.0.0.1:${mock.address().port}/v1/realtime`,
+      PROFILES_DIR: profilesDir,
+      CAMPAIGNS_DIR: path.join(tempDir, 'campaigns'),
+      CALL_STORE: 'memory',
+      RECORDING_ENABLED: 'false',
+      WEBHOOK_SECRET,
+      WEBHOOK_AUTH_DISABLED: 'false',
+      LOG_LEVEL: 'warn'
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  server.stdout.on('data', data => { serverOutput += data; });
+  server.stderr.on('data', data => { serverOutput += data; });
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      if ((await fetch(`${baseUrl}/health`)).ok) {
+        break;
+      }
+    } catch (error) {
+      if (attempt >= 100 || server.exitCode !== null) {
+        throw new Error(`server did not start:\n${serverOutput}`);
+      }
+    }
+    await delay(100);
+  }
+});
+
+after(async () => {
+  if (server && server.exitCode === null) {
+    server.kill();
+    await once(server, 'exit');
+  }
+  mock?.close();
+  if (tempDir) {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+});
+
+test('simultaneous calls each hear only their own audio', async () => {
+  const callIds = Array.from({ length: CALLS }, (value, i) => `concurrent_${i}`);
+  const calls = await Promise.all(callIds.map(connectCall));
+
+  // Distinct, loud u-law codes - none of them silence
+  const speechBytes = callIds.map((callId, i) => 0x10 + i * 3);
+  const replies = await Promise.all(calls.map(({ ws }, i) => speakAndListen(ws, speechBytes[i])));
+
+  replies.forEach((reply, i) => {
+    const heard = new Set(reply);
+    const foreign = [...heard].filter(byte => byte !== speechBytes[i] && byte !== SILENCE);
+    assert.deepEqual(foreign, [], `${callIds[i]} heard bytes ${foreign.map(byte => `0x${byte.toString(16)}`)} that are not its own`);
+    const ownBytes = reply.filter(byte => byte === speechBytes[i]).length;
+    assert.ok(ownBytes >= FRAME_BYTES * SPEECH_FRAMES * 0.9, `${callIds[i]} heard ${ownBytes} bytes of its own turn back`);
+  });
+
+  for (const { ws } of calls) {
+    ws.close();
+  }
+  await Promise.all(callIds.map(callId => webhook({ event: 'CallDisconnected', callId })));
+});
+
+test('a stream token opens one media socket only', async () => {
+  const { ws, token } = await connectCall('token_reuse');
+  const second = new WebSocket(streamUrl(token));
+  const [code] = await once(second, 'close');
+  assert.equal(code, 4409);
+  ws.close();
+  await webhook({ event: 'CallDisconnected', callId: 'token_reuse' });
+});
+
+test('unsigned webhooks and media sockets are refused', async () => {
+  const unsigned = await fetch(`${baseUrl}/webhook`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ event: 'CallStarted', callId: 'unsigned', callerId: '+15551230000', calleeId: '+15550100000' })
+  });
+  assert.equal(unsigned.status, 401);
+
+  const socket = new WebSocket(`${baseUrl.replace('http', 'ws')}/media-stream-ws?token=anything`);
+  socket.on('error', () => {});
+  const [, response] = await once(socket, 'unexpected-response');
+  assert.equal(response.statusCode, 401);
+});
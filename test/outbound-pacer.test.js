@@ -0,0 +1,70 @@
+// test/outbound-pacer.test.js
+// Outbound pacing: frames on a 20ms clock, marks behind their response, overflow keeping marks
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { OutboundPacer } from '../outbound-pacer.js';
+
+const FORMAT = { encoding: 'ulaw', sampleRate: 8000 };
+const FRAME_BYTES = 160;
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * @param {Object} options - Pacer options
+ * @returns {Object} - { pacer, events } - events: 'frame:<first byte>' and 'mark:<name>', in order
+ */
+function createPacer(options) {
+  const events = [];
+  const pacer = new OutboundPacer(FORMAT, options, (type, details) => {
+    if (type === 'frame') {
+      events.push(`frame:${details.audio[0]}`);
+    } else if (type === 'mark') {
+      events.push(`mark:${details.name}`);
+    }
+  });
+  pacer.start();
+  return { pacer, events };
+}
+
+test('frames are sent in order, each response followed by its mark', async () => {
+  const { pacer, events } = createPacer({ jitterMs: 0 });
+  pacer.push(Buffer.concat([Buffer.alloc(FRAME_BYTES, 1), Buffer.alloc(FRAME_BYTES, 2)]));
+  pacer.endResponse('first');
+  pacer.push(Buffer.alloc(FRAME_BYTES / 2, 3)); // Half a frame - padded with silence
+  pacer.endResponse('second');
+
+  await delay(150);
+  assert.deepEqual(events, ['frame:1', 'frame:2', 'mark:first', 'frame:3', 'mark:second']);
+  pacer.stop();
+});
+
+test('a buffer smaller than one frame still holds one, and overflow never drops a mark', async () => {
+  const { pacer, events } = createPacer({ jitterMs: 0, maxBufferMs: 10, overflow: 'drop_oldest' });
+  pacer.push(Buffer.alloc(FRAME_BYTES, 1));
+  pacer.endResponse('first');
+  // The first frame has gone out and only its mark is queued when the scenario announces its format -
+  // the mark is re-queued, and the next response must not push it out
+  pacer.setFormat(FORMAT, audio => audio);
+  pacer.push(Buffer.alloc(FRAME_BYTES, 2));
+  pacer.endResponse('second');
+
+  await delay(150);
+  assert.deepEqual(events, ['frame:1', 'mark:first', 'frame:2', 'mark:second']);
+  pacer.stop();
+});
+
+test('a full buffer drops the oldest audio but keeps the marks', async () => {
+  const { pacer, events } = createPacer({ jitterMs: 0, maxBufferMs: 40, overflow: 'drop_oldest' });
+  pacer.stop(); // Hold everything so the buffer fills
+  pacer.push(Buffer.alloc(FRAME_BYTES, 1));
+  pacer.endResponse('first');
+  pacer.push(Buffer.concat([2, 3, 4].map(value => Buffer.alloc(FRAME_BYTES, value))));
+  pacer.endResponse('second');
+  assert.equal(pacer.stats.droppedMs, 40);
+
+  pacer.start();
+  await delay(150);
+  assert.deepEqual(events, ['mark:first', 'frame:3', 'frame:4', 'mark:second']);
+  pacer.stop();
+});
@@ -0,0 +1,237 @@
+// test/pipeline-backend.test.js
+// Cascaded pipeline backend on the stub adapters: the Realtime events it emits for replies, caller turns,
+// cancellation, truncation and tool calls
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'events';
+import { toneAudio } from '../stub-speech.js';
+
+// The stub chat's reply - read when pipeline-adapters.js is first imported, like LOG_LEVEL by the logger
+process.env.PIPELINE_STUB_REPLY = 'It costs 3.5 dollars. She said "call back later." OK';
+process.env.LOG_LEVEL ??= 'warn';
+const { PipelineBackend } = await import('../ai-backend.js');
+
+const SAMPLE_RATE = 24000; // pcm16
+const SESSION = { instructions: 'Pipeline test', input_audio_format: 'pcm16', output_audio_format: 'pcm16', turn_detection: null };
+const STUB_SETTINGS = { stt: { adapter: 'stub' }, llm: { adapter: 'stub' }, tts: { adapter: 'stub', voice: null } };
+const USER_MESSAGE = { type: 'message', role: 'user', content: [{ type: 'input_text', text: 'How much is it?' }] };
+
+const backends = [];
+
+after(() => {
+  for (const backend of backends) {
+    backend.close();
+  }
+});
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Connect a backend on the stub adapters and configure it
+ * @param {Object} [session] - session.update overrides
+ * @returns {Promise<Object>} - { backend, events, spoken } - events: every Realtime event; spoken: text sent to speech
+ */
+async function openBackend(session = {}) {
+  const backend = new PipelineBackend({ settings: STUB_SETTINGS, callId: 'pipeline_test' });
+  backends.push(backend);
+  const events = [];
+  backend.on('event', event => events.push(event));
+  backend.connect();
+  await once(backend, 'open');
+
+  const spoken = [];
+  const { tts } = backend.adapters;
+  const synthesize = tts.synthesize.bind(tts);
+  tts.synthesize = (text, options) => {
+    spoken.push(text);
+    return synthesize(text, options);
+  };
+
+  backend.configure({ ...SESSION, ...session });
+  return { backend, events, spoken };
+}
+
+/**
+ * @param {Object[]} events - Events received so far (still growing)
+ * @param {Function} predicate - (event) => boolean
+ * @returns {Promise<Object>} - The first matching event
+ */
+async function waitFor(events, predicate) {
+  const deadline = Date.now() + 2000;
+  while (!events.some(predicate)) {
+    assert.ok(Date.now() < deadline, 'timed out waiting for an event');
+    await delay(5);
+  }
+  return events.find(predicate);
+}
+
+/**
+ * @param {Object[]} events - Realtime events
+ * @returns {string[]} - Their types, without the streamed deltas
+ */
+function eventTypes(events) {
+  return events.map(event => event.type).filter(type => !type.endsWith('.delta'));
+}
+
+test('a reply is spoken sentence by sentence - decimals and closing quotes stay in their sentence', async () => {
+  const { backend, events, spoken } = await openBackend();
+  backend.addItem(USER_MESSAGE);
+  backend.createResponse();
+  const done = await waitFor(events, event => event.type === 'response.done');
+
+  assert.deepEqual(spoken, ['It costs 3.5 dollars.', 'She said "call back later."', 'OK']);
+  assert.deepEqual(eventTypes(events), [
+    'session.updated',
+    'conversation.item.created',
+    'response.created',
+    'response.output_item.added',
+    'response.content_part.added',
+    'response.audio.done',
+    'response.audio_transcript.done',
+    'response.content_part.done',
+    'response.output_item.done',
+    'response.done'
+  ]);
+  const transcript = events.filter(event => event.type === 'response.audio_transcript.delta').map(event => event.delta).join('');
+  assert.equal(transcript, process.env.PIPELINE_STUB_REPLY);
+  assert.ok(events.some(event => event.type === 'response.audio.delta'), 'no reply audio');
+  assert.equal(done.response.status, 'completed');
+  assert.deepEqual(done.response.output.map(item => item.content[0].transcript), [process.env.PIPELINE_STUB_REPLY]);
+});
+
+test('a response asked for during transcription waits for the caller\'s words', async () => {
+  const { backend, events } = await openBackend();
+  backend.adapters.stt.transcribe = async () => {
+    await delay(50);
+    return 'What does it cost?';
+  };
+  const heard = [];
+  const { llm } = backend.adapters;
+  const stream = llm.stream.bind(llm);
+  llm.stream = (messages, options) => {
+    heard.push(messages[messages.length - 1].content);
+    return stream(messages, options);
+  };
+
+  backend.appendAudio(toneAudio(500, SAMPLE_RATE));
+  backend.commit();
+  backend.createResponse();
+  const done = await waitFor(events, event => event.type === 'response.done');
+
+  assert.deepEqual(eventTypes(events).slice(0, 6), [
+    'session.updated',
+    'input_audio_buffer.committed',
+    'conversation.item.created',
+    'response.created',
+    'conversation.item.input_audio_transcription.completed',
+    'response.output_item.added'
+  ]);
+  assert.deepEqual(heard, ['What does it cost?']);
+  assert.equal(done.response.status, 'completed');
+});
+
+test('a response cancelled before it speaks emits nothing more, and the next one runs', async () => {
+  const { backend, events, spoken } = await openBackend();
+  backend.addItem(USER_MESSAGE);
+  backend.createResponse();
+  backend.cancel(); // runResponse is still waiting on this.transcribing
+  const cancelled = await waitFor(events, event => event.type === 'response.done');
+  await delay(50);
+
+  assert.equal(cancelled.response.status, 'cancelled');
+  assert.deepEqual(spoken, []);
+  assert.ok(!events.some(event => event.response_id === cancelled.response.id), 'events from the cancelled response');
+
+  backend.createResponse();
+  const next = await waitFor(events, event => event.type === 'response.done' && event.response.id !== cancelled.response.id);
+  assert.equal(next.response.status, 'completed');
+  assert.ok(!events.some(event => event.type === 'error'), 'the cancelled response was still active');
+});
+
+test('a response cancelled mid-sentence stops its audio and is not remembered', async () => {
+  const { backend, events } = await openBackend();
+  // Slow speech down so the cancel lands while the first sentence is playing
+  const { tts } = backend.adapters;
+  const synthesize = tts.synthesize.bind(tts);
+  tts.synthesize = async function* (text, options) {
+    for await (const chunk of synthesize(text, options)) {
+      await delay(10);
+      yield chunk;
+    }
+  };
+
+  backend.addItem(USER_MESSAGE);
+  backend.createResponse();
+  await waitFor(events, event => event.type === 'response.audio.delta');
+  backend.cancel();
+  const done = await waitFor(events, event => event.type === 'response.done');
+  const doneAt = events.indexOf(done);
+  await delay(100);
+
+  assert.equal(done.response.status, 'cancelled');
+  assert.deepEqual(events.slice(doneAt + 1), []);
+  assert.ok(!backend.messages.some(entry => entry.message.role === 'assistant'), 'an unspoken reply is in the history');
+});
+
+test('truncate keeps the share of words the caller heard', async () => {
+  const { backend, events } = await openBackend();
+  backend.createResponse({ instructions: 'Say exactly "one two three four five six seven eight nine ten"' });
+  const done = await waitFor(events, event => event.type === 'response.done');
+  const itemId = done.response.output[0].id;
+  const entry = backend.messages.find(candidate => candidate.itemId === itemId);
+
+  backend.truncate(itemId, 0, entry.audioMs * 0.3);
+  const truncated = await waitFor(events, event => event.type === 'conversation.item.truncated');
+
+  assert.equal(entry.message.content, 'one two three');
+  assert.deepEqual(truncated, { type: 'conversation.item.truncated', item_id: itemId, content_index: 0, audio_end_ms: entry.audioMs });
+});
+
+test('tool calls become function_call output items after the spoken message', async () => {
+  const { backend, events } = await openBackend();
+  backend.adapters.llm.stream = async function* () {
+    yield { type: 'text', text: 'One moment. ' };
+    yield { type: 'tool_call', callId: 'call_hours', name: 'check_hours', arguments: '{"day":"monday"}' };
+  };
+
+  backend.addItem(USER_MESSAGE);
+  backend.createResponse();
+  const done = await waitFor(events, event => event.type === 'response.done');
+
+  assert.deepEqual(done.response.output.map(item => item.type), ['message', 'function_call']);
+  const call = events.find(event => event.type === 'response.function_call_arguments.done');
+  assert.equal(call.output_index, 1);
+  assert.equal(call.call_id, 'call_hours');
+  assert.equal(call.name, 'check_hours');
+  assert.equal(call.arguments, '{"day":"monday"}');
+  assert.deepEqual(eventTypes(events).slice(-4), [
+    'response.output_item.added',
+    'response.function_call_arguments.done',
+    'response.output_item.done',
+    'response.done'
+  ]);
+
+  backend.addItem({ type: 'function_call_output', call_id: 'call_hours', output: '{"open":true}' });
+  const history = backend.messages.map(entry => entry.message);
+  assert.deepEqual(history[history.length - 2].tool_calls, [
+    { id: 'call_hours', type: 'function', function: { name: 'check_hours', arguments: '{"day":"monday"}' } }
+  ]);
+  assert.deepEqual(history[history.length - 1], { role: 'tool', tool_call_id: 'call_hours', content: '{"open":true}' });
+});
+
+test('a session.update that leaves turn detection alone keeps the caller turn in progress', async () => {
+  const { backend, events } = await openBackend({
+    turn_detection: { type: 'server_vad', threshold: 0.5, prefix_padding_ms: 300, silence_duration_ms: 300 }
+  });
+  backend.appendAudio(toneAudio(600, SAMPLE_RATE));
+  const started = await waitFor(events, event => event.type === 'input_audio_buffer.speech_started');
+
+  backend.configure({ instructions: 'Updated mid-turn' });
+  backend.appendAudio(Buffer.alloc(SAMPLE_RATE * 2 * 0.5)); // 500ms of silence ends the turn
+  const stopped = await waitFor(events, event => event.type === 'input_audio_buffer.speech_stopped');
+  const committed = await waitFor(events, event => event.type === 'input_audio_buffer.committed');
+
+  assert.equal(stopped.item_id, started.item_id);
+  assert.equal(committed.item_id, started.item_id);
+});
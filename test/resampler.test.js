@@ -0,0 +1,124 @@
+// test/resampler.test.js
+// StreamingResampler on synthetic tones: pass band gain, aliasing / image rejection, frame-boundary continuity
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { StreamingResampler, SUPPORTED_RATES } from '../resampler.js';
+
+/**
+ * @param {number} frequency - Tone frequency (Hz)
+ * @param {number} sampleRate - Sample rate (Hz)
+ * @param {number} ms - Duration
+ * @param {number} [amplitude] - Peak amplitude
+ * @returns {Buffer} - PCM16 sine tone
+ */
+function tone(frequency, sampleRate, ms, amplitude = 10000) {
+  const samples = Math.round(sampleRate * ms / 1000);
+  const pcm = Buffer.alloc(samples * 2);
+  for (let i = 0; i < samples; i++) {
+    pcm.writeInt16LE(Math.round(amplitude * Math.sin(2 * Math.PI * frequency * i / sampleRate)), i * 2);
+  }
+  return pcm;
+}
+
+/**
+ * Amplitude of one frequency in PCM16 audio (Goertzel), skipping the filter's start-up
+ * @param {Buffer} pcm - PCM16 audio
+ * @param {number} frequency - Frequency to measure (Hz)
+ * @param {number} sampleRate - Sample rate (Hz)
+ * @returns {number} - Peak amplitude of that frequency
+ */
+function amplitudeAt(pcm, frequency, sampleRate) {
+  const start = Math.round(sampleRate * 0.02);
+  const count = pcm.length / 2 - start;
+  const coefficient = 2 * Math.cos(2 * Math.PI * frequency / sampleRate);
+  let previous = 0;
+  let beforePrevious = 0;
+  for (let i = start; i < start + count; i++) {
+    const current = pcm.readInt16LE(i * 2) + coefficient * previous - beforePrevious;
+    beforePrevious = previous;
+    previous = current;
+  }
+  const power = previous * previous + beforePrevious * beforePrevious - coefficient * previous * beforePrevious;
+  return 2 * Math.sqrt(power) / count;
+}
+
+const db = ratio => 20 * Math.log10(ratio);
+
+test('tones in the pass band keep their level', () => {
+  for (const [inputRate, outputRate] of [[24000, 8000], [8000, 24000], [48000, 16000], [16000, 48000]]) {
+    const output = new StreamingResampler(inputRate, outputRate).process(tone(1000, inputRate, 500));
+    const gainDb = db(amplitudeAt(output, 1000, outputRate) / 10000);
+    assert.ok(Math.abs(gainDb) < 0.5, `${inputRate} -> ${outputRate}: 1kHz gain ${gainDb.toFixed(2)}dB`);
+  }
+});
+
+test('downsampling rejects tones above the new Nyquist frequency', () => {
+  // 6kHz at 24kHz would alias to 2kHz at 8kHz; 10kHz at 48kHz to 6kHz at 16kHz; 5kHz at 16kHz to 3kHz at 8kHz
+  for (const [inputRate, outputRate, frequency, aliasFrequency] of [[24000, 8000, 6000, 2000], [48000, 16000, 10000, 6000], [16000, 8000, 5000, 3000]]) {
+    const output = new StreamingResampler(inputRate, outputRate).process(tone(frequency, inputRate, 500));
+    const rejectionDb = db(10000 / Math.max(amplitudeAt(output, aliasFrequency, outputRate), 1e-3));
+    assert.ok(rejectionDb > 60, `${inputRate} -> ${outputRate}: ${frequency}Hz alias only ${rejectionDb.toFixed(1)}dB down`);
+  }
+});
+
+test('upsampling rejects the images of the input', () => {
+  // A 1kHz tone at 8kHz leaves images at 7kHz and 9kHz when upsampled without filtering
+  const output = new StreamingResampler(8000, 24000).process(tone(1000, 8000, 500));
+  for (const image of [7000, 9000]) {
+    const rejectionDb = db(10000 / Math.max(amplitudeAt(output, image, 24000), 1e-3));
+    assert.ok(rejectionDb > 60, `${image}Hz image only ${rejectionDb.toFixed(1)}dB down`);
+  }
+});
+
+test('chunked input gives the same output as one buffer', () => {
+  for (const [inputRate, outputRate] of [[24000, 8000], [8000, 24000], [16000, 24000], [48000, 8000]]) {
+    const input = tone(440, inputRate, 300);
+    const whole = new StreamingResampler(inputRate, outputRate).process(input);
+
+    // 20ms frames, then ragged chunks with odd byte counts (samples split across chunks)
+    for (const sizes of [[inputRate / 50 * 2], [1, 7, 160, 333, 2, 999]]) {
+      const resampler = new StreamingResampler(inputRate, outputRate);
+      const chunks = [];
+      for (let offset = 0, i = 0; offset < input.length; i++) {
+        const size = sizes[i % sizes.length];
+        chunks.push(resampler.process(input.subarray(offset, offset + size)));
+        offset += size;
+      }
+      assert.deepEqual(Buffer.concat(chunks), whole, `${inputRate} -> ${outputRate} in chunks of ${sizes.join('/')}`);
+    }
+  }
+});
+
+test('frame boundaries have no clicks', () => {
+  // The largest step between samples of a 440Hz tone is about 2 * pi * 440 / rate of its amplitude
+  const resampler = new StreamingResampler(24000, 8000);
+  const input = tone(440, 24000, 400);
+  let previous = null;
+  let largestStep = 0;
+  for (let offset = 0; offset < input.length; offset += 480 * 2) {
+    const frame = resampler.process(input.subarray(offset, offset + 480 * 2));
+    for (let i = 0; i < frame.length / 2; i++) {
+      const sample = frame.readInt16LE(i * 2);
+      if (previous !== null && offset + i > 0) {
+        largestStep = Math.max(largestStep, Math.abs(sample - previous));
+      }
+      previous = sample;
+    }
+  }
+  const expected = 2 * Math.PI * 440 / 8000 * 10000;
+  assert.ok(largestStep < expected * 1.05, `largest step ${largestStep}, expected about ${Math.round(expected)}`);
+});
+
+test('every rate combination keeps the duration', () => {
+  for (const inputRate of SUPPORTED_RATES) {
+    for (const outputRate of SUPPORTED_RATES) {
+      const output = new StreamingResampler(inputRate, outputRate).process(tone(440, inputRate, 100));
+      assert.ok(Math.abs(output.length / 2 - outputRate / 10) <= 1, `${inputRate} -> ${outputRate}: ${output.length / 2} samples`);
+    }
+  }
+});
+
+test('unsupported rates are rejected', () => {
+  assert.throws(() => new StreamingResampler(44100, 8000), /Unsupported resampling/);
+});
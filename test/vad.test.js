@@ -0,0 +1,145 @@
+// test/vad.test.js
+// Local VAD and noise gate on synthetic audio: voiced "speech", silence, line noise, hum, hiss and hold tones
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { VoiceActivityDetector, SpeechGate, analyzeFrame, thresholdToDb } from '../vad.js';
+
+const RATE = 8000;
+
+/**
+ * @param {number} ms - Duration
+ * @param {Function} sample - (t seconds) => sample value
+ * @returns {Buffer} - PCM16 audio
+ */
+function synthesize(ms, sample) {
+  const samples = RATE * ms / 1000;
+  const pcm = Buffer.alloc(samples * 2);
+  for (let i = 0; i < samples; i++) {
+    pcm.writeInt16LE(Math.max(-32768, Math.min(32767, Math.round(sample(i / RATE)))), i * 2);
+  }
+  return pcm;
+}
+
+/**
+ * Seeded pseudo-random numbers (32-bit LCG) - the same noise on every run, so a failure reproduces
+ * @param {number} seed - Starting state
+ * @returns {Function} - () => number in [0, 1)
+ */
+function lcg(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (Math.imul(state, 1664525) + 1013904223) >>> 0;
+    return state / 2 ** 32;
+  };
+}
+
+const random = lcg(20240611);
+
+// Line noise around -50dBFS (uniform, so level = amplitude / sqrt(3))
+const lineNoise = (amplitude = 180) => () => amplitude * (random() * 2 - 1);
+
+/**
+ * Voiced speech stand-in: 140Hz harmonics with a 4Hz syllable envelope, over line noise
+ * @param {number} ms - Duration
+ * @param {Object} [options] - { amplitude, floor } - floor is the envelope's minimum (0: silent between syllables)
+ * @returns {Buffer} - PCM16 audio
+ */
+function speech(ms, { amplitude = 6000, floor = 0 } = {}) {
+  const noise = lineNoise();
+  return synthesize(ms, t => {
+    const envelope = floor + (1 - floor) * (0.5 - 0.5 * Math.cos(2 * Math.PI * 4 * t));
+    let voiced = 0;
+    for (let harmonic = 1; harmonic <= 8; harmonic++) {
+      voiced += Math.sin(2 * Math.PI * 140 * harmonic * t) / harmonic;
+    }
+    return amplitude * envelope * voiced / 2 + noise();
+  });
+}
+
+const tone = (ms, frequency, amplitude) => synthesize(ms, t => amplitude * Math.sin(2 * Math.PI * frequency * t));
+const quiet = ms => synthesize(ms, lineNoise());
+
+/**
+ * Run audio through a detector in 20ms chunks
+ * @param {Buffer[]} parts - Audio, in order
+ * @param {Object} [options] - VAD options
+ * @returns {Object[]} - Events: { type, atMs, audioMs }
+ */
+function detect(parts, options = {}) {
+  const events = [];
+  const detector = new VoiceActivityDetector(RATE, options, (type, details) => {
+    events.push({ type, atMs: details.atMs, audioMs: details.audio ? details.audio.length / 2 / RATE * 1000 : null });
+  });
+  const audio = Buffer.concat(parts);
+  for (let offset = 0; offset < audio.length; offset += 320) {
+    detector.process(audio.subarray(offset, offset + 320));
+  }
+  return events;
+}
+
+test('analyzeFrame measures level and zero-crossing rate', () => {
+  const pcm = tone(20, 1000, 16384);
+  const samples = Int16Array.from({ length: pcm.length / 2 }, (value, i) => pcm.readInt16LE(i * 2));
+  const { levelDb, zeroCrossingHz } = analyzeFrame(samples, RATE);
+  assert.ok(Math.abs(levelDb - -9) < 0.5, `level ${levelDb}`); // Half-scale sine: -6dB peak, -9dB RMS
+  assert.ok(Math.abs(zeroCrossingHz - 1000) <= 50, `zero crossings ${zeroCrossingHz}`);
+  assert.equal(thresholdToDb(0.5), -40);
+  assert.equal(thresholdToDb(2), -20);
+});
+
+test('a spoken turn starts and stops once, with its prefix padding', () => {
+  const events = detect([quiet(1000), speech(1500), quiet(1500)]);
+  assert.deepEqual(events.map(event => event.type), ['speech_started', 'speech_stopped']);
+  assert.ok(Math.abs(events[0].atMs - 700) <= 100, `started at ${events[0].atMs}ms`); // 1000ms minus 300ms padding
+  assert.ok(events[1].atMs >= 2500 && events[1].atMs <= 3200, `stopped at ${events[1].atMs}ms`);
+  assert.ok(events[1].audioMs >= 1800, `turn audio ${events[1].audioMs}ms`);
+});
+
+test('a long utterance is not cut off by the noise floor', () => {
+  // Continuous voicing for 8s - the noise floor must not creep up to it during the turn
+  const events = detect([quiet(2000), speech(8000, { floor: 0.4 }), quiet(2000)]);
+  assert.deepEqual(events.map(event => event.type), ['speech_started', 'speech_stopped']);
+  assert.ok(events[1].atMs >= 10000, `stopped at ${events[1].atMs}ms, speech ran to 10000ms`);
+});
+
+test('silence and line noise are not speech', () => {
+  assert.deepEqual(detect([Buffer.alloc(RATE * 2 * 3)]), []);
+  assert.deepEqual(detect([quiet(3000)]), []);
+});
+
+test('steady noise, hum and hiss are not speech', () => {
+  // Loud white noise: in the speech band, but never above its own noise floor
+  assert.deepEqual(detect([synthesize(5000, lineNoise(10000))]), [], 'white noise');
+  // 60Hz mains hum crosses zero too rarely, 3.5kHz hiss too often - even with no noise floor
+  assert.deepEqual(detect([tone(3000, 60, 10000)], { noiseMarginDb: null }), [], 'hum');
+  assert.deepEqual(detect([tone(3000, 3500, 10000)], { noiseMarginDb: null }), [], 'hiss');
+});
+
+test('quiet speech below the threshold is ignored', () => {
+  assert.deepEqual(detect([quiet(1000), speech(1500, { amplitude: 300 }), quiet(1000)], { noiseMarginDb: null }), []);
+});
+
+test('a hold tone starting mid-call stops counting after one max-length turn', () => {
+  const events = detect([quiet(1000), tone(10000, 440, 8000)], { maxTurnMs: 3000 });
+  assert.deepEqual(events.map(event => event.type), ['speech_started', 'speech_stopped']);
+});
+
+test('the noise gate holds back silence and passes turns with their prefix', () => {
+  const gate = new SpeechGate(RATE, { gate: true, hangoverMs: 200 }, () => {});
+  const send = audio => {
+    const chunks = [];
+    for (let offset = 0; offset < audio.length; offset += 320) {
+      const pcm = audio.subarray(offset, offset + 320);
+      chunks.push(...gate.process(pcm, pcm));
+    }
+    return Buffer.concat(chunks).length / 2 / RATE * 1000;
+  };
+
+  assert.equal(send(quiet(2000)), 0, 'silence is held back');
+  assert.ok(gate.gatedMs >= 1500, `gated ${gate.gatedMs}ms`);
+
+  const passedMs = send(Buffer.concat([speech(1500), quiet(1500)]));
+  assert.ok(passedMs >= 1500 + 300 && passedMs <= 1500 + 500 + 200 + 500, `passed ${passedMs}ms`);
+  assert.equal(gate.isOpen, false, 'shut again after the hangover');
+});
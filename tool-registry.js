@@ -0,0 +1,192 @@
+// tool-registry.js
+// Function-calling tools for the OpenAI Realtime session
+// Tools are loaded from TOOLS_DIR: JS modules run locally, JSON files are called over HTTP
+
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import axios from 'axios';
+import { createLogger } from './logger.js';
+
+const log = createLogger('tool-registry');
+
+const TOOLS_DIR = process.env.TOOLS_DIR || path.resolve(process.cwd(), 'tools');
+const TOOLS_HTTP_ENDPOINT = process.env.TOOLS_HTTP_ENDPOINT || null;
+const DEFAULT_TOOL_TIMEOUT_MS = parseInt(process.env.TOOL_TIMEOUT_MS || '10000', 10);
+
+// tool name -> { name, description, parameters, timeoutMs, handler, redact }
+const tools = new Map();
+
+/**
+ * Register a tool
+ * @param {Object} tool - Tool definition
+ * @param {string} tool.name - Function name the model calls
+ * @param {string} tool.description - What the tool does (sent to the model)
+ * @param {Object} tool.parameters - JSON schema of the arguments
+ * @param {Function} tool.handler - async (args, context) => result
+ * @param {number} [tool.timeoutMs] - Execution time limit
+ * @param {Function} [tool.redact] - (output) => what the call record stores instead (the model still gets the output)
+ */
+export function registerTool(tool) {
+  if (!tool || !tool.name || typeof tool.handler !== 'function') {
+    throw new Error('Tool must have a name and a handler function');
+  }
+  if (tools.has(tool.name)) {
+    log.warn(`Tool "${tool.name}" registered twice - replacing previous definition`, { event: 'tool.duplicate' });
+  }
+
+  tools.set(tool.name, {
+    name: tool.name,
+    description: tool.description || '',
+    parameters: tool.parameters || { type: 'object', properties: {} },
+    timeoutMs: tool.timeoutMs || DEFAULT_TOOL_TIMEOUT_MS,
+    handler: tool.handler,
+    redact: typeof tool.redact === 'function' ? tool.redact : null
+  });
+}
+
+/**
+ * The version of a tool's output to keep in the call record - without secrets the caller gave (PINs, account numbers)
+ * @param {string} name - Tool name
+ * @param {Object} output - Output returned to the model
+ * @returns {Object} - Output to store
+ */
+export function redactToolOutput(name, output) {
+  const tool = tools.get(name);
+  if (!tool?.redact) {
+    return output;
+  }
+  try {
+    return tool.redact(output);
+  } catch (error) {
+    log.error(`Tool "${name}" could not redact its output - not storing it`, { event: 'tool.redact_error', error: error.message });
+    return { redacted: true };
+  }
+}
+
+/**
+ * Create a handler that POSTs the tool call to an HTTP endpoint
+ * The endpoint receives { tool, arguments, callId, variables } and its JSON response is the result
+ * @param {Object} spec - Parsed JSON tool file
+ * @returns {Function} - Tool handler
+ */
+function createHttpHandler(spec) {
+  const endpoint = spec.endpoint || TOOLS_HTTP_ENDPOINT;
+  if (!endpoint) {
+    throw new Error(`HTTP tool "${spec.name}" has no endpoint (set "endpoint" or TOOLS_HTTP_ENDPOINT)`);
+  }
+
+  return async (args, context) => {
+    const response = await axios.post(endpoint, {
+      tool: spec.name,
+      arguments: args,
+      callId: context.callId,
+      variables: context.variables || {}
+    }, {
+      headers: spec.headers || {},
+      timeout: spec.timeoutMs || DEFAULT_TOOL_TIMEOUT_MS
+    });
+    return response.data;
+  };
+}
+
+/**
+ * Load all tools from TOOLS_DIR
+ * - `*.js` modules default-export { name, description, parameters, handler, timeoutMs }
+ * - `*.json` files declare { name, description, parameters, endpoint, headers, timeoutMs }
+ * @returns {Promise<number>} - Number of tools registered
+ */
+export async function loadTools() {
+  let files = [];
+  try {
+    files = fs.readdirSync(TOOLS_DIR);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      log.error('Could not read tools directory', { event: 'tool.load_error', dir: TOOLS_DIR, error: error.message });
+    }
+    return tools.size;
+  }
+
+  for (const file of files) {
+    const filePath = path.join(TOOLS_DIR, file);
+    try {
+      if (file.endsWith('.js')) {
+        const module = await import(pathToFileURL(filePath).href);
+        registerTool(module.default);
+      } else if (file.endsWith('.json')) {
+        const spec = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        registerTool({ ...spec, handler: createHttpHandler(spec) });
+      }
+    } catch (error) {
+      log.error('Invalid tool file', { event: 'tool.invalid_file', file, error: error.message });
+    }
+  }
+
+  log.info(`Loaded ${tools.size} tool(s)`, { event: 'tool.loaded', dir: TOOLS_DIR, count: tools.size });
+  return tools.size;
+}
+
+/**
+ * Get the Realtime `tools` declarations for a list of tool names
+ * Unknown names are logged and left out so a typo in a profile doesn't break the session
+ * @param {string[]} names - Tool names from the agent profile
+ * @returns {Object[]} - Function declarations for session.update
+ */
+export function getToolDefinitions(names = []) {
+  const definitions = [];
+  for (const name of names) {
+    const tool = tools.get(name);
+    if (!tool) {
+      log.warn(`Unknown tool "${name}" in profile - skipping`, { event: 'tool.unknown' });
+      continue;
+    }
+    definitions.push({
+      type: 'function',
+      name: tool.name,
+      description: tool.description,
+      parameters: tool.parameters
+    });
+  }
+  return definitions;
+}
+
+/**
+ * Execute a tool call from the model
+ * Never throws - failures (bad JSON, unknown tool, handler error, timeout) are returned as { error }
+ * so the model can tell the caller something went wrong
+ * @param {string} name - Tool name
+ * @param {string} argumentsJson - Arguments as sent by the model (JSON string)
+ * @param {Object} context - Call context passed to the handler ({ callId, session, profile, caller, variables })
+ * @returns {Promise<{ output: Object, error: string|null, durationMs: number }>} - Tool result
+ */
+export async function executeTool(name, argumentsJson, context) {
+  const startedAt = Date.now();
+  const tool = tools.get(name);
+
+  if (!tool) {
+    return { output: { error: `Unknown tool: ${name}` }, error: 'unknown_tool', durationMs: 0 };
+  }
+
+  let args;
+  try {
+    args = argumentsJson ? JSON.parse(argumentsJson) : {};
+  } catch (error) {
+    return { output: { error: 'Invalid arguments' }, error: 'invalid_arguments', durationMs: 0 };
+  }
+
+  let timer;
+  try {
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`Tool timed out after ${tool.timeoutMs}ms`)), tool.timeoutMs);
+    });
+    const result = await Promise.race([
+      Promise.resolve().then(() => tool.handler(args, context)),
+      timeout
+    ]);
+    return { output: result === undefined ? { ok: true } : result, error: null, durationMs: Date.now() - startedAt };
+  } catch (error) {
+    return { output: { error: error.message }, error: error.message, durationMs: Date.now() - startedAt };
+  } finally {
+    clearTimeout(timer);
+  }
+}
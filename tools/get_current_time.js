@@ -0,0 +1,25 @@
+// tools/get_current_time.js
+// Example local tool - tells the model the current date and time
+
+export default {
+  name: 'get_current_time',
+  description: 'Get the current date and time, optionally in a specific IANA time zone (e.g. "America/Toronto").',
+  parameters: {
+    type: 'object',
+    properties: {
+      timezone: {
+        type: 'string',
+        description: 'IANA time zone name'
+      }
+    }
+  },
+  timeoutMs: 1000,
+  handler: async ({ timezone }) => {
+    const now = new Date();
+    return {
+      iso: now.toISOString(),
+      local: now.toLocaleString('en-US', { timeZone: timezone || 'UTC' }),
+      timezone: timezone || 'UTC'
+    };
+  }
+};
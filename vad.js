@@ -0,0 +1,253 @@
+// vad.js
+// Local voice activity detection - splits caller audio into turns without OpenAI's server_vad,
+// and gates the audio sent to the model so line noise and silence aren't streamed (and paid for)
+//
+// Works on 20ms PCM16 frames. A frame is speech when it is:
+// - louder than thresholdDb, and noiseMarginDb above the line's noise floor (tracked between turns, so steady
+//   noise and hold music stop counting after a few seconds)
+// - within the zero-crossing band of speech - mains hum crosses zero too rarely, hiss too often
+// A turn starts after minSpeechMs of speech (with prefixPaddingMs of audio from before it) and ends after
+// silenceDurationMs of non-speech.
+
+const FRAME_MS = 20;
+
+export const VAD_DEFAULTS = Object.freeze({
+  thresholdDb: -40, // Frames quieter than this are silence
+  noiseMarginDb: 10, // Speech must be this far above the noise floor (null: no noise floor)
+  zeroCrossingMinHz: 100, // Zero-crossing rate (as a frequency: crossings per second / 2) of speech frames
+  zeroCrossingMaxHz: 3000,
+  prefixPaddingMs: 300, // Audio kept from before the speech started
+  silenceDurationMs: 500, // Silence that ends a turn
+  minSpeechMs: 100, // Shorter bursts are noise, not a turn
+  maxTurnMs: 30000 // Turns are cut here so one never grows without bound
+});
+
+// Noise floor: follows quieter frames at once, louder ones slowly (about 2s) - so it settles on the line's noise
+const NOISE_FLOOR_RISE = 0.01;
+const NOISE_FLOOR_MIN_DB = -90;
+
+/**
+ * Level and zero-crossing rate of a PCM16 frame
+ * @param {Int16Array} samples - Frame samples
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {Object} - { levelDb (dBFS, -Infinity for digital silence), zeroCrossingHz }
+ */
+export function analyzeFrame(samples, sampleRate) {
+  let sum = 0;
+  let crossings = 0;
+  for (let i = 0; i < samples.length; i++) {
+    sum += samples[i] * samples[i];
+    if (i > 0 && (samples[i] >= 0) !== (samples[i - 1] >= 0)) {
+      crossings++;
+    }
+  }
+  return {
+    levelDb: 10 * Math.log10(sum / samples.length / (32768 * 32768)),
+    zeroCrossingHz: crossings / 2 / (samples.length / sampleRate)
+  };
+}
+
+/**
+ * Map OpenAI's turn_detection threshold (0-1) onto a speech level: 0 is -60dBFS, 1 is -20dBFS
+ * @param {number} threshold - server_vad threshold
+ * @returns {number} - Threshold in dBFS
+ */
+export function thresholdToDb(threshold) {
+  return -60 + 40 * Math.min(Math.max(threshold, 0), 1);
+}
+
+/**
+ * Detector for one stream of caller audio
+ * onEvent('speech_started', { atMs }) when a turn starts (atMs includes the prefix padding)
+ * onEvent('speech_stopped', { atMs, audio }) when it ends - audio is the whole turn (PCM16)
+ */
+export class VoiceActivityDetector {
+  /**
+   * @param {number} sampleRate - Sample rate of the audio (Hz)
+   * @param {Object} options - Overrides for VAD_DEFAULTS
+   * @param {Function} onEvent - (type, details) => void
+   */
+  constructor(sampleRate, options, onEvent) {
+    this.sampleRate = sampleRate;
+    this.options = { ...VAD_DEFAULTS, ...options };
+    this.onEvent = onEvent;
+    this.frameBytes = sampleRate / 1000 * FRAME_MS * 2;
+    this.pending = Buffer.alloc(0);
+    this.noiseFloorDb = null; // Starts at the first frame's level
+    this.reset();
+  }
+
+  /**
+   * Forget the turn in progress (e.g. the input buffer was cleared)
+   */
+  reset() {
+    this.elapsedMs = 0;
+    this.speaking = false;
+    this.frames = []; // Prefix padding while silent, the turn while speaking
+    this.voiceMs = 0; // Current run of speech frames (before the turn starts)
+    this.silenceMs = 0; // Current run of silent frames (during the turn)
+    this.turnStartMs = 0;
+    this.turnQuietestDb = 0; // Level of the quietest frame of the turn
+  }
+
+  /**
+   * Feed the next chunk of caller audio
+   * @param {Buffer} pcm - PCM16 audio at the detector's sample rate (any length)
+   */
+  process(pcm) {
+    let data = this.pending.length > 0 ? Buffer.concat([this.pending, pcm]) : pcm;
+    while (data.length >= this.frameBytes) {
+      const frame = Buffer.from(data.subarray(0, this.frameBytes));
+      data = data.subarray(this.frameBytes);
+      this.processFrame(frame);
+    }
+    this.pending = Buffer.from(data);
+  }
+
+  /**
+   * Classify one frame and update the noise floor (frozen during a turn)
+   * @param {Int16Array} samples - Frame samples
+   * @returns {boolean} - True if the frame is speech
+   */
+  isSpeech(samples) {
+    const { levelDb, zeroCrossingHz } = analyzeFrame(samples, this.sampleRate);
+    const options = this.options;
+
+    const level = Math.max(levelDb, NOISE_FLOOR_MIN_DB);
+    this.levelDb = level;
+    const floorDb = this.noiseFloorDb ?? level;
+    // Left alone while the caller talks - otherwise a long turn would slowly become the noise floor and be cut off
+    if (!this.speaking) {
+      this.noiseFloorDb = level < floorDb ? level : floorDb + (level - floorDb) * NOISE_FLOOR_RISE;
+    }
+
+    return levelDb > options.thresholdDb &&
+      (options.noiseMarginDb === null || levelDb > floorDb + options.noiseMarginDb) &&
+      zeroCrossingHz >= options.zeroCrossingMinHz &&
+      zeroCrossingHz <= options.zeroCrossingMaxHz;
+  }
+
+  /**
+   * Analyse one 20ms frame
+   * @param {Buffer} frame - Frame audio
+   */
+  processFrame(frame) {
+    this.elapsedMs += FRAME_MS;
+    const samples = new Int16Array(frame.length / 2);
+    for (let i = 0; i < samples.length; i++) {
+      samples[i] = frame.readInt16LE(i * 2);
+    }
+    const isSpeech = this.isSpeech(samples);
+    this.frames.push(frame);
+
+    if (!this.speaking) {
+      this.voiceMs = isSpeech ? this.voiceMs + FRAME_MS : 0;
+      if (this.voiceMs >= this.options.minSpeechMs) {
+        this.speaking = true;
+        this.silenceMs = 0;
+        this.turnQuietestDb = this.levelDb;
+        this.turnStartMs = this.elapsedMs - this.frames.length * FRAME_MS;
+        this.onEvent('speech_started', { atMs: this.turnStartMs });
+        return;
+      }
+      // Keep the prefix padding plus the speech run that may become a turn
+      const keepFrames = Math.ceil((this.options.prefixPaddingMs + this.voiceMs) / FRAME_MS);
+      if (this.frames.length > keepFrames) {
+        this.frames.splice(0, this.frames.length - keepFrames);
+      }
+      return;
+    }
+
+    this.silenceMs = isSpeech ? 0 : this.silenceMs + FRAME_MS;
+    this.turnQuietestDb = Math.min(this.turnQuietestDb, this.levelDb);
+    if (this.elapsedMs - this.turnStartMs >= this.options.maxTurnMs) {
+      // Sound without a pause this long is noise that started mid-turn (hold music) - the frozen floor jumps to it
+      this.noiseFloorDb = Math.max(this.noiseFloorDb, this.turnQuietestDb);
+      this.endTurn();
+    } else if (this.silenceMs >= this.options.silenceDurationMs) {
+      this.endTurn();
+    }
+  }
+
+  /**
+   * End the turn in progress and hand over its audio
+   */
+  endTurn() {
+    const audio = Buffer.concat(this.frames);
+    this.speaking = false;
+    this.frames = [];
+    this.voiceMs = 0;
+    this.silenceMs = 0;
+    this.onEvent('speech_stopped', { atMs: this.elapsedMs, audio });
+  }
+}
+
+/**
+ * Voice activity detection on a call's inbound audio, in front of the model
+ * Analyses the call's PCM and passes the matching model-format chunks through:
+ * - gate on: only caller turns, with the prefix padding before them and hangoverMs after them
+ *   (enough trailing silence for server_vad to end the turn itself)
+ * - gate off: everything (the detector still reports turns, e.g. for local turn detection)
+ * Events are the detector's (speech_started, speech_stopped)
+ */
+export class SpeechGate {
+  /**
+   * @param {number} sampleRate - Sample rate of the analysed PCM (Hz)
+   * @param {Object} options - VAD options plus { gate, hangoverMs }
+   * @param {Function} onEvent - (type, details) => void
+   */
+  constructor(sampleRate, { gate = true, hangoverMs = 0, ...options }, onEvent) {
+    this.sampleRate = sampleRate;
+    this.gate = gate;
+    this.hangoverMs = hangoverMs;
+    this.detector = new VoiceActivityDetector(sampleRate, options, (type, details) => {
+      if (type === 'speech_stopped') {
+        this.openUntilMs = this.elapsedMs + this.hangoverMs;
+      }
+      onEvent(type, details);
+    });
+    this.prefixMs = options.prefixPaddingMs ?? VAD_DEFAULTS.prefixPaddingMs;
+    this.prefixMs += options.minSpeechMs ?? VAD_DEFAULTS.minSpeechMs;
+
+    this.elapsedMs = 0;
+    this.openUntilMs = 0; // Hangover after the last turn
+    this.held = []; // { chunk, ms } - recent audio while the gate is shut (the next turn's prefix)
+    this.heldMs = 0;
+    this.gatedMs = 0; // Audio held back in total
+  }
+
+  /**
+   * @returns {boolean} - True while audio passes (turn in progress, or its hangover)
+   */
+  get isOpen() {
+    return !this.gate || this.detector.speaking || this.elapsedMs < this.openUntilMs;
+  }
+
+  /**
+   * Analyse the next chunk and return what should be sent to the model
+   * @param {Buffer} pcm - Caller audio as PCM16 at the gate's sample rate
+   * @param {Buffer} chunk - The same audio in the model's format
+   * @returns {Buffer[]} - Chunks to send, in order (held prefix first when a turn starts)
+   */
+  process(pcm, chunk) {
+    const ms = pcm.length / 2 / this.sampleRate * 1000;
+    this.detector.process(pcm);
+    this.elapsedMs += ms;
+
+    if (this.isOpen) {
+      const chunks = [...this.held.map(entry => entry.chunk), chunk];
+      this.held = [];
+      this.heldMs = 0;
+      return chunks;
+    }
+
+    this.held.push({ chunk, ms });
+    this.heldMs += ms;
+    while (this.heldMs > this.prefixMs && this.held.length > 1) {
+      const dropped = this.held.shift();
+      this.heldMs -= dropped.ms;
+      this.gatedMs += dropped.ms;
+    }
+    return [];
+  }
+}
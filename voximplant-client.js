@@ -0,0 +1,113 @@
+// voximplant-client.js
+// Voximplant Management API client - starts the VoxEngine scenario for outbound calls
+// VOXIMPLANT_CLIENT=stub swaps in a local stub that dials nothing (for tests and local development)
+
+import axios from 'axios';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { createLogger } from './logger.js';
+
+const log = createLogger('voximplant-client');
+
+const VOXIMPLANT_API_URL = process.env.VOXIMPLANT_API_URL || 'https://api.voximplant.com/platform_api';
+
+// 'api' (Management API), 'stub', or a path to a module whose default export is a client class
+const VOXIMPLANT_CLIENT = process.env.VOXIMPLANT_CLIENT || 'api';
+
+/**
+ * Management API client (account ID + API key authentication)
+ */
+export class VoximplantClient {
+  /**
+   * @param {Object} options - { accountId, apiKey, ruleId } - ruleId is the rule running the outbound scenario
+   */
+  constructor({ accountId, apiKey, ruleId }) {
+    this.accountId = accountId;
+    this.apiKey = apiKey;
+    this.ruleId = ruleId;
+  }
+
+  /**
+   * @returns {boolean} - True if credentials and a rule are configured
+   */
+  get configured() {
+    return Boolean(this.accountId && this.apiKey && this.ruleId);
+  }
+
+  /**
+   * Start the scenario for one outbound call
+   * @param {Object} customData - Passed to the scenario as VoxEngine.customData() (JSON)
+   * @returns {Promise<Object>} - { mediaSessionAccessUrl, callSessionHistoryId }
+   * @throws {Error} - Not configured, or the API refused
+   */
+  async startScenario(customData) {
+    if (!this.configured) {
+      throw new Error('Voximplant Management API is not configured (VOXIMPLANT_ACCOUNT_ID, VOXIMPLANT_API_KEY, VOXIMPLANT_RULE_ID)');
+    }
+
+    const params = new URLSearchParams({
+      account_id: this.accountId,
+      api_key: this.apiKey,
+      rule_id: String(this.ruleId),
+      script_custom_data: JSON.stringify(customData)
+    });
+
+    const response = await axios.post(`${VOXIMPLANT_API_URL}/StartScenarios/`, params.toString(), {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      timeout: 10000
+    });
+
+    // The Management API reports errors with HTTP 200 and an `error` object
+    if (response.data.error) {
+      throw new Error(`StartScenarios failed: ${response.data.error.msg || JSON.stringify(response.data.error)}`);
+    }
+
+    return {
+      mediaSessionAccessUrl: response.data.media_session_access_url || null,
+      callSessionHistoryId: response.data.call_session_history_id || null
+    };
+  }
+}
+
+/**
+ * Stand-in client that records scenario starts instead of dialing
+ * Drive the call from there by posting the scenario's webhooks (CallConnected, CallFailed, ...) yourself
+ */
+export class StubVoximplantClient {
+  constructor() {
+    this.started = [];
+  }
+
+  get configured() {
+    return true;
+  }
+
+  async startScenario(customData) {
+    this.started.push(customData);
+    log.info('Stub client: would start scenario', { callId: customData.outboundId, event: 'voximplant.stub_call', to: customData.to });
+    return { mediaSessionAccessUrl: null, callSessionHistoryId: `stub_${this.started.length}` };
+  }
+}
+
+/**
+ * Create the Management API client selected by VOXIMPLANT_CLIENT
+ * @returns {Promise<Object>} - Client with `configured` and `startScenario(customData)`
+ */
+export async function createVoximplantClient() {
+  if (VOXIMPLANT_CLIENT === 'api') {
+    return new VoximplantClient({
+      accountId: process.env.VOXIMPLANT_ACCOUNT_ID,
+      apiKey: process.env.VOXIMPLANT_API_KEY,
+      ruleId: process.env.VOXIMPLANT_RULE_ID
+    });
+  }
+
+  if (VOXIMPLANT_CLIENT === 'stub') {
+    log.info('Voximplant client: stub (outbound calls are not dialed)', { event: 'voximplant.configured', client: 'stub' });
+    return new StubVoximplantClient();
+  }
+
+  const module = await import(pathToFileURL(path.resolve(VOXIMPLANT_CLIENT)).href);
+  log.info(`Voximplant client: ${VOXIMPLANT_CLIENT}`, { event: 'voximplant.configured', client: VOXIMPLANT_CLIENT });
+  return new module.default();
+}
@@ -0,0 +1,219 @@
+// webhook-auth.js
+// Authentication for requests from the VoxEngine scenario: HMAC-signed webhooks with replay protection,
+// signed media WebSocket upgrades, and per-source rate limiting - plus the bearer token of the admin API
+//
+// Webhooks carry two headers, signed with the shared WEBHOOK_SECRET:
+//   X-Tavari-Timestamp: <unix seconds>
+//   X-Tavari-Signature: hex HMAC-SHA256 of "<timestamp>.<raw body>"
+// Media socket upgrades carry the same pair as query parameters (ts, sig), signed over "<ts>.<stream token>"
+// Admin API requests carry "Authorization: Bearer <ADMIN_API_TOKEN>"
+// Both fail closed: without WEBHOOK_SECRET webhooks and media sockets are refused, unless WEBHOOK_AUTH_DISABLED=true
+
+import crypto from 'crypto';
+import { createLogger } from './logger.js';
+
+const log = createLogger('webhook-auth');
+
+export const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || '';
+export const WEBHOOK_AUTH_ENABLED = WEBHOOK_SECRET.length > 0;
+// Explicit opt-out for running without a secret (local testing) - otherwise no secret means nothing gets in
+export const WEBHOOK_AUTH_DISABLED = !WEBHOOK_AUTH_ENABLED && process.env.WEBHOOK_AUTH_DISABLED === 'true';
+
+// Admin API (outbound calls, transfers, campaigns, call records) - disabled while unset
+const ADMIN_API_TOKEN = process.env.ADMIN_API_TOKEN || '';
+export const ADMIN_API_ENABLED = ADMIN_API_TOKEN.length > 0;
+
+// How far a request's timestamp may be from our clock
+const WEBHOOK_TOLERANCE_SECONDS = parseInt(process.env.WEBHOOK_TOLERANCE_SECONDS || '300', 10);
+
+// Signatures seen inside the tolerance window: signature -> expiry (ms)
+const seenSignatures = new Map();
+
+/**
+ * Sign a payload the way the scenario does
+ * @param {string|number} timestamp - Unix seconds
+ * @param {string|Buffer} payload - Raw body (webhooks) or stream token (upgrades)
+ * @returns {string} - Hex HMAC-SHA256
+ */
+export function signPayload(timestamp, payload) {
+  return crypto.createHmac('sha256', WEBHOOK_SECRET)
+    .update(`${timestamp}.`)
+    .update(payload)
+    .digest('hex');
+}
+
+/**
+ * Check a timestamp/signature pair
+ * @param {string} timestamp - Unix seconds, as sent
+ * @param {string} signature - Hex signature, as sent
+ * @param {string|Buffer} payload - What was signed
+ * @returns {string|null} - Why the pair was rejected, or null if it's valid
+ */
+function checkSignature(timestamp, signature, payload) {
+  if (!timestamp || !signature) {
+    return 'missing signature';
+  }
+
+  const seconds = parseInt(timestamp, 10);
+  if (!Number.isFinite(seconds) || Math.abs(Date.now() / 1000 - seconds) > WEBHOOK_TOLERANCE_SECONDS) {
+    return 'timestamp outside tolerance window';
+  }
+
+  const expected = Buffer.from(signPayload(timestamp, payload));
+  const actual = Buffer.from(String(signature).toLowerCase());
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return 'invalid signature';
+  }
+
+  return null;
+}
+
+/**
+ * Remember a signature until its timestamp falls out of the window
+ * @param {string} signature - Verified signature
+ * @returns {boolean} - False if it was already seen (a replay)
+ */
+function markSignatureSeen(signature) {
+  const now = Date.now();
+  for (const [seen, expiresAt] of seenSignatures) {
+    if (expiresAt <= now) {
+      seenSignatures.delete(seen);
+    }
+  }
+
+  if (seenSignatures.has(signature)) {
+    return false;
+  }
+  // A timestamp can be up to the tolerance in the future, so keep it for twice that
+  seenSignatures.set(signature, now + WEBHOOK_TOLERANCE_SECONDS * 2000);
+  return true;
+}
+
+/**
+ * Express middleware: reject webhooks without a valid, fresh, unseen signature
+ * Needs req.rawBody (set by the body parser's verify hook)
+ * Fails closed - while WEBHOOK_SECRET is unset every webhook gets 503 (unless WEBHOOK_AUTH_DISABLED)
+ * @returns {Function} - Middleware
+ */
+export function verifyWebhook() {
+  return (req, res, next) => {
+    if (!WEBHOOK_AUTH_ENABLED) {
+      if (WEBHOOK_AUTH_DISABLED) {
+        return next();
+      }
+      log.warn('Rejected webhook - WEBHOOK_SECRET is not set', { event: 'webhook.rejected', source: req.ip, error: 'webhook auth not configured' });
+      return res.status(503).json({ error: 'Webhooks are disabled - set WEBHOOK_SECRET' });
+    }
+
+    const signature = req.get('X-Tavari-Signature');
+    const error = checkSignature(req.get('X-Tavari-Timestamp'), signature, req.rawBody || '');
+    if (error) {
+      log.warn('Rejected webhook', { event: 'webhook.rejected', source: req.ip, error });
+      return res.status(401).json({ error });
+    }
+
+    if (!markSignatureSeen(signature)) {
+      log.warn('Rejected replayed webhook', { event: 'webhook.replayed', source: req.ip });
+      return res.status(409).json({ error: 'replayed request' });
+    }
+
+    next();
+  };
+}
+
+/**
+ * Check a media WebSocket upgrade request (before the socket is accepted)
+ * The stream token itself is redeemed once the socket is open; this proves the scenario sent it
+ * @param {URL} url - Parsed request URL
+ * @returns {string|null} - Why the upgrade was rejected, or null if it's allowed
+ */
+export function verifyUpgrade(url) {
+  if (!WEBHOOK_AUTH_ENABLED) {
+    return WEBHOOK_AUTH_DISABLED ? null : 'webhook auth not configured';
+  }
+  return checkSignature(url.searchParams.get('ts'), url.searchParams.get('sig'), url.searchParams.get('token') || '');
+}
+
+/**
+ * Express middleware: reject admin API requests without the admin bearer token
+ * Fails closed - while ADMIN_API_TOKEN is unset every admin request gets 503
+ * @returns {Function} - Middleware
+ */
+export function requireAdmin() {
+  return (req, res, next) => {
+    if (!ADMIN_API_ENABLED) {
+      return res.status(503).json({ error: 'Admin API is disabled - set ADMIN_API_TOKEN' });
+    }
+
+    const match = /^Bearer (.+)$/i.exec(req.get('Authorization') || '');
+    const expected = crypto.createHash('sha256').update(ADMIN_API_TOKEN).digest();
+    const actual = crypto.createHash('sha256').update(match ? match[1].trim() : '').digest();
+    if (!match || !crypto.timingSafeEqual(expected, actual)) {
+      log.warn('Rejected admin request', { event: 'admin.rejected', method: req.method, path: req.originalUrl.split('?')[0], source: req.ip });
+      res.set('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    next();
+  };
+}
+
+/**
+ * Fixed-window request counter per source (IP)
+ */
+export class RateLimiter {
+  /**
+   * @param {Object} options - { windowMs, max } - at most `max` requests per source per window
+   */
+  constructor({ windowMs = 60000, max = 120 } = {}) {
+    this.windowMs = windowMs;
+    this.max = max;
+    this.windows = new Map(); // source -> { start, count }
+  }
+
+  /**
+   * Count a request
+   * @param {string} source - Source key (IP address)
+   * @returns {boolean} - False if the source is over its limit
+   */
+  allow(source) {
+    const now = Date.now();
+    let window = this.windows.get(source);
+    if (!window || now - window.start >= this.windowMs) {
+      if (this.windows.size > 10000) {
+        this.sweep(now);
+      }
+      window = { start: now, count: 0 };
+      this.windows.set(source, window);
+    }
+    window.count++;
+    return window.count <= this.max;
+  }
+
+  /**
+   * Drop finished windows
+   * @param {number} now - Current time (ms)
+   */
+  sweep(now) {
+    for (const [source, window] of this.windows) {
+      if (now - window.start >= this.windowMs) {
+        this.windows.delete(source);
+      }
+    }
+  }
+
+  /**
+   * Express middleware answering 429 for sources over the limit
+   * @returns {Function} - Middleware
+   */
+  middleware() {
+    return (req, res, next) => {
+      if (this.allow(req.ip)) {
+        return next();
+      }
+      log.warn('Rate limited request', { event: 'http.rate_limited', method: req.method, path: req.path, source: req.ip });
+      res.set('Retry-After', String(Math.ceil(this.windowMs / 1000)));
+      res.status(429).json({ error: 'Too many requests' });
+    };
+  }
+}